@@ -11,4 +11,160 @@ import 'dotenv/config';
  *
  * @type {string | undefined}
  */
-export const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
\ No newline at end of file
+export const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+
+/**
+ * Port used by the Streamable HTTP/SSE transport.
+ * Set as `HTTP_PORT` in the `.env` file (default 3000).
+ *
+ * @type {number}
+ */
+export const HTTP_PORT = Number(process.env.HTTP_PORT) || 3000;
+
+/**
+ * Host/interface the HTTP transport binds to.
+ * Set as `HTTP_HOST` in the `.env` file (default 127.0.0.1, local only).
+ *
+ * @type {string}
+ */
+export const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+
+/**
+ * Place provider backing the tools: `google` (live APIs, needs `GOOGLE_API_KEY`)
+ * or `fixture` (recorded JSON, no key and no network).
+ * Set as `PLACES_PROVIDER` in the `.env` file (default `google`).
+ *
+ * @type {string}
+ */
+export const PLACES_PROVIDER = (process.env.PLACES_PROVIDER || 'google').toLowerCase();
+
+/**
+ * Path to the JSON file served by the fixture provider.
+ * Set as `FIXTURES_PATH` in the `.env` file (defaults to the bundled `src/fixtures/places.json`).
+ *
+ * @type {string | undefined}
+ */
+export const FIXTURES_PATH = process.env.FIXTURES_PATH;
+
+/**
+ * Whether provider responses are cached. Set `CACHE_ENABLED=false` to disable.
+ *
+ * @type {boolean}
+ */
+export const CACHE_ENABLED = process.env.CACHE_ENABLED !== 'false';
+
+/**
+ * Maximum number of entries kept in the in-memory LRU cache (default 500).
+ *
+ * @type {number}
+ */
+export const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+
+/**
+ * Optional JSON file where cache entries are persisted across restarts.
+ * Set as `CACHE_FILE` in the `.env` file; when unset the cache is memory-only.
+ *
+ * @type {string | undefined}
+ */
+export const CACHE_FILE = process.env.CACHE_FILE;
+
+/**
+ * Total attempts per Google request, including the first (default 3).
+ * Retries apply only to 429, 5xx and network errors.
+ *
+ * @type {number}
+ */
+export const RETRY_MAX_ATTEMPTS = Number(process.env.RETRY_MAX_ATTEMPTS) || 3;
+
+/**
+ * Consecutive failed calls that open an endpoint's circuit breaker (default 5).
+ *
+ * @type {number}
+ */
+export const BREAKER_FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5;
+
+/**
+ * Time (ms) an open circuit waits before letting a trial call through (default 30000).
+ *
+ * @type {number}
+ */
+export const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS) || 30000;
+
+/**
+ * Ceiling on results a single search tool call may return (default 60).
+ * Text search follows page tokens and nearby search tiles the radius to get past
+ * the 20-per-request limit of Places API v1, up to this many places.
+ *
+ * @type {number}
+ */
+export const PLACES_MAX_RESULTS = Number(process.env.PLACES_MAX_RESULTS) || 60;
+
+/**
+ * Most provider calls a batch tool (`geocode_batch`, `places_detailsBatch`) runs at the same time (default 4).
+ *
+ * @type {number}
+ */
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
+/**
+ * JSON file where user profiles are stored (`profile_*` tools).
+ * Set as `PROFILE_STORE_PATH` in the `.env` file (default `./data/profiles.json`).
+ *
+ * @type {string}
+ */
+export const PROFILE_STORE_PATH = process.env.PROFILE_STORE_PATH || 'data/profiles.json';
+
+/**
+ * JSON file where feedback on places is stored (`feedback_*` tools).
+ * Set as `FEEDBACK_STORE_PATH` in the `.env` file (default `./data/feedback.json`).
+ *
+ * @type {string}
+ */
+export const FEEDBACK_STORE_PATH = process.env.FEEDBACK_STORE_PATH || 'data/feedback.json';
+
+/**
+ * Optional JSON file with budget thresholds per region and static exchange rates.
+ * Set as `BUDGETS_PATH` in the `.env` file (defaults to the bundled `src/config/budgets.json`).
+ *
+ * @type {string | undefined}
+ */
+export const BUDGETS_PATH = process.env.BUDGETS_PATH;
+
+/**
+ * Optional JSON file with named ranking presets (weights per factor).
+ * Set as `RANKING_PRESETS_PATH` in the `.env` file (defaults to the bundled `src/config/rankingPresets.json`).
+ *
+ * @type {string | undefined}
+ */
+export const RANKING_PRESETS_PATH = process.env.RANKING_PRESETS_PATH;
+
+/**
+ * Default language for tool descriptions, explanations and validation errors
+ * when a call does not pass `locale` (default "es"). Any catalogue in `src/locales/` is accepted.
+ *
+ * @type {string}
+ */
+export const MCP_LOCALE = process.env.MCP_LOCALE || 'es';
+
+/**
+ * Default unit system for distances in explanations: "metric" (m/km) or "imperial" (ft/mi).
+ *
+ * @type {'metric'|'imperial'}
+ */
+export const MCP_UNITS = process.env.MCP_UNITS === 'imperial' ? 'imperial' : 'metric';
+
+/**
+ * Optional JSON file with the bilingual cuisine synonym dictionary used by keyword matching.
+ * Set as `CUISINE_SYNONYMS_PATH` in the `.env` file (defaults to the bundled `src/config/cuisineSynonyms.json`).
+ *
+ * @type {string | undefined}
+ */
+export const CUISINE_SYNONYMS_PATH = process.env.CUISINE_SYNONYMS_PATH;
+
+/**
+ * Optional JSON file with the place type catalogue, type groups and default search filters.
+ * Set as `PLACE_TYPES_PATH` in the `.env` file (defaults to the bundled `src/config/placeTypes.json`).
+ *
+ * @type {string | undefined}
+ */
+export const PLACE_TYPES_PATH = process.env.PLACE_TYPES_PATH;
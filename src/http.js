@@ -0,0 +1,7 @@
+import { runHttpServer } from './mcp/httpServer.js';
+
+// Run the HTTP server and handle errors
+runHttpServer().catch((err) => {
+  console.error("Error al iniciar food server (HTTP):", err);
+  process.exit(1);
+});
@@ -1 +1,7 @@
-import './mcp/server.js'
\ No newline at end of file
+import { runStdioServer } from './mcp/server.js';
+
+// Run the server and handle errors
+runStdioServer().catch((err) => {
+  console.error("Error al iniciar food server:", err);
+  process.exit(1);
+});
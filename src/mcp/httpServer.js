@@ -0,0 +1,169 @@
+import { randomUUID } from 'node:crypto';
+import express from 'express';
+import morgan from 'morgan';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+import { createServer, toolDefs } from './server.js';
+import { HTTP_PORT, HTTP_HOST } from '../config/env.js';
+import { cache } from '../services/cache.js';
+import { getBreakerStates } from '../services/resilience.js';
+import { JSON_RPC_ERRORS } from '../utils/errors.js';
+import { negotiateLocale } from '../utils/i18n.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @fileoverview MCP Server over HTTP.
+ * Serves the same tools as the STDIO server using MCP Streamable HTTP on `/mcp`,
+ * with the legacy HTTP+SSE transport (`/sse` + `/messages`) as a fallback for older clients.
+ * Several clients can share one long-running instance; each gets its own session.
+ */
+
+/**
+ * Builds a JSON-RPC error body for requests rejected before reaching the MCP server.
+ *
+ * @param {{ code: number, message: string }} rpcError - One of `JSON_RPC_ERRORS`.
+ * @param {string} [detail] - Optional human-readable detail.
+ * @returns {Object} JSON-RPC 2.0 error response.
+ */
+function rpcErrorBody(rpcError, detail) {
+  return {
+    jsonrpc: '2.0',
+    id: null,
+    error: { ...rpcError, ...(detail ? { data: { message: detail } } : {}) },
+  };
+}
+
+/**
+ * Creates the Express app with MCP routes and a health check.
+ * Sessions are kept in memory, keyed by the `mcp-session-id` header
+ * (Streamable HTTP) or the `sessionId` query param (SSE). The `Accept-Language`
+ * header of the request that opens a session sets its language (see `createServer`).
+ *
+ * @returns {{ app: import('express').Express, sessions: Map<string, Object> }}
+ */
+export function createHttpApp() {
+  const app = express();
+  app.use(morgan('tiny', { stream: { write: (line) => logger.info('http.access', { line: line.trim() }) } }));
+  app.use(express.json({ limit: '4mb' }));
+
+  /** @type {Map<string, { transport: StreamableHTTPServerTransport|SSEServerTransport, kind: 'streamable'|'sse' }>} */
+  const sessions = new Map();
+  const startedAt = Date.now();
+
+  // Health check (no MCP involved)
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      uptimeSec: Math.round((Date.now() - startedAt) / 1000),
+      sessions: sessions.size,
+      tools: toolDefs.length,
+      cache: cache.getStats(),
+      breakers: getBreakerStates(),
+    });
+  });
+
+  // Streamable HTTP: client → server messages, and session initialization
+  app.post('/mcp', async (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    let entry = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (entry && entry.kind !== 'streamable') {
+      res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'La sesión pertenece al transporte SSE'));
+      return;
+    }
+
+    if (!entry) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Sesión inválida o ausente'));
+        return;
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, kind: 'streamable' });
+          logger.info('http.session.open', { sessionId: id, kind: 'streamable' });
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.delete(transport.sessionId)) {
+          logger.info('http.session.close', { sessionId: transport.sessionId, kind: 'streamable' });
+        }
+      };
+
+      await createServer({ locale: negotiateLocale(req.get('accept-language')) }).connect(transport);
+      entry = { transport, kind: 'streamable' };
+    }
+
+    await entry.transport.handleRequest(req, res, req.body);
+  });
+
+  // Streamable HTTP: server → client notifications (GET) and session termination (DELETE)
+  const handleSessionRequest = async (req, res) => {
+    const entry = sessions.get(req.get('mcp-session-id'));
+    if (!entry || entry.kind !== 'streamable') {
+      res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Sesión inválida o ausente'));
+      return;
+    }
+    await entry.transport.handleRequest(req, res);
+  };
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // Legacy HTTP+SSE: open the event stream
+  app.get('/sse', async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { transport, kind: 'sse' });
+    logger.info('http.session.open', { sessionId: transport.sessionId, kind: 'sse' });
+
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+      logger.info('http.session.close', { sessionId: transport.sessionId, kind: 'sse' });
+    });
+
+    await createServer({ locale: negotiateLocale(req.get('accept-language')) }).connect(transport);
+  });
+
+  // Legacy HTTP+SSE: client → server messages
+  app.post('/messages', async (req, res) => {
+    const entry = sessions.get(String(req.query.sessionId || ''));
+    if (!entry || entry.kind !== 'sse') {
+      res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Sesión SSE inválida o ausente'));
+      return;
+    }
+    await entry.transport.handlePostMessage(req, res, req.body);
+  });
+
+  return { app, sessions };
+}
+
+/**
+ * Starts the MCP server using Streamable HTTP (and SSE fallback).
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.port=HTTP_PORT] - Port to listen on.
+ * @param {string} [opts.host=HTTP_HOST] - Interface to bind.
+ * @returns {Promise<import('node:http').Server>} The listening HTTP server.
+ */
+export function runHttpServer({ port = HTTP_PORT, host = HTTP_HOST } = {}) {
+  const { app, sessions } = createHttpApp();
+
+  return new Promise((resolve, reject) => {
+    const httpServer = app.listen(port, host, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      logger.info('http.listen', { host, port, endpoints: ['/mcp', '/sse', '/messages', '/health'] });
+      resolve(httpServer);
+    });
+
+    // Close every open session before shutting down
+    httpServer.on('close', () => {
+      for (const { transport } of sessions.values()) transport.close().catch(() => {});
+      sessions.clear();
+    });
+  });
+}
@@ -0,0 +1,375 @@
+import { FIELD_TIERS, PLACE_ATTRIBUTES } from '../models/place.js';
+import { FEEDBACK_KINDS } from '../models/feedback.js';
+import { PriceMap, CONSTRAINT_KEYS } from '../services/scoring.js';
+import { WEIGHT_KEYS } from '../services/weights.js';
+import { AGGREGATIONS } from '../services/groupScoring.js';
+import { MAX_QUERY_LENGTH } from '../services/queryParser.js';
+import { MAX_GROUP_MEMBERS } from './tools/ranking.js';
+import { MAX_BATCH_ITEMS } from './tools/batch.js';
+import { validateSchema, describeIssue } from '../utils/schema.js';
+import { ValidationError } from '../utils/errors.js';
+import { t } from '../utils/i18n.js';
+
+/**
+ * @fileoverview JSON Schemas for every tool input, and for the Place and UserProfile objects
+ * they carry. Published in `tools/list` (see `toolDefs` in `server.js`) and enforced by
+ * `assertToolInput` before a `tools/call` is dispatched, so a bad call is rejected with every
+ * offending field at once. Tools keep their own checks for direct (non-MCP) callers.
+ */
+
+/** Largest search radius Places API v1 accepts, in meters. */
+export const MAX_RADIUS_METERS = 50000;
+
+const LOCALE = { type: 'string' };
+const UNITS = { type: 'string', enum: ['metric', 'imperial'] };
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const FIELD_TIER = { type: 'string', enum: FIELD_TIERS };
+const POSITIVE_NUMBER = { type: 'number', exclusiveMinimum: 0 };
+const POSITIVE_INTEGER = { type: 'integer', minimum: 1 };
+const RADIUS = { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS_METERS };
+const REGION = { type: 'string', pattern: '^[A-Za-z]{2}$' };
+const LANGUAGE = { type: 'string', pattern: '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+/** A point: `{ lat, lng }` in degrees. */
+export const LAT_LNG_SCHEMA = {
+  type: 'object',
+  properties: {
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 },
+  },
+  required: ['lat', 'lng'],
+};
+
+/** Google price level names, as in `Place.priceLevel`. */
+const PRICE_LEVEL_NAMES = Object.keys(PriceMap);
+
+/** A normalized place (see `models/place.js`), as returned by the search tools. Extra fields (score, why…) are allowed. */
+export const PLACE_SCHEMA = {
+  type: 'object',
+  properties: {
+    placeId: { type: ['string', 'null'] },
+    name: { type: ['string', 'null'] },
+    rating: { type: ['number', 'null'], minimum: 0, maximum: 5 },
+    userRatingCount: { type: 'integer', minimum: 0 },
+    priceLevel: { enum: [...PRICE_LEVEL_NAMES, 'PRICE_LEVEL_UNSPECIFIED', null] },
+    priceRange: {
+      type: ['object', 'null'],
+      properties: {
+        start: { type: ['number', 'null'], minimum: 0 },
+        end: { type: ['number', 'null'], minimum: 0 },
+        currency: { type: 'string' },
+      },
+    },
+    location: { ...LAT_LNG_SCHEMA, type: ['object', 'null'] },
+    openNow: { type: ['boolean', 'null'] },
+    openingHours: { type: ['object', 'null'] },
+    utcOffsetMinutes: { type: ['integer', 'null'], minimum: -840, maximum: 840 },
+    primaryType: { type: ['string', 'null'] },
+    types: STRING_LIST,
+    phone: { type: ['string', 'null'] },
+    website: { type: ['string', 'null'] },
+    summary: { type: ['string', 'null'] },
+    address: { type: ['string', 'null'] },
+    mapsUri: { type: ['string', 'null'] },
+    attributes: {
+      type: ['object', 'null'],
+      properties: Object.fromEntries(Object.keys(PLACE_ATTRIBUTES).map((key) => [key, { type: ['boolean', 'null'] }])),
+    },
+    photos: { type: 'array', items: { type: 'object' } },
+    reviews: { type: 'array', items: { type: 'object' } },
+  },
+};
+
+/**
+ * User preferences (see `UserProfile` in `models/profile.js`). Fields a stored profile keeps as
+ * null are nullable, so a profile read with `profile_get` can be passed back as is.
+ */
+export const USER_PROFILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    keywords: STRING_LIST,
+    priceLevels: { type: 'array', items: { enum: [0, 1, 2, 3, 4, ...PRICE_LEVEL_NAMES] } },
+    minRating: { type: 'number', minimum: 0, maximum: 5 },
+    requireOpen: { type: 'boolean' },
+    openAt: { ...DATE_TIME, type: ['string', 'null'] },
+    minOpenMinutes: { type: ['number', 'null'], minimum: 0 },
+    maxDistanceKm: POSITIVE_NUMBER,
+    maxBudget: {
+      type: ['object', 'null'],
+      properties: {
+        amount: POSITIVE_NUMBER,
+        currency: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+      },
+      required: ['amount'],
+    },
+    region: { ...REGION, type: ['string', 'null'] },
+    requires: { type: 'array', items: { enum: Object.keys(PLACE_ATTRIBUTES) } },
+    includedTypes: STRING_LIST,
+    excludedTypes: STRING_LIST,
+    units: { enum: ['metric', 'imperial', null] },
+    constraints: {
+      type: 'object',
+      properties: Object.fromEntries(CONSTRAINT_KEYS.map((key) => [key, { enum: ['must', 'prefer'] }])),
+    },
+  },
+};
+
+const WEIGHTS = {
+  type: 'object',
+  properties: Object.fromEntries(WEIGHT_KEYS.map((key) => [key, { type: 'number', minimum: 0 }])),
+  additionalProperties: false,
+};
+
+const DIVERSITY = {
+  type: ['boolean', 'object'],
+  properties: {
+    lambda: { type: 'number', minimum: 0, maximum: 1 },
+    maxPerChain: { type: ['integer', 'null'], minimum: 1 },
+    maxPerType: { type: ['integer', 'null'], minimum: 1 },
+  },
+};
+
+/** Ranking parameters shared by `ranking_rank`, `recommend` and `places_alongRoute`. */
+const RANKING_PROPERTIES = {
+  profile: USER_PROFILE_SCHEMA,
+  profileId: NON_EMPTY_STRING,
+  topK: POSITIVE_INTEGER,
+  preset: NON_EMPTY_STRING,
+  weights: WEIGHTS,
+  explain: { type: 'boolean' },
+  diversity: DIVERSITY,
+  personalize: { type: 'boolean' },
+  locale: LOCALE,
+  units: UNITS,
+};
+
+const TYPE_FILTERS = { includedTypes: STRING_LIST, excludedTypes: STRING_LIST };
+
+/**
+ * Input schema of every tool, by tool name.
+ *
+ * @type {Record<string, Object>}
+ */
+export const toolInputSchemas = {
+  geocode: {
+    type: 'object',
+    properties: { address: NON_EMPTY_STRING, region: REGION, language: LANGUAGE, all: { type: 'boolean' }, locale: LOCALE },
+    required: ['address'],
+  },
+  geocode_reverse: {
+    type: 'object',
+    properties: { location: LAT_LNG_SCHEMA, language: LANGUAGE, resultTypes: STRING_LIST, locale: LOCALE },
+    required: ['location'],
+  },
+  geocode_autocomplete: {
+    type: 'object',
+    properties: {
+      input: NON_EMPTY_STRING,
+      location: LAT_LNG_SCHEMA,
+      radiusMeters: RADIUS,
+      region: REGION,
+      language: LANGUAGE,
+      sessionToken: NON_EMPTY_STRING,
+      maxResults: POSITIVE_INTEGER,
+      locale: LOCALE,
+    },
+    required: ['input'],
+  },
+  geocode_batch: {
+    type: 'object',
+    properties: {
+      addresses: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: MAX_BATCH_ITEMS },
+      region: REGION,
+      language: LANGUAGE,
+      locale: LOCALE,
+    },
+    required: ['addresses'],
+  },
+  places_findNearby: {
+    type: 'object',
+    properties: {
+      location: LAT_LNG_SCHEMA,
+      openNow: { type: 'boolean' },
+      radiusMeters: RADIUS,
+      maxResults: POSITIVE_INTEGER,
+      fields: FIELD_TIER,
+      ...TYPE_FILTERS,
+      locale: LOCALE,
+    },
+    required: ['location'],
+  },
+  places_findByText: {
+    type: 'object',
+    properties: {
+      query: NON_EMPTY_STRING,
+      location: LAT_LNG_SCHEMA,
+      radiusMeters: RADIUS,
+      maxResults: POSITIVE_INTEGER,
+      fields: FIELD_TIER,
+      ...TYPE_FILTERS,
+      locale: LOCALE,
+    },
+    required: ['query'],
+  },
+  places_details: {
+    type: 'object',
+    properties: { placeId: NON_EMPTY_STRING, fields: FIELD_TIER, locale: LOCALE },
+    required: ['placeId'],
+  },
+  places_detailsBatch: {
+    type: 'object',
+    properties: {
+      placeIds: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: MAX_BATCH_ITEMS },
+      fields: FIELD_TIER,
+      locale: LOCALE,
+    },
+    required: ['placeIds'],
+  },
+  places_alongRoute: {
+    type: 'object',
+    properties: {
+      origin: LAT_LNG_SCHEMA,
+      destination: LAT_LNG_SCHEMA,
+      waypoints: { type: 'array', items: LAT_LNG_SCHEMA },
+      polyline: NON_EMPTY_STRING,
+      bufferMeters: POSITIVE_NUMBER,
+      maxSearches: POSITIVE_INTEGER,
+      fields: FIELD_TIER,
+      ...TYPE_FILTERS,
+      ...RANKING_PROPERTIES,
+    },
+  },
+  ranking_rank: {
+    type: 'object',
+    properties: {
+      candidates: { type: 'array', items: PLACE_SCHEMA },
+      origin: LAT_LNG_SCHEMA,
+      ...RANKING_PROPERTIES,
+    },
+    required: ['candidates'],
+  },
+  ranking_group: {
+    type: 'object',
+    properties: {
+      candidates: { type: 'array', items: PLACE_SCHEMA },
+      members: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_GROUP_MEMBERS,
+        items: {
+          type: 'object',
+          properties: {
+            name: NON_EMPTY_STRING,
+            profile: USER_PROFILE_SCHEMA,
+            profileId: NON_EMPTY_STRING,
+            origin: LAT_LNG_SCHEMA,
+          },
+        },
+      },
+      aggregation: { type: 'string', enum: AGGREGATIONS },
+      topK: POSITIVE_INTEGER,
+      preset: NON_EMPTY_STRING,
+      weights: WEIGHTS,
+      explain: { type: 'boolean' },
+      locale: LOCALE,
+      units: UNITS,
+    },
+    required: ['candidates', 'members'],
+  },
+  ranking_presets: {
+    type: 'object',
+    properties: { locale: LOCALE },
+  },
+  recommend: {
+    type: 'object',
+    properties: {
+      address: NON_EMPTY_STRING,
+      location: LAT_LNG_SCHEMA,
+      craving: NON_EMPTY_STRING,
+      radiusMeters: RADIUS,
+      maxResults: POSITIVE_INTEGER,
+      detailsTopN: { type: 'integer', minimum: 0 },
+      ...RANKING_PROPERTIES,
+    },
+  },
+  profile_save: {
+    type: 'object',
+    properties: { profile: USER_PROFILE_SCHEMA, profileId: NON_EMPTY_STRING, name: { type: 'string' }, locale: LOCALE },
+    required: ['profile'],
+  },
+  profile_get: {
+    type: 'object',
+    properties: { profileId: NON_EMPTY_STRING, locale: LOCALE },
+    required: ['profileId'],
+  },
+  profile_update: {
+    type: 'object',
+    properties: { profileId: NON_EMPTY_STRING, patch: USER_PROFILE_SCHEMA, name: { type: 'string' }, locale: LOCALE },
+    required: ['profileId', 'patch'],
+  },
+  profile_delete: {
+    type: 'object',
+    properties: { profileId: NON_EMPTY_STRING, locale: LOCALE },
+    required: ['profileId'],
+  },
+  feedback_record: {
+    type: 'object',
+    properties: {
+      profileId: NON_EMPTY_STRING,
+      placeId: NON_EMPTY_STRING,
+      kind: { type: 'string', enum: FEEDBACK_KINDS },
+      rating: { type: 'number', minimum: 1, maximum: 5 },
+      note: { type: 'string' },
+      at: DATE_TIME,
+      place: PLACE_SCHEMA,
+      locale: LOCALE,
+    },
+    required: ['profileId', 'placeId', 'kind'],
+  },
+  feedback_list: {
+    type: 'object',
+    properties: {
+      profileId: NON_EMPTY_STRING,
+      placeId: NON_EMPTY_STRING,
+      kind: { type: 'string', enum: FEEDBACK_KINDS },
+      limit: POSITIVE_NUMBER,
+      locale: LOCALE,
+    },
+    required: ['profileId'],
+  },
+  query_parse: {
+    type: 'object',
+    properties: {
+      query: { ...NON_EMPTY_STRING, maxLength: MAX_QUERY_LENGTH },
+      now: DATE_TIME,
+      utcOffsetMinutes: { type: 'integer', minimum: -840, maximum: 840 },
+      locale: LOCALE,
+    },
+    required: ['query'],
+  },
+};
+
+/**
+ * Validates a tool call's arguments against its published schema.
+ *
+ * @param {string} tool - Tool name (a key of `toolInputSchemas`).
+ * @param {Object} [args={}] - Call arguments.
+ * @param {string} locale - Language of the error message.
+ * @throws {ValidationError} Listing every invalid field; `extra.issues` holds `{ path, keyword, message }` per field.
+ */
+export function assertToolInput(tool, args = {}, locale) {
+  const schema = toolInputSchemas[tool];
+  if (!schema) return;
+  const issues = validateSchema(schema, args ?? {});
+  if (!issues.length) return;
+
+  const described = issues.map((issue) => ({ path: issue.path, keyword: issue.keyword, message: describeIssue(issue, locale) }));
+  throw new ValidationError(
+    t(locale, 'errors.schema', { tool, count: issues.length, issues: described.map((d) => d.message).join('; ') }),
+    { issues: described }
+  );
+}
+
+export default { toolInputSchemas, assertToolInput, LAT_LNG_SCHEMA, PLACE_SCHEMA, USER_PROFILE_SCHEMA, MAX_RADIUS_METERS };
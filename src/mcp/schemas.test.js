@@ -0,0 +1,39 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { readFileSync } from 'node:fs';
+import { assertToolInput } from './schemas.js';
+import { rank, group } from './tools/ranking.js';
+
+const { places } = JSON.parse(readFileSync(new URL('../fixtures/places.json', import.meta.url), 'utf8'));
+const origin = places[0].location;
+
+describe('tool output fed back as input', () => {
+  /** Candidates as a client would pass them: one place without attributes. */
+  let candidates;
+
+  beforeAll(() => {
+    for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+    const { attributes, ...bare } = places[0];
+    candidates = [bare, ...places.slice(1)];
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  test('ranking_rank items are valid ranking_rank and ranking_group candidates', async () => {
+    const ranked = await rank({ candidates, origin, topK: candidates.length });
+    expect(ranked.items.some((item) => item.attributes === null)).toBe(true);
+
+    expect(() => assertToolInput('ranking_rank', { candidates: ranked.items, origin }, 'en')).not.toThrow();
+    expect(() => assertToolInput('ranking_group', { candidates: ranked.items, members: [{ origin }] }, 'en')).not.toThrow();
+  });
+
+  test('ranking_group items are valid ranking_rank candidates', async () => {
+    const grouped = await group({ candidates, members: [{ name: 'a', origin }, { name: 'b', origin }], topK: candidates.length });
+    expect(() => assertToolInput('ranking_rank', { candidates: grouped.items }, 'en')).not.toThrow();
+  });
+
+  test('attributes must still be an object when present', () => {
+    expect(() => assertToolInput('ranking_rank', { candidates: [{ ...places[1], attributes: 'yes' }] }, 'en')).toThrow(
+      /candidates\[0\]\.attributes/
+    );
+  });
+});
@@ -1,160 +1,285 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { ListToolsRequestSchema, CallToolRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { ListToolsRequestSchema, CallToolRequestSchema, McpError } from "@modelcontextprotocol/sdk/types.js";
 
-import { geocode } from "./tools/geocode.js";
+import { geocode, geocodeReverse, geocodeAutocomplete } from "./tools/geocode.js";
 import { findNearby, findByText } from "./tools/places.js";
 import { details } from "./tools/details.js";
-import { rank } from "./tools/ranking.js";
+import { geocodeBatch, detailsBatch } from "./tools/batch.js";
+import { alongRoute } from "./tools/route.js";
+import { rank, group, presets } from "./tools/ranking.js";
+import { recommend } from "./tools/recommend.js";
+import { profileSave, profileGet, profileUpdate, profileDelete } from "./tools/profiles.js";
+import { feedbackRecord, feedbackList } from "./tools/feedback.js";
+import { queryParse } from "./tools/query.js";
+import { toolInputSchemas, assertToolInput } from "./schemas.js";
+import { t, DEFAULT_LOCALE, resolveLocale } from "../utils/i18n.js";
+import { ValidationError, toJsonRpcError, toToolError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
 
 /**
- * @fileoverview MCP Server setup using STDIO transport.
+ * @fileoverview MCP Server setup.
  * Registers and exposes tools related to food recommendations using Google APIs.
+ * The same server definition is served over STDIO (`runStdioServer`) and over
+ * Streamable HTTP/SSE (see `httpServer.js`).
  */
 
 /**
  * List of all tools exposed by this MCP server, including:
- * - geocoding
+ * - geocoding (forward, reverse, autocomplete)
  * - nearby search
  * - text search
  * - place details
- * - ranking engine
+ * - batch geocoding and place details
+ * - search along a route
+ * - ranking engine (single profile or group, + weight presets)
+ * - one-shot recommendation (geocode → search → details → rank)
+ * - persistent user profiles (save/get/update/delete)
  *
- * Each tool is defined with a JSON Schema describing its expected input.
- * Used to respond to `tools/list` requests from clients.
+ * Each tool is defined with a JSON Schema describing its expected input (see `schemas.js`),
+ * which is enforced before the call is dispatched.
+ * Descriptions come from the message catalogue in `DEFAULT_LOCALE`; every tool
+ * accepts an optional `locale` for its output and errors.
+ * Used to respond to `tools/list` requests from clients (see `localizedToolDefs`).
  *
  * @type {Array<Object>}
  */
-const toolDefs = [
+export const toolDefs = [
     {
         name: "geocode",
-        description: "Convierte dirección a coordenadas (lat/lng) usando Google Geocoding",
-        inputSchema: {   
-            type: "object",
-            properties: { address: { type: "string" } },
-            required: ["address"]
-        }
+        description: t(DEFAULT_LOCALE, "tools.geocode"),
+        inputSchema: toolInputSchemas.geocode
+    },
+    {
+        name: "geocode_reverse",
+        description: t(DEFAULT_LOCALE, "tools.geocode_reverse"),
+        inputSchema: toolInputSchemas.geocode_reverse
+    },
+    {
+        name: "geocode_autocomplete",
+        description: t(DEFAULT_LOCALE, "tools.geocode_autocomplete"),
+        inputSchema: toolInputSchemas.geocode_autocomplete
+    },
+    {
+        name: "geocode_batch",
+        description: t(DEFAULT_LOCALE, "tools.geocode_batch"),
+        inputSchema: toolInputSchemas.geocode_batch
     },
     {
         name: "places_findNearby",
-        description: "Busca restaurantes cerca de un punto",
-        inputSchema: {   
-        type: "object",
-        properties: {
-            location: {
-                type: "object",
-                properties: {
-                    lat: { type: "number" },
-                    lng: { type: "number" }
-                },
-                required: ["lat", "lng"]
-            },
-            openNow: { type: "boolean" },
-            radiusMeters: { type: "number" },
-            maxResults: { type: "number" }
-        },
-        required: ["location"]
-        }
+        description: t(DEFAULT_LOCALE, "tools.places_findNearby"),
+        inputSchema: toolInputSchemas.places_findNearby
     },
     {
         name: "places_findByText",
-        description: "Busca restaurantes por texto (antojos)",
-        inputSchema: {
-        type: "object",
-        properties: {
-            query: { type: "string" },
-            location: {
-                type: "object",
-                properties: {
-                    lat: { type: "number" },
-                    lng: { type: "number" }
-                }
-            },
-            radiusMeters: { type: "number" },
-            maxResults: { type: "number" }
-        },
-        required: ["query"]
-        }
+        description: t(DEFAULT_LOCALE, "tools.places_findByText"),
+        inputSchema: toolInputSchemas.places_findByText
     },
     {
         name: "places_details",
-        description: "Devuelve información de un lugar por placeId",
-        inputSchema: {
-            type: "object",
-            properties: { placeId: { type: "string" } },
-            required: ["placeId"]
-        }
+        description: t(DEFAULT_LOCALE, "tools.places_details"),
+        inputSchema: toolInputSchemas.places_details
+    },
+    {
+        name: "places_detailsBatch",
+        description: t(DEFAULT_LOCALE, "tools.places_detailsBatch"),
+        inputSchema: toolInputSchemas.places_detailsBatch
+    },
+    {
+        name: "places_alongRoute",
+        description: t(DEFAULT_LOCALE, "tools.places_alongRoute"),
+        inputSchema: toolInputSchemas.places_alongRoute
     },
     {
         name: "ranking_rank",
-        description: "Rankea candidatos según perfil/origen",
-        inputSchema: {
-        type: "object",
-        properties: {
-            candidates: { type: "array" },
-            profile: { type: "object" },
-            origin: {
-                type: "object",
-                properties: {
-                    lat: { type: "number" },
-                    lng: { type: "number" }
-                }
-            },
-            topK: { type: "number" }
-        },
-        required: ["candidates", "profile"]
-        }
+        description: t(DEFAULT_LOCALE, "tools.ranking_rank"),
+        inputSchema: toolInputSchemas.ranking_rank
+    },
+    {
+        name: "ranking_group",
+        description: t(DEFAULT_LOCALE, "tools.ranking_group"),
+        inputSchema: toolInputSchemas.ranking_group
+    },
+    {
+        name: "ranking_presets",
+        description: t(DEFAULT_LOCALE, "tools.ranking_presets"),
+        inputSchema: toolInputSchemas.ranking_presets
+    },
+    {
+        name: "recommend",
+        description: t(DEFAULT_LOCALE, "tools.recommend"),
+        inputSchema: toolInputSchemas.recommend
+    },
+    {
+        name: "profile_save",
+        description: t(DEFAULT_LOCALE, "tools.profile_save"),
+        inputSchema: toolInputSchemas.profile_save
+    },
+    {
+        name: "profile_get",
+        description: t(DEFAULT_LOCALE, "tools.profile_get"),
+        inputSchema: toolInputSchemas.profile_get
+    },
+    {
+        name: "profile_update",
+        description: t(DEFAULT_LOCALE, "tools.profile_update"),
+        inputSchema: toolInputSchemas.profile_update
+    },
+    {
+        name: "profile_delete",
+        description: t(DEFAULT_LOCALE, "tools.profile_delete"),
+        inputSchema: toolInputSchemas.profile_delete
+    },
+    {
+        name: "feedback_record",
+        description: t(DEFAULT_LOCALE, "tools.feedback_record"),
+        inputSchema: toolInputSchemas.feedback_record
+    },
+    {
+        name: "feedback_list",
+        description: t(DEFAULT_LOCALE, "tools.feedback_list"),
+        inputSchema: toolInputSchemas.feedback_list
+    },
+    {
+        name: "query_parse",
+        description: t(DEFAULT_LOCALE, "tools.query_parse"),
+        inputSchema: toolInputSchemas.query_parse
     }
 ];
 
+/**
+ * Returns `toolDefs` with descriptions translated to `locale`.
+ *
+ * @param {string} [locale=DEFAULT_LOCALE] - A resolved locale (see `utils/i18n.js`).
+ * @returns {Array<Object>}
+ */
+export function localizedToolDefs(locale = DEFAULT_LOCALE) {
+    return toolDefs.map((def) => ({ ...def, description: t(locale, `tools.${def.name}`) }));
+}
+
 /**
  * Map of tool names to their corresponding handler functions.
  * Used to dynamically dispatch calls via `tools/call`.
  *
  * @type {Record<string, Function>}
  */
-const handlerMap = {
+export const handlerMap = {
   "geocode": geocode,
+  "geocode_reverse": geocodeReverse,
+  "geocode_autocomplete": geocodeAutocomplete,
+  "geocode_batch": geocodeBatch,
   "places_findNearby": findNearby,
   "places_findByText": findByText,
   "places_details": details,
+  "places_detailsBatch": detailsBatch,
+  "places_alongRoute": alongRoute,
   "ranking_rank": rank,
+  "ranking_group": group,
+  "ranking_presets": presets,
+  "recommend": recommend,
+  "profile_save": profileSave,
+  "profile_get": profileGet,
+  "profile_update": profileUpdate,
+  "profile_delete": profileDelete,
+  "feedback_record": feedbackRecord,
+  "feedback_list": feedbackList,
+  "query_parse": queryParse,
 };
 
 /**
- * Starts the MCP server using STDIO transport.
+ * Converts an `AppError` into the protocol-level error the SDK sends back (JSON-RPC `error`),
+ * using the code mapping of `toJsonRpcError`. The SDK only puts `code` and `message` on the wire.
+ *
+ * @param {string|number|null} requestId
+ * @param {import("../utils/errors.js").AppError} err
+ * @returns {McpError}
+ */
+export function toMcpError(requestId, err) {
+    const { error } = toJsonRpcError(requestId, err);
+    return new McpError(error.code, err.message, error.data);
+}
+
+/**
+ * Builds the `tools/call` result for a failed tool: `isError` set, the error payload
+ * as JSON text for the model, and as `structuredContent` for programmatic clients.
+ *
+ * @param {import("../utils/errors.js").ToolErrorPayload} error
+ * @returns {{ isError: true, content: Array<{ type: "text", text: string }>, structuredContent: { error: Object } }}
+ */
+export function toolErrorResult(error) {
+    return {
+        isError: true,
+        content: [{ type: "text", text: JSON.stringify({ error }, null, 2) }],
+        structuredContent: { error },
+    };
+}
+
+/**
+ * Creates a new MCP server instance with all tools registered.
  * Registers handlers for:
  * - `tools/list`: returns the list of available tools and their schemas.
- * - `tools/call`: executes the corresponding tool handler.
+ * - `tools/call`: validates the arguments against the tool's schema, then executes its handler.
  *
- * If a tool is not found, an error is thrown.
+ * An unknown tool is a protocol error (JSON-RPC `error`, mapped with `toJsonRpcError`).
+ * Arguments that fail the tool's schema, and anything the tool itself throws, come back as a
+ * result with `isError: true` and `{ code, message, retryable, retryAfterMs, requestId, details? }`;
+ * for schema failures `details.issues` lists every invalid field.
+ * A fresh instance is needed per connection, since an SDK `Server`
+ * can only be attached to one transport at a time.
  *
- * @returns {Promise<void>}
+ * @param {Object} [opts]
+ * @param {string} [opts.locale=DEFAULT_LOCALE] - Connection language: tool descriptions, and
+ *   the default `locale` of every call that does not pass its own.
+ * @returns {Server} Configured (not yet connected) MCP server.
  */
-export async function runStdioServer() {
+export function createServer({ locale = DEFAULT_LOCALE } = {}) {
   const server = new Server(
     { name: "mcp-food-recommender", version: "1.0.0" },
     { capabilities: { tools: {} } }
   );
 
   // Handle "tools/list" requests from the client
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: toolDefs }));
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: localizedToolDefs(locale) }));
 
   // Handle "tools/call" requests from the client
-  server.setRequestHandler(CallToolRequestSchema, async (req) => {
+  server.setRequestHandler(CallToolRequestSchema, async (req, extra) => {
     const { name, arguments: args } = req.params;
+    const requestId = extra?.requestId ?? null;
+
+    // Protocol error: there is no tool to report a result for
     const handler = handlerMap[name];
-    if (!handler) throw new Error(`Unknown tool: ${name}`);
-    const result = await handler(args);
-    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    if (!handler) {
+      const e = new ValidationError(t(locale, "errors.unknownTool", { name }));
+      logger.warn("tool.call.rejected", { tool: name, requestId, code: e.code, err: e.message });
+      throw toMcpError(requestId, e);
+    }
+
+    // Tool errors, invalid arguments included: returned as a result the model can read and act on
+    try {
+      assertToolInput(name, args, typeof args?.locale === "string" ? resolveLocale(args.locale) : locale);
+      const result = await handler({ locale, ...args });
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    } catch (e) {
+      const error = toToolError(e, { requestId });
+      if (error.code === "INTERNAL_ERROR") {
+        logger.error("tool.call.fail", { tool: name, requestId, err: e?.message, stack: e?.stack });
+      } else {
+        logger.warn("tool.call.fail", { tool: name, requestId, code: error.code, retryable: error.retryable, err: e.message });
+      }
+      return toolErrorResult(error);
+    }
   });
 
+  return server;
+}
+
+/**
+ * Starts the MCP server using STDIO transport.
+ *
+ * @returns {Promise<void>}
+ */
+export async function runStdioServer() {
+  const server = createServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
 }
-
-// Run the server and handle errors
-runStdioServer().catch((err) => {
-  console.error("Error al iniciar food server:", err);
-  process.exit(1);
-});
\ No newline at end of file
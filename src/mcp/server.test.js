@@ -0,0 +1,123 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach, jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { createServer } from './server.js';
+import { setProvider } from '../services/placeProvider.js';
+import { ProviderError, RateLimitError } from '../utils/errors.js';
+
+/**
+ * Connects a client to a fresh server over an in-memory transport.
+ *
+ * @returns {Promise<Client>}
+ */
+async function connect() {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer({ locale: 'en' }).connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+/**
+ * Provider whose details lookup fails with `error`.
+ *
+ * @param {Error} error
+ */
+function failingProvider(error) {
+  return {
+    name: `failing-${error.constructor.name}`,
+    getPlaceDetails: async () => {
+      throw error;
+    },
+  };
+}
+
+describe('tools/call error handling', () => {
+  /** @type {Client} */
+  let client;
+
+  beforeAll(async () => {
+    for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+    client = await connect();
+  });
+
+  afterEach(() => setProvider(null));
+
+  afterAll(async () => {
+    await client.close();
+    jest.restoreAllMocks();
+  });
+
+  test('an unknown tool is a protocol error (invalid params)', async () => {
+    const call = client.callTool({ name: 'places_teleport', arguments: {} });
+    await expect(call).rejects.toBeInstanceOf(McpError);
+    await expect(call).rejects.toMatchObject({ code: -32602, message: expect.stringContaining('places_teleport') });
+  });
+
+  test('arguments that fail the schema are a tool error listing every field', async () => {
+    const result = await client.callTool({ name: 'places_findNearby', arguments: { location: { lat: 91, lng: 'x' }, radiusMeters: 0 } });
+
+    expect(result.isError).toBe(true);
+    const { error } = result.structuredContent;
+    expect(error).toMatchObject({ code: 'VALIDATION_ERROR', retryable: false, retryAfterMs: null });
+    expect(error.details.issues).toEqual([
+      { path: 'location.lat', keyword: 'maximum', message: expect.stringContaining('location.lat') },
+      { path: 'location.lng', keyword: 'type', message: expect.stringContaining('location.lng') },
+      { path: 'radiusMeters', keyword: 'exclusiveMinimum', message: expect.stringContaining('radiusMeters') },
+    ]);
+    expect(error.message).toMatch(/^places_findNearby: 3 invalid parameter\(s\): /);
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+  });
+
+  test('a rate limit comes back as a retryable tool error with the retry-after hint', async () => {
+    setProvider(failingProvider(new RateLimitError('Google Places Details: cuota excedida', { retryAfterMs: 1200 })));
+    const result = await client.callTool({ name: 'places_details', arguments: { placeId: 'abc' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error).toMatchObject({
+      code: 'RATE_LIMIT',
+      message: 'Google Places Details: cuota excedida',
+      retryable: true,
+      retryAfterMs: 1200,
+    });
+    expect(result.structuredContent.error.requestId).not.toBeNull();
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+  });
+
+  test('a place that does not exist is a tool error that is not retryable', async () => {
+    setProvider(failingProvider(new ProviderError('Fixture: placeId no encontrado', { status: 404, placeId: 'abc' })));
+    const result = await client.callTool({ name: 'places_details', arguments: { placeId: 'abc' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error).toMatchObject({
+      code: 'PROVIDER_ERROR',
+      retryable: false,
+      retryAfterMs: null,
+      details: { status: 404, placeId: 'abc' },
+    });
+  });
+
+  test('validation done by the tool itself is a tool error', async () => {
+    const result = await client.callTool({ name: 'recommend', arguments: { craving: 'tacos' } });
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error).toMatchObject({ code: 'VALIDATION_ERROR', retryable: false });
+  });
+
+  test('unexpected errors are reported as internal without their message', async () => {
+    setProvider(failingProvider(new TypeError("Cannot read properties of undefined (reading 'id')")));
+    const result = await client.callTool({ name: 'places_details', arguments: { placeId: 'abc' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent.error).toMatchObject({ code: 'INTERNAL_ERROR', message: 'Internal error', retryable: false });
+    expect(result.content[0].text).not.toContain('Cannot read');
+  });
+
+  test('successful calls are unchanged', async () => {
+    setProvider({ name: 'ok', getPlaceDetails: async (placeId) => ({ placeId, name: 'Kacao' }) });
+    const result = await client.callTool({ name: 'places_details', arguments: { placeId: 'abc' } });
+
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual({ place: { placeId: 'abc', name: 'Kacao' } });
+  });
+});
@@ -0,0 +1,154 @@
+import { geocode, resolveBias } from './geocode.js';
+import { details } from './details.js';
+import { resolveFieldTier } from './places.js';
+import { mapSettled } from '../../utils/concurrency.js';
+import { BATCH_CONCURRENCY } from '../../config/env.js';
+import { ConfigError, ValidationError, toToolError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @fileoverview Tool implementation: `geocode_batch` and `places_detailsBatch`.
+ * Run `geocode` / `places_details` for many inputs in one call, at most `BATCH_CONCURRENCY`
+ * at a time. Repeated inputs are looked up once, and each item reports its own result or
+ * error, so one bad address or stale placeId does not fail the batch.
+ */
+
+/** Most items accepted by a batch tool call. */
+export const MAX_BATCH_ITEMS = 50;
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {number} index - Position in the input array.
+ * @property {boolean} ok
+ * @property {Object} [result] - What the single-item tool returns (when `ok`).
+ * @property {{ code: string, message: string }} [error] - Why the item failed (when not `ok`).
+ * @property {number} [duplicateOf] - Index of the earlier identical input whose result is reused.
+ */
+
+/**
+ * Validates the list parameter of a batch tool.
+ *
+ * @param {*} list
+ * @param {string} field - Parameter name for the error message.
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @throws {ValidationError} If not a non-empty array of at most `MAX_BATCH_ITEMS` entries.
+ */
+function assertBatchList(list, field, tool, locale) {
+  if (!Array.isArray(list) || !list.length) {
+    throw new ValidationError(t(locale, 'errors.nonEmptyArray', { tool, field }));
+  }
+  if (list.length > MAX_BATCH_ITEMS) {
+    throw new ValidationError(t(locale, 'errors.maxItems', { tool, field, max: MAX_BATCH_ITEMS }));
+  }
+}
+
+/**
+ * Runs `run` once per distinct input (by `keyOf`), with bounded concurrency, and maps the
+ * outcomes back onto every input position. Item errors are reported per item, with the code
+ * and message a single call would return (unexpected errors are only logged); a `ConfigError`
+ * (e.g. missing API key) would fail every item the same way, so it fails the call instead.
+ *
+ * @param {any[]} inputs
+ * @param {(input: any) => string} keyOf - De-duplication key; inputs that are not strings get a unique key.
+ * @param {(input: any) => Promise<Object>} run - Single-item tool call.
+ * @returns {Promise<{ total: number, unique: number, succeeded: number, failed: number, items: BatchItem[] }>}
+ * @throws {ConfigError}
+ */
+async function runBatch(inputs, keyOf, run) {
+  /** @type {Map<string, number>} */
+  const firstIndex = new Map();
+  const unique = [];
+  const duplicateOf = inputs.map((input, i) => {
+    const key = typeof input === 'string' ? keyOf(input) : `#${i}`;
+    if (firstIndex.has(key)) return firstIndex.get(key);
+    firstIndex.set(key, i);
+    unique.push(i);
+    return null;
+  });
+
+  const settled = await mapSettled(unique, BATCH_CONCURRENCY, (i) => run(inputs[i]));
+  const config = settled.find((r) => r.status === 'rejected' && r.reason instanceof ConfigError);
+  if (config) throw config.reason;
+
+  /** @type {Map<number, BatchItem>} */
+  const byIndex = new Map(
+    unique.map((i, n) => {
+      const r = settled[n];
+      if (r.status === 'fulfilled') return [i, { index: i, ok: true, result: r.value }];
+      const { code, message } = toToolError(r.reason);
+      if (code === 'INTERNAL_ERROR') logger.error('tool.batch.item.fail', { index: i, err: r.reason?.message, stack: r.reason?.stack });
+      return [i, { index: i, ok: false, error: { code, message } }];
+    })
+  );
+  const items = inputs.map((_, i) => {
+    const first = duplicateOf[i];
+    if (first === null) return byIndex.get(i);
+    return { ...structuredClone(byIndex.get(first)), index: i, duplicateOf: first };
+  });
+
+  const succeeded = items.filter((item) => item.ok).length;
+  return { total: items.length, unique: unique.length, succeeded, failed: items.length - succeeded, items };
+}
+
+/**
+ * Tool: `geocode_batch`
+ *
+ * @param {Object} [params={}]
+ * @param {string[]} params.addresses - Addresses to geocode (up to `MAX_BATCH_ITEMS`).
+ * @param {string} [params.region] - Two-letter country code to bias every lookup towards.
+ * @param {string} [params.language] - Language of the formatted addresses.
+ * @param {string} [params.locale] - Language of validation errors, also inside item errors.
+ * @returns {Promise<{ total: number, unique: number, succeeded: number, failed: number, items: BatchItem[] }>}
+ *   One item per address, in input order; `result` is what `geocode` returns.
+ * @throws {ValidationError} If `addresses` is not a non-empty array or the biasing parameters are invalid.
+ */
+export async function geocodeBatch(params = {}) {
+  const { addresses } = params;
+  const locale = resolveLocale(params.locale);
+  assertBatchList(addresses, 'addresses', 'geocode_batch', locale);
+  const bias = resolveBias(params, 'geocode_batch', locale);
+
+  logger.info('tool.geocode.batch.start', { count: addresses.length, ...bias });
+
+  const out = await runBatch(
+    addresses,
+    (address) => address.trim().toLowerCase().replace(/\s+/g, ' '),
+    (address) => geocode({ address, ...bias, locale })
+  );
+
+  logger.info('tool.geocode.batch.ok', { total: out.total, unique: out.unique, failed: out.failed });
+  return out;
+}
+
+/**
+ * Tool: `places_detailsBatch`
+ *
+ * @param {Object} [params={}]
+ * @param {string[]} params.placeIds - Places to look up (up to `MAX_BATCH_ITEMS`).
+ * @param {'basic'|'standard'|'full'} [params.fields='standard'] - Field tier for every place.
+ * @param {string} [params.locale] - Language of validation errors, also inside item errors.
+ * @returns {Promise<{ total: number, unique: number, succeeded: number, failed: number, items: BatchItem[] }>}
+ *   One item per placeId, in input order; `result` is what `places_details` returns (`{ place }`).
+ * @throws {ValidationError} If `placeIds` is not a non-empty array or `fields` is not a tier.
+ */
+export async function detailsBatch(params = {}) {
+  const { placeIds } = params;
+  const locale = resolveLocale(params.locale);
+  assertBatchList(placeIds, 'placeIds', 'places_detailsBatch', locale);
+  const fields = resolveFieldTier(params.fields, 'standard', 'places_detailsBatch', locale);
+
+  logger.info('tool.details.batch.start', { count: placeIds.length, fields });
+
+  const out = await runBatch(
+    placeIds,
+    (placeId) => placeId.trim(),
+    (placeId) => details({ placeId, fields, locale })
+  );
+
+  logger.info('tool.details.batch.ok', { total: out.total, unique: out.unique, failed: out.failed });
+  return out;
+}
+
+export default { geocodeBatch, detailsBatch, MAX_BATCH_ITEMS };
@@ -0,0 +1,34 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { detailsBatch } from './batch.js';
+import { setProvider } from '../../services/placeProvider.js';
+import { ProviderError } from '../../utils/errors.js';
+
+describe('places_detailsBatch', () => {
+  beforeAll(() => {
+    for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+    setProvider({
+      name: 'batch-test',
+      async getPlaceDetails(placeId) {
+        if (placeId === 'ChIJbug') throw new TypeError("Cannot read properties of undefined (reading 'displayName')");
+        if (placeId === 'ChIJdown') throw new ProviderError('Places API no disponible', { status: 503 });
+        return { placeId, name: 'Kacao' };
+      },
+    });
+  });
+
+  afterAll(() => {
+    setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('item errors carry the same code and message as a single call', async () => {
+    const out = await detailsBatch({ placeIds: ['ChIJok', 'ChIJbug', 'ChIJdown', 42] });
+    expect(out).toMatchObject({ total: 4, succeeded: 1, failed: 3 });
+    expect(out.items.map((item) => item.error ?? null)).toEqual([
+      null,
+      { code: 'INTERNAL_ERROR', message: 'Internal error' },
+      { code: 'PROVIDER_ERROR', message: 'Places API no disponible' },
+      { code: 'VALIDATION_ERROR', message: expect.stringContaining('placeId') },
+    ]);
+  });
+});
@@ -1,5 +1,7 @@
-import { getPlaceDetails } from '../../services/googleClient.js';
+import { getProvider } from '../../services/placeProvider.js';
+import { resolveFieldTier } from './places.js';
 import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -8,23 +10,27 @@ import { logger } from '../../utils/logger.js';
  */
 
 /**
- * Retrieves enriched place details using the Google Places API v1.
+ * Retrieves enriched place details from the active place provider (Google Places API v1 or fixtures).
  *
  * @param {Object} [params={}] - Parameters object.
  * @param {string} params.placeId - The Place ID to look up. Must be a non-empty string.
+ * @param {'basic'|'standard'|'full'} [params.fields='full'] - Field tier to fetch; "full" includes photos and reviews.
+ * @param {string} [params.locale] - Language of validation errors (default `MCP_LOCALE`).
  * @returns {Promise<{ place: import('../../models/place.js').Place }>} A promise resolving to an object with the normalized place details.
  * @throws {ValidationError} If `placeId` is missing or invalid.
  */
 export async function details(params = {}) {
   const { placeId } = params;
+  const locale = resolveLocale(params.locale);
 
   if (!placeId || typeof placeId !== 'string' || !placeId.trim()) {
-    throw new ValidationError('details: parámetro "placeId" (string) es requerido');
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool: 'places_details', field: 'placeId' }));
   }
+  const fields = resolveFieldTier(params.fields, 'full', 'places_details', locale);
 
-  logger.info('tool.details.start', { placeId });
+  logger.info('tool.details.start', { placeId, fields });
 
-  const place = await getPlaceDetails(placeId.trim());
+  const place = await getProvider().getPlaceDetails(placeId.trim(), { fields });
 
   logger.info('tool.details.ok', { placeId, hasWebsite: Boolean(place.website) });
   return { place };
@@ -0,0 +1,157 @@
+import { FEEDBACK_KINDS, placeSnapshot } from '../../models/feedback.js';
+import { recordFeedback, listFeedback } from '../../services/feedbackStore.js';
+import { getProfile } from '../../services/profileStore.js';
+import { getProvider } from '../../services/placeProvider.js';
+import { assertProfileId } from './profiles.js';
+import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @fileoverview Tool implementation: `feedback_record` and `feedback_list`.
+ * Stores what a user thought of a place (thumbs up/down, a visit, a 1–5 rating) against a
+ * stored profile. `ranking_rank`, `recommend` and `places_alongRoute` use it to personalise
+ * results when called with that `profileId` (see `services/personalization.js`).
+ */
+
+/** Longest `note` kept, in characters. */
+export const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Validates an optional 1–5 rating.
+ *
+ * @param {*} rating
+ * @param {string} kind - Feedback kind; "rating" requires it, "like"/"dislike" ignore it.
+ * @param {string} locale
+ * @returns {number|null}
+ * @throws {ValidationError} If missing for "rating" or not a number between 1 and 5.
+ */
+function resolveRating(rating, kind, locale) {
+  if (rating === undefined || rating === null) {
+    if (kind === 'rating') {
+      throw new ValidationError(t(locale, 'errors.range', { tool: 'feedback_record', field: 'rating', min: 1, max: 5 }));
+    }
+    return null;
+  }
+  if (typeof rating !== 'number' || !(rating >= 1 && rating <= 5)) {
+    throw new ValidationError(t(locale, 'errors.range', { tool: 'feedback_record', field: 'rating', min: 1, max: 5 }));
+  }
+  return kind === 'rating' || kind === 'visit' ? rating : null;
+}
+
+/**
+ * Snapshot of the place for personalisation: from `place` if the caller has it,
+ * otherwise looked up. A failed lookup still records the feedback, without snapshot.
+ *
+ * @param {string} placeId
+ * @param {Object} [place] - Place as returned by the search tools.
+ * @returns {Promise<import('../../models/feedback.js').PlaceSnapshot|null>}
+ */
+async function snapshotFor(placeId, place) {
+  if (place && typeof place === 'object' && !Array.isArray(place)) return placeSnapshot(place);
+  try {
+    return placeSnapshot(await getProvider().getPlaceDetails(placeId, { fields: 'basic' }));
+  } catch (e) {
+    logger.warn('tool.feedback.snapshot_fail', { placeId, err: e?.message });
+    return null;
+  }
+}
+
+/**
+ * Tool: `feedback_record`
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.profileId - Stored profile the feedback belongs to.
+ * @param {string} params.placeId - Place the feedback is about.
+ * @param {'like'|'dislike'|'visit'|'rating'} params.kind
+ * @param {number} [params.rating] - 1–5; required for "rating", optional for "visit".
+ * @param {string} [params.note] - Free text (up to `MAX_NOTE_LENGTH` characters are kept).
+ * @param {string} [params.at] - When it happened (ISO 8601, default now).
+ * @param {Object} [params.place] - The place as returned by a search, to skip the lookup of its types and price.
+ * @param {string} [params.locale] - Language of validation errors (default `MCP_LOCALE`).
+ * @returns {Promise<{ entry: import('../../models/feedback.js').FeedbackEntry }>}
+ * @throws {ValidationError} If inputs are invalid or the profile does not exist.
+ */
+export async function feedbackRecord(params = {}) {
+  const { placeId, kind, note, at } = params;
+  const locale = resolveLocale(params.locale);
+  const profileId = assertProfileId(params.profileId, 'feedback_record', locale);
+
+  if (!placeId || typeof placeId !== 'string' || !placeId.trim()) {
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool: 'feedback_record', field: 'placeId' }));
+  }
+  if (!FEEDBACK_KINDS.includes(kind)) {
+    throw new ValidationError(
+      t(locale, 'errors.oneOf', { tool: 'feedback_record', field: 'kind', allowed: FEEDBACK_KINDS.join(', ') })
+    );
+  }
+  const rating = resolveRating(params.rating, kind, locale);
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    throw new ValidationError(t(locale, 'errors.string', { tool: 'feedback_record', field: 'note' }));
+  }
+  if (at !== undefined && (typeof at !== 'string' || Number.isNaN(Date.parse(at)))) {
+    throw new ValidationError(t(locale, 'errors.dateTime', { tool: 'feedback_record', field: 'at' }));
+  }
+  await getProfile(profileId, { locale });
+
+  logger.info('tool.feedback.record.start', { profileId, placeId, kind });
+
+  const entry = await recordFeedback({
+    profileId,
+    placeId: placeId.trim(),
+    kind,
+    rating,
+    note: note?.trim().slice(0, MAX_NOTE_LENGTH) || null,
+    at: at ? new Date(at).toISOString() : new Date().toISOString(),
+    place: await snapshotFor(placeId.trim(), params.place),
+  });
+
+  logger.info('tool.feedback.record.ok', { profileId, id: entry.id, hasSnapshot: Boolean(entry.place) });
+  return { entry };
+}
+
+/**
+ * Tool: `feedback_list`
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.profileId
+ * @param {string} [params.placeId] - Only feedback about this place.
+ * @param {'like'|'dislike'|'visit'|'rating'} [params.kind] - Only feedback of this kind.
+ * @param {number} [params.limit=50] - Most records to return (newest first).
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<{
+ *   profileId: string,
+ *   total: number,
+ *   returned: number,
+ *   counts: Record<'like'|'dislike'|'visit'|'rating', number>,
+ *   entries: import('../../models/feedback.js').FeedbackEntry[]
+ * }>} Matching records, newest first, and how many there are of each kind.
+ * @throws {ValidationError} If inputs are invalid or the profile does not exist.
+ */
+export async function feedbackList(params = {}) {
+  const { placeId, kind, limit = 50 } = params;
+  const locale = resolveLocale(params.locale);
+  const profileId = assertProfileId(params.profileId, 'feedback_list', locale);
+
+  if (placeId !== undefined && (typeof placeId !== 'string' || !placeId.trim())) {
+    throw new ValidationError(t(locale, 'errors.nonEmptyString', { tool: 'feedback_list', field: 'placeId' }));
+  }
+  if (kind !== undefined && !FEEDBACK_KINDS.includes(kind)) {
+    throw new ValidationError(
+      t(locale, 'errors.oneOf', { tool: 'feedback_list', field: 'kind', allowed: FEEDBACK_KINDS.join(', ') })
+    );
+  }
+  if (typeof limit !== 'number' || limit <= 0) {
+    throw new ValidationError(t(locale, 'errors.positiveNumber', { tool: 'feedback_list', field: 'limit' }));
+  }
+  await getProfile(profileId, { locale });
+
+  const all = await listFeedback(profileId, { placeId: placeId?.trim(), kind });
+  const counts = Object.fromEntries(FEEDBACK_KINDS.map((k) => [k, all.filter((e) => e.kind === k).length]));
+  const entries = all.slice(0, Math.floor(limit));
+
+  logger.info('tool.feedback.list.ok', { profileId, total: all.length, returned: entries.length });
+  return { profileId, total: all.length, returned: entries.length, counts, entries };
+}
+
+export default { feedbackRecord, feedbackList, MAX_NOTE_LENGTH };
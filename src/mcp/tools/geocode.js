@@ -1,31 +1,112 @@
-import { geocodeAddress } from '../../services/googleClient.js';
+import { randomUUID } from 'node:crypto';
+import { getProvider } from '../../services/placeProvider.js';
+import { assertLatLng } from './places.js';
 import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
 import { logger } from '../../utils/logger.js';
 
 /**
- * @fileoverview Tool implementation: `geocode`.
- * Converts a textual address into geographic coordinates using Google Geocoding API.
+ * @fileoverview Tool implementation: `geocode`, `geocode_reverse` and `geocode_autocomplete`.
+ * Converts addresses to coordinates (optionally with every candidate match, so the agent can ask
+ * "which Zona 10 did you mean?"), coordinates back to addresses, and partial input to place
+ * suggestions, using the active place provider (Google or fixtures).
  */
 
+/** Most suggestions `geocode_autocomplete` returns. */
+export const MAX_SUGGESTIONS = 20;
+
+/** Largest autocomplete bias radius Google accepts, in meters. */
+const MAX_BIAS_RADIUS = 50000;
+
+const REGION_RE = /^[a-z]{2}$/i;
+const LANGUAGE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Validates the optional `region` / `language` biasing parameters.
+ *
+ * @param {Object} params - Tool parameters.
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @returns {{ region?: string, language?: string }} Only the parameters that were given.
+ * @throws {ValidationError} If `region` is not a two-letter country code or `language` not a language tag.
+ */
+export function resolveBias({ region, language }, tool, locale) {
+  const out = {};
+  if (region !== undefined && region !== null) {
+    if (typeof region !== 'string' || !REGION_RE.test(region.trim())) {
+      throw new ValidationError(t(locale, 'errors.regionCode', { tool, field: 'region' }));
+    }
+    out.region = region.trim().toLowerCase();
+  }
+  if (language !== undefined && language !== null) {
+    if (typeof language !== 'string' || !LANGUAGE_RE.test(language.trim())) {
+      throw new ValidationError(t(locale, 'errors.languageCode', { tool, field: 'language' }));
+    }
+    out.language = language.trim();
+  }
+  return out;
+}
+
+/**
+ * Shapes a provider geocoding result for tool output (coordinates nested, raw response dropped).
+ *
+ * @param {import('../../models/geocode.js').GeocodeResult} geo
+ * @returns {{
+ *   formattedAddress: string,
+ *   location: { lat: number, lng: number },
+ *   locationType: string|null,
+ *   bounds: import('../../models/geocode.js').LatLngBounds|null,
+ *   viewport: import('../../models/geocode.js').LatLngBounds|null,
+ *   placeId: string|null,
+ *   types: string[],
+ *   partialMatch: boolean
+ * }}
+ */
+function toCandidate(geo) {
+  return {
+    formattedAddress: geo.formattedAddress,
+    location: { lat: geo.lat, lng: geo.lng },
+    locationType: geo.locationType ?? null,
+    bounds: geo.bounds ?? null,
+    viewport: geo.viewport ?? null,
+    placeId: geo.placeId ?? null,
+    types: geo.types ?? [],
+    partialMatch: Boolean(geo.partialMatch),
+  };
+}
+
 /**
  * Converts an address to latitude and longitude using the `geocodeAddress` service.
  *
  * @param {Object} [params={}] - Parameters object.
  * @param {string} params.address - The address to geocode. Must be a non-empty string.
- * @returns {Promise<{ formattedAddress: string, location: { lat: number, lng: number } }>} 
- * A promise resolving to the formatted address and location coordinates.
+ * @param {string} [params.region] - Two-letter country code to bias towards (e.g. "gt").
+ * @param {string} [params.language] - Language of the formatted address (e.g. "es", "en").
+ * @param {boolean} [params.all=false] - Also return every candidate match in `candidates`.
+ * @param {string} [params.locale] - Language of validation errors (default `MCP_LOCALE`).
+ * @returns {Promise<ReturnType<typeof toCandidate> & { candidates?: ReturnType<typeof toCandidate>[], ambiguous?: boolean }>}
+ * The best match (formatted address, location, precision and bounds); with `all`, every match too
+ * and whether there was more than one.
  * @throws {ValidationError} If `address` is missing or invalid.
  */
 export async function geocode(params = {}) {
-  const { address } = params;
+  const { address, all = false } = params;
+  const locale = resolveLocale(params.locale);
 
   if (!address || typeof address !== 'string' || !address.trim()) {
-    throw new ValidationError('geocode: parámetro "address" (string) es requerido');
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool: 'geocode', field: 'address' }));
   }
+  const bias = resolveBias(params, 'geocode', locale);
+
+  logger.info('tool.geocode.start', { address, all: Boolean(all), ...bias });
 
-  logger.info('tool.geocode.start', { address });
+  if (all) {
+    const candidates = (await getProvider().geocodeCandidates(address.trim(), bias)).map(toCandidate);
+    logger.info('tool.geocode.ok', { count: candidates.length, formattedAddress: candidates[0].formattedAddress });
+    return { ...candidates[0], candidates, ambiguous: candidates.length > 1 };
+  }
 
-  const geo = await geocodeAddress(address.trim());
+  const geo = await getProvider().geocodeAddress(address.trim(), bias);
 
   logger.info('tool.geocode.ok', {
     formattedAddress: geo.formattedAddress,
@@ -33,10 +114,97 @@ export async function geocode(params = {}) {
     lng: geo.lng,
   });
 
+  return toCandidate(geo);
+}
+
+/**
+ * Tool: `geocode_reverse`
+ *
+ * @param {Object} [params={}]
+ * @param {{ lat: number, lng: number }} params.location - Point to describe.
+ * @param {string} [params.language] - Language of the formatted addresses.
+ * @param {string[]} [params.resultTypes] - Keep only results of these types (e.g. ["street_address"], ["neighborhood"]).
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<{ location: { lat: number, lng: number }, formattedAddress: string, candidates: ReturnType<typeof toCandidate>[] }>}
+ *   The most precise address in `formattedAddress`, and every result (street, neighbourhood, city…) in `candidates`.
+ * @throws {ValidationError} If `location` or the other parameters are invalid.
+ */
+export async function geocodeReverse(params = {}) {
+  const { location, resultTypes } = params;
+  const locale = resolveLocale(params.locale);
+  assertLatLng(location, 'geocode_reverse', locale);
+  const { language } = resolveBias({ language: params.language }, 'geocode_reverse', locale);
+  if (resultTypes !== undefined && (!Array.isArray(resultTypes) || resultTypes.some((x) => typeof x !== 'string'))) {
+    throw new ValidationError(t(locale, 'errors.stringArray', { tool: 'geocode_reverse', field: 'resultTypes' }));
+  }
+
+  logger.info('tool.geocode.reverse.start', { lat: location.lat, lng: location.lng, language });
+
+  const results = await getProvider().reverseGeocode(
+    { lat: location.lat, lng: location.lng },
+    { language, resultTypes: resultTypes ?? [] }
+  );
+  const candidates = results.map(toCandidate);
+
+  logger.info('tool.geocode.reverse.ok', { count: candidates.length, formattedAddress: candidates[0].formattedAddress });
   return {
-    formattedAddress: geo.formattedAddress,
-    location: { lat: geo.lat, lng: geo.lng },
+    location: { lat: location.lat, lng: location.lng },
+    formattedAddress: candidates[0].formattedAddress,
+    candidates,
   };
 }
 
-export default { geocode };
\ No newline at end of file
+/**
+ * Tool: `geocode_autocomplete`
+ *
+ * Suggests places for what the user has typed so far. Pass the returned `sessionToken`
+ * on each following keystroke of the same search so Google bills them as one session.
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.input - Partial text (e.g. "kaca", "pizza zona 1").
+ * @param {{ lat: number, lng: number }} [params.location] - Point to bias suggestions towards (and measure distances from).
+ * @param {number} [params.radiusMeters=5000] - Bias radius (at most 50 000).
+ * @param {string} [params.region] - Two-letter country code; suggestions are restricted to it.
+ * @param {string} [params.language] - Language of the suggestion texts.
+ * @param {string} [params.sessionToken] - Token from a previous call of the same search; a new one is generated when omitted.
+ * @param {number} [params.maxResults=5] - Most suggestions returned (up to `MAX_SUGGESTIONS`).
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<{ input: string, sessionToken: string, suggestions: import('../../models/geocode.js').AutocompleteSuggestion[] }>}
+ * @throws {ValidationError} If inputs are invalid.
+ */
+export async function geocodeAutocomplete(params = {}) {
+  const { input, location, radiusMeters = 5000, maxResults = 5, sessionToken } = params;
+  const locale = resolveLocale(params.locale);
+
+  if (!input || typeof input !== 'string' || !input.trim()) {
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool: 'geocode_autocomplete', field: 'input' }));
+  }
+  if (location !== undefined) assertLatLng(location, 'geocode_autocomplete', locale);
+  if (typeof radiusMeters !== 'number' || radiusMeters <= 0) {
+    throw new ValidationError(t(locale, 'errors.positiveNumber', { tool: 'geocode_autocomplete', field: 'radiusMeters' }));
+  }
+  if (!Number.isInteger(maxResults) || maxResults <= 0) {
+    throw new ValidationError(t(locale, 'errors.positiveInteger', { tool: 'geocode_autocomplete', field: 'maxResults' }));
+  }
+  if (sessionToken !== undefined && (typeof sessionToken !== 'string' || !sessionToken.trim())) {
+    throw new ValidationError(t(locale, 'errors.nonEmptyString', { tool: 'geocode_autocomplete', field: 'sessionToken' }));
+  }
+  const bias = resolveBias(params, 'geocode_autocomplete', locale);
+  const token = sessionToken?.trim() || randomUUID();
+
+  logger.info('tool.geocode.autocomplete.start', { input, hasLocation: Boolean(location), ...bias });
+
+  const suggestions = await getProvider().autocompletePlaces({
+    input: input.trim(),
+    ...(location ? { lat: location.lat, lng: location.lng } : {}),
+    radius: Math.min(radiusMeters, MAX_BIAS_RADIUS),
+    ...bias,
+    sessionToken: token,
+    maxResults: Math.min(maxResults, MAX_SUGGESTIONS),
+  });
+
+  logger.info('tool.geocode.autocomplete.ok', { count: suggestions.length });
+  return { input: input.trim(), sessionToken: token, suggestions };
+}
+
+export default { geocode, geocodeReverse, geocodeAutocomplete, resolveBias, MAX_SUGGESTIONS };
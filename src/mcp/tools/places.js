@@ -1,30 +1,55 @@
-import {
-  searchNearbyRestaurants,
-  searchTextRestaurants,
-} from '../../services/googleClient.js';
+import { getProvider } from '../../services/placeProvider.js';
+import { searchNearbyTiled, NEARBY_PAGE_SIZE } from '../../services/nearbyTiling.js';
+import { resolveTypeFilter, defaultTypeFilter } from '../../services/placeTypes.js';
+import { PLACES_MAX_RESULTS } from '../../config/env.js';
+import { FIELD_TIERS } from '../../models/place.js';
 import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
 import { logger } from '../../utils/logger.js';
 
 /**
  * @fileoverview Tool implementation: `places_findNearby` and `places_findByText`.
- * Provides search functionality for restaurants using Google Places API v1,
+ * Provides search functionality for restaurants through the active place provider (Google Places API v1 or fixtures),
  * either by proximity (lat/lng) or by text query (e.g., craving or keyword).
+ * Both accept `includedTypes` / `excludedTypes` (place types or groups, see `services/placeTypes.js`).
  */
 
 /**
  * Validates that the provided object is a valid lat/lng location.
  * 
  * @param {Object} obj - Object expected to contain `lat` and `lng` properties.
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @param {string} [field='location'] - Parameter name for the error message.
  * @throws {ValidationError} If lat/lng are missing or invalid.
  */
-function assertLatLng(obj) {
+export function assertLatLng(obj, tool, locale, field = 'location') {
   if (!obj || typeof obj.lat !== 'number' || typeof obj.lng !== 'number') {
-    throw new ValidationError('Se requiere "location" con { lat:number, lng:number }');
+    throw new ValidationError(t(locale, 'errors.latLng', { tool, field }));
   }
 }
 
+/**
+ * Resolves the `fields` parameter (field tier to fetch).
+ *
+ * @param {*} fields - "basic", "standard" or "full".
+ * @param {string} fallback - Tier used when `fields` is omitted.
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @returns {'basic'|'standard'|'full'}
+ * @throws {ValidationError} If `fields` is not a known tier.
+ */
+export function resolveFieldTier(fields, fallback, tool, locale) {
+  if (fields === undefined || fields === null) return fallback;
+  if (!FIELD_TIERS.includes(fields)) {
+    throw new ValidationError(t(locale, 'errors.fieldTier', { tool, field: 'fields', allowed: FIELD_TIERS.join(', ') }));
+  }
+  return fields;
+}
+
 /**
  * Normalizes and validates optional radius and result limit.
+ * `maxResults` defaults to 20 and is capped at `PLACES_MAX_RESULTS`.
  *
  * @param {Object} opts
  * @param {number} [opts.radiusMeters]
@@ -35,27 +60,36 @@ function normalizeSearchOpts({ radiusMeters, maxResults }) {
   const out = {};
   out.radiusMeters = typeof radiusMeters === 'number' && radiusMeters > 0 ? radiusMeters : 1500;
   out.maxResults = typeof maxResults === 'number' && maxResults > 0 ? maxResults : 20;
-  if (out.maxResults > 20) out.maxResults = 20;
+  if (out.maxResults > PLACES_MAX_RESULTS) out.maxResults = PLACES_MAX_RESULTS;
   return out;
 }
 
 /**
  * Tool: `places_findNearby`
  *
- * Searches for restaurants near a given location using the Google Places API.
+ * Searches for restaurants near a given location using the active place provider.
+ * Above 20 results, the radius is tiled into sub-circles (see `nearbyTiling.js`)
+ * and results are de-duplicated by `placeId`.
  *
  * @param {Object} [params={}]
  * @param {{ lat: number, lng: number }} params.location - Required lat/lng object.
  * @param {boolean} [params.openNow=false] - Optional filter to only return places currently open.
  * @param {number} [params.radiusMeters] - Optional radius in meters (default 1500).
- * @param {number} [params.maxResults] - Optional max number of results (1–20).
+ * @param {number} [params.maxResults] - Optional max number of results (1–`PLACES_MAX_RESULTS`).
+ * @param {'basic'|'standard'|'full'} [params.fields='standard'] - Field tier to fetch (see `FIELD_TIERS`).
+ * @param {string[]} [params.includedTypes] - Place types or groups to search for (default: food-related types).
+ * @param {string[]} [params.excludedTypes] - Place types or groups to leave out (default: gas stations, groceries).
+ * @param {string} [params.locale] - Language of validation errors (default `MCP_LOCALE`).
  * @returns {Promise<{ candidates: import('../../models/place.js').Place[] }>} A list of nearby restaurant candidates.
  * @throws {ValidationError} If location is missing or invalid.
  */
 export async function findNearby(params = {}) {
   const { location, openNow = false } = params;
-  assertLatLng(location);
+  const locale = resolveLocale(params.locale);
+  assertLatLng(location, 'places_findNearby', locale);
   const { radiusMeters, maxResults } = normalizeSearchOpts(params);
+  const fields = resolveFieldTier(params.fields, 'standard', 'places_findNearby', locale);
+  const { includedTypes, excludedTypes } = resolveTypeFilter(params, { tool: 'places_findNearby', locale });
 
   logger.info('tool.places.findNearby.start', {
     lat: location.lat,
@@ -63,15 +97,26 @@ export async function findNearby(params = {}) {
     radiusMeters,
     openNow,
     maxResults,
+    fields,
+    includedTypes,
+    excludedTypes,
   });
 
-  const results = await searchNearbyRestaurants({
+  const provider = getProvider();
+  const searchParams = {
     lat: location.lat,
     lng: location.lng,
     radius: radiusMeters,
     openNow,
     maxResults,
-  });
+    fields,
+    includedTypes,
+    excludedTypes,
+  };
+
+  const results = maxResults > NEARBY_PAGE_SIZE
+    ? (await searchNearbyTiled((p) => provider.searchNearbyRestaurants(p), searchParams)).places
+    : await provider.searchNearbyRestaurants(searchParams);
 
   logger.info('tool.places.findNearby.ok', { count: results.length });
   return { candidates: results };
@@ -86,7 +131,11 @@ export async function findNearby(params = {}) {
  * @param {string} params.query - Search text (e.g., "vegan ramen").
  * @param {{ lat: number, lng: number }} [params.location] - Optional location for biasing results.
  * @param {number} [params.radiusMeters] - Optional search radius in meters.
- * @param {number} [params.maxResults] - Optional max number of results (1–20).
+ * @param {number} [params.maxResults] - Optional max number of results (1–`PLACES_MAX_RESULTS`); pages are followed past 20.
+ * @param {'basic'|'standard'|'full'} [params.fields='standard'] - Field tier to fetch (see `FIELD_TIERS`).
+ * @param {string[]} [params.includedTypes] - Keep only these place types or groups (default: any; the query already says what to look for).
+ * @param {string[]} [params.excludedTypes] - Place types or groups to leave out (default: gas stations, groceries).
+ * @param {string} [params.locale] - Language of validation errors (default `MCP_LOCALE`).
  * @returns {Promise<{ candidates: import('../../models/place.js').Place[] }>} A list of matching restaurant candidates.
  * @throws {ValidationError} If `query` is missing or invalid.
  */
@@ -96,28 +145,41 @@ export async function findByText(params = {}) {
     location,
   } = params;
 
+  const locale = resolveLocale(params.locale);
   if (!query || typeof query !== 'string' || !query.trim()) {
-    throw new ValidationError('findByText: parámetro "query" (string) es requerido');
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool: 'places_findByText', field: 'query' }));
   }
 
   const { radiusMeters, maxResults } = normalizeSearchOpts(params);
+  const fields = resolveFieldTier(params.fields, 'standard', 'places_findByText', locale);
+  const { includedTypes, excludedTypes } = resolveTypeFilter(params, {
+    tool: 'places_findByText',
+    locale,
+    fallback: { ...defaultTypeFilter(), includedTypes: [] },
+  });
 
   // location es opcional, pero si viene debe ser válido
-  if (location) assertLatLng(location);
+  if (location) assertLatLng(location, 'places_findByText', locale);
 
   logger.info('tool.places.findByText.start', {
     query: query.trim(),
     hasLocation: Boolean(location),
     radiusMeters,
     maxResults,
+    fields,
+    includedTypes,
+    excludedTypes,
   });
 
-  const results = await searchTextRestaurants({
+  const results = await getProvider().searchTextRestaurants({
     query: query.trim(),
     lat: location?.lat,
     lng: location?.lng,
     radius: radiusMeters,
     maxResults,
+    fields,
+    includedTypes,
+    excludedTypes,
   });
 
   logger.info('tool.places.findByText.ok', { count: results.length });
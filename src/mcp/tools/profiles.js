@@ -0,0 +1,141 @@
+import {
+  getProfile,
+  saveProfile,
+  updateProfile,
+  deleteProfile,
+} from '../../services/profileStore.js';
+import { deleteFeedback } from '../../services/feedbackStore.js';
+import { assertBudgetCurrency } from '../../services/budget.js';
+import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @fileoverview Tool implementation: `profile_save`, `profile_get`, `profile_update`, `profile_delete`.
+ * Persists user preferences so they can be reused across sessions via `profileId`
+ * (e.g. in `ranking_rank` and `recommend`).
+ */
+
+/**
+ * Validates a `profileId` parameter.
+ *
+ * @param {*} profileId
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @returns {string} Trimmed id.
+ * @throws {ValidationError} If missing or not a string.
+ */
+export function assertProfileId(profileId, tool, locale) {
+  if (!profileId || typeof profileId !== 'string' || !profileId.trim()) {
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool, field: 'profileId' }));
+  }
+  return profileId.trim();
+}
+
+/**
+ * Validates a profile/patch object parameter.
+ *
+ * @param {*} obj
+ * @param {string} field - Parameter name for the error message.
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @throws {ValidationError} If not a plain object.
+ */
+function assertObject(obj, field, tool, locale) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new ValidationError(t(locale, 'errors.requiredObject', { tool, field }));
+  }
+}
+
+/**
+ * Tool: `profile_save`
+ *
+ * Creates a profile, or replaces it entirely when `profileId` already exists.
+ *
+ * @param {Object} [params={}]
+ * @param {Object} params.profile - Preferences (same shape as `ranking_rank.profile`).
+ * @param {string} [params.profileId] - Id to create/overwrite; generated when omitted.
+ * @param {string} [params.name] - Optional label (e.g. "Madeline - almuerzos").
+ * @param {string} [params.locale] - Language of validation errors (default `MCP_LOCALE`).
+ * @returns {Promise<{ profile: import('../../models/profile.js').StoredProfile }>}
+ * @throws {ValidationError} If inputs are invalid.
+ */
+export async function profileSave(params = {}) {
+  const { profile, profileId, name } = params;
+  const locale = resolveLocale(params.locale);
+  assertObject(profile, 'profile', 'profile_save', locale);
+  const id = profileId === undefined ? undefined : assertProfileId(profileId, 'profile_save', locale);
+  if (name !== undefined && typeof name !== 'string') {
+    throw new ValidationError(t(locale, 'errors.string', { tool: 'profile_save', field: 'name' }));
+  }
+
+  assertBudgetCurrency(profile.maxBudget, locale);
+
+  const saved = await saveProfile({ id, name, profile });
+  logger.info('tool.profile.save.ok', { profileId: saved.id });
+  return { profile: saved };
+}
+
+/**
+ * Tool: `profile_get`
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.profileId
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<{ profile: import('../../models/profile.js').StoredProfile }>}
+ * @throws {ValidationError} If the id is missing or unknown.
+ */
+export async function profileGet(params = {}) {
+  const locale = resolveLocale(params.locale);
+  const id = assertProfileId(params.profileId, 'profile_get', locale);
+  return { profile: await getProfile(id, { locale }) };
+}
+
+/**
+ * Tool: `profile_update`
+ *
+ * Merges `patch` into the stored preferences (fields present in `patch` replace stored ones).
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.profileId
+ * @param {Object} params.patch - Partial preferences, e.g. `{ minRating: 4.5 }`.
+ * @param {string} [params.name] - New label.
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<{ profile: import('../../models/profile.js').StoredProfile }>}
+ * @throws {ValidationError} If inputs are invalid or the id is unknown.
+ */
+export async function profileUpdate(params = {}) {
+  const { patch, name } = params;
+  const locale = resolveLocale(params.locale);
+  const id = assertProfileId(params.profileId, 'profile_update', locale);
+  assertObject(patch, 'patch', 'profile_update', locale);
+  if (name !== undefined && typeof name !== 'string') {
+    throw new ValidationError(t(locale, 'errors.string', { tool: 'profile_update', field: 'name' }));
+  }
+
+  assertBudgetCurrency(patch.maxBudget, locale);
+
+  const updated = await updateProfile(id, patch, name, { locale });
+  logger.info('tool.profile.update.ok', { profileId: id, fields: Object.keys(patch) });
+  return { profile: updated };
+}
+
+/**
+ * Tool: `profile_delete`
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.profileId
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<{ profileId: string, deleted: boolean, feedbackDeleted: number }>} The profile's
+ *   recorded feedback (see `feedback_record`) is deleted with it.
+ * @throws {ValidationError} If the id is missing.
+ */
+export async function profileDelete(params = {}) {
+  const locale = resolveLocale(params.locale);
+  const id = assertProfileId(params.profileId, 'profile_delete', locale);
+  const deleted = await deleteProfile(id);
+  const feedbackDeleted = await deleteFeedback(id);
+  return { profileId: id, deleted, feedbackDeleted };
+}
+
+export default { profileSave, profileGet, profileUpdate, profileDelete };
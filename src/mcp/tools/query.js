@@ -0,0 +1,56 @@
+import { parseQuery, parseReferenceTime, MAX_QUERY_LENGTH } from '../../services/queryParser.js';
+import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @fileoverview Tool implementation: `query_parse`.
+ * Turns a free-text request ("tacos abiertos ahora, baratos, top 5") into a profile and
+ * search parameters for `recommend` / `ranking_rank`, without guessing on the client side.
+ */
+
+/** Largest UTC offset in use (UTC+14), in minutes. */
+const MAX_UTC_OFFSET = 840;
+
+/**
+ * Tool: `query_parse`
+ *
+ * @param {Object} [params={}]
+ * @param {string} params.query - What the user asked for, in Spanish or English.
+ * @param {string} [params.now] - Reference time for "tonight", "el viernes a las 9"… (ISO 8601;
+ *   without a zone it is the user's wall clock, with one it is read at that offset). Default: the current time.
+ * @param {number} [params.utcOffsetMinutes] - The user's UTC offset (e.g. -360), used to read `now`
+ *   or the current time on their clock. Without it (and without a zone in `now`) the current time is read as UTC.
+ * @param {string} [params.locale] - Language of errors, and assumed language of ambiguous queries.
+ * @returns {Promise<{ query: string } & import('../../services/queryParser.js').ParsedQuery>}
+ * @throws {ValidationError} If `query` is missing or too long, `now` is not a date, or the offset is out of range.
+ */
+export async function queryParse(params = {}) {
+  const { query, now, utcOffsetMinutes } = params;
+  const locale = resolveLocale(params.locale);
+
+  if (!query || typeof query !== 'string' || !query.trim()) {
+    throw new ValidationError(t(locale, 'errors.requiredString', { tool: 'query_parse', field: 'query' }));
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new ValidationError(t(locale, 'errors.maxLength', { tool: 'query_parse', field: 'query', max: MAX_QUERY_LENGTH }));
+  }
+  if (utcOffsetMinutes !== undefined && !(Number.isInteger(utcOffsetMinutes) && Math.abs(utcOffsetMinutes) <= MAX_UTC_OFFSET)) {
+    throw new ValidationError(t(locale, 'errors.range', { tool: 'query_parse', field: 'utcOffsetMinutes', min: -MAX_UTC_OFFSET, max: MAX_UTC_OFFSET }));
+  }
+  const reference = parseReferenceTime(now, utcOffsetMinutes);
+  if (!reference) {
+    throw new ValidationError(t(locale, 'errors.dateTime', { tool: 'query_parse', field: 'now' }));
+  }
+
+  const parsed = parseQuery(query, { now: reference, locale });
+
+  logger.info('tool.query.parse.ok', {
+    language: parsed.language,
+    fields: Object.keys(parsed.fields),
+    unparsed: parsed.unparsed.length,
+  });
+  return { query: query.trim(), ...parsed };
+}
+
+export default { queryParse };
@@ -1,22 +1,34 @@
-import { rankAndExplain } from '../../services/scoring.js';
+import { rankAndExplain, applyHardFilters } from '../../services/scoring.js';
+import { AGGREGATIONS, applyGroupHardFilters, rankForGroup } from '../../services/groupScoring.js';
 import { normalizeProfile as normalizeProfileModel } from '../../models/profile.js';
+import { getProfile } from '../../services/profileStore.js';
+import { resolveWeights, listPresets } from '../../services/weights.js';
+import { resolveDiversity } from '../../services/diversity.js';
+import { tasteForProfile } from '../../services/personalization.js';
+import { assertBudgetCurrency } from '../../services/budget.js';
 import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale, resolveUnits } from '../../utils/i18n.js';
 import { logger } from '../../utils/logger.js';
 
 /**
- * @fileoverview Tool implementation: `ranking_rank`.
- * Ranks a list of candidate places using user preferences and location.
+ * @fileoverview Tool implementation: `ranking_rank`, `ranking_group` and `ranking_presets`.
+ * Ranks a list of candidate places using user preferences and location,
+ * for one person or for a group with several profiles and origins.
  */
 
+/** Most members accepted by `ranking_group`. */
+export const MAX_GROUP_MEMBERS = 20;
+
 /**
  * Ensures that the `candidates` parameter is a valid array of places.
  *
  * @param {*} candidates - The list of candidate places to rank.
+ * @param {string} locale - Language of the error message.
  * @throws {ValidationError} If not a valid array.
  */
-function assertCandidates(candidates) {
+function assertCandidates(candidates, locale) {
   if (!Array.isArray(candidates)) {
-    throw new ValidationError('"candidates" debe ser un array de lugares normalizados');
+    throw new ValidationError(t(locale, 'errors.candidates', { tool: 'ranking_rank' }));
   }
 }
 
@@ -26,18 +38,107 @@ function assertCandidates(candidates) {
  * @param {Object} origin
  * @param {number} origin.lat
  * @param {number} origin.lng
+ * @param {string} locale - Language of the error message.
+ * @param {string} [tool='ranking_rank'] - Tool name for the error message.
+ * @param {string} [field='origin'] - Parameter name for the error message.
  * @returns {{ lat: number, lng: number } | null}
  * @throws {ValidationError} If the origin is invalid.
  */
-function normalizeOrigin(origin) {
+function normalizeOrigin(origin, locale, tool = 'ranking_rank', field = 'origin') {
   if (!origin) return null;
   const { lat, lng } = origin;
   if (typeof lat !== 'number' || typeof lng !== 'number') {
-    throw new ValidationError('"origin" debe tener { lat:number, lng:number }');
+    throw new ValidationError(t(locale, 'errors.latLng', { tool, field }));
   }
   return { lat, lng };
 }
 
+/**
+ * Rounds the numbers in a score breakdown for output (same precision as `score`).
+ *
+ * @param {import('../../services/scoring.js').ScoreBreakdown} breakdown
+ * @returns {import('../../services/scoring.js').ScoreBreakdown}
+ */
+function roundBreakdown(breakdown) {
+  const round = (x) => Number(x.toFixed(4));
+  const factors = {};
+  for (const [k, f] of Object.entries(breakdown.factors)) {
+    factors[k] = { value: round(f.value), weight: round(f.weight), contribution: round(f.contribution) };
+  }
+  return {
+    ...breakdown,
+    factors,
+    keywordMatches: breakdown.keywordMatches.map((m) => ({ ...m, score: round(m.score) })),
+    requirements: { ...breakdown.requirements, multiplier: round(breakdown.requirements.multiplier) },
+    types: { ...breakdown.types, multiplier: round(breakdown.types.multiplier) },
+    personal: breakdown.personal
+      ? {
+          ...breakdown.personal,
+          multiplier: round(breakdown.personal.multiplier),
+          cuisine: round(breakdown.personal.cuisine),
+          price: round(breakdown.personal.price),
+        }
+      : null,
+    distanceKm: typeof breakdown.distanceKm === 'number' ? round(breakdown.distanceKm) : null,
+  };
+}
+
+/**
+ * Shapes a ranked place for output.
+ *
+ * @param {Object} p - Ranked place (`score`, `why`, `breakdown` added by the scoring engine).
+ * @param {boolean} explain - Include the rounded `breakdown`.
+ * @returns {Object}
+ */
+function toItem(p, explain) {
+  return {
+    placeId: p.placeId,
+    name: p.name,
+    rating: p.rating,
+    userRatingCount: p.userRatingCount,
+    priceLevel: p.priceLevel,
+    location: p.location,
+    openNow: p.openNow,
+    score: Number(p.score.toFixed(4)),
+    why: p.why,
+    website: p.website ?? null,
+    phone: p.phone ?? null,
+    types: p.types ?? [],
+    primaryType: p.primaryType ?? null,
+    address: p.address ?? null,
+    mapsUri: p.mapsUri ?? null,
+    attributes: p.attributes ?? null,
+    ...(p.demotion ? { demotion: p.demotion } : {}),
+    ...(explain ? { breakdown: roundBreakdown(p.breakdown) } : {}),
+  };
+}
+
+/**
+ * Resolves the raw profile for a call: the stored profile (if `profileId` is given)
+ * with any inline `profile` fields layered on top.
+ *
+ * @param {Object} params
+ * @param {Object} [params.profile] - Inline preferences.
+ * @param {string} [params.profileId] - Id of a stored profile.
+ * @param {string} [params.locale] - Language of validation errors.
+ * @returns {Promise<Object>} Raw (not yet normalized) profile.
+ * @throws {ValidationError} If `profileId` is invalid or unknown, or `maxBudget` is in an unsupported currency.
+ */
+export async function resolveProfile({ profile, profileId, locale }) {
+  const lang = resolveLocale(locale);
+  if (profileId === undefined || profileId === null) {
+    assertBudgetCurrency(profile?.maxBudget, lang);
+    return profile || {};
+  }
+  if (typeof profileId !== 'string' || !profileId.trim()) {
+    throw new ValidationError(t(lang, 'errors.profileIdInvalid'));
+  }
+  const stored = await getProfile(profileId.trim(), { locale: lang });
+  const merged = { ...stored.profile, ...(profile || {}) };
+  assertBudgetCurrency(merged.maxBudget, lang);
+  return merged;
+}
+
 /**
  * Tool: `ranking_rank`
  *
@@ -46,11 +147,32 @@ function normalizeOrigin(origin) {
  * @param {Object} [params={}] - Parameters object.
  * @param {Array<import('../../models/place.js').Place>} params.candidates - List of places to rank.
  * @param {import('../../models/profile.js').UserProfile} [params.profile] - User preferences for scoring.
+ * @param {string} [params.profileId] - Stored profile to use in place of (or underneath) `profile`.
  * @param {{ lat: number, lng: number }} [params.origin] - Optional location to calculate distance.
  * @param {number} [params.topK=10] - Maximum number of ranked items to return.
+ * @param {string} [params.preset] - Named weight preset (see `ranking_presets`); default "balanced".
+ * @param {Object} [params.weights] - Custom weights { keyword, price, quality, distance, open },
+ *   layered over the preset and normalized to sum to 1.
+ * @param {boolean} [params.explain=false] - Include a per-factor `breakdown` in each item.
+ * @param {boolean|{ lambda?: number, maxPerChain?: number|null, maxPerType?: number|null }} [params.diversity] -
+ *   Re-rank for variety (see `services/diversity.js`); `true` uses `DEFAULT_DIVERSITY`.
+ * @param {boolean} [params.personalize=true] - With `profileId`, adjust scores with the profile's
+ *   recorded feedback (see `feedback_record` and `services/personalization.js`).
+ * @param {string} [params.locale] - Language of `why`, exclusion details and errors (default `MCP_LOCALE`).
+ * @param {'metric'|'imperial'} [params.units] - Distance units in `why` (default `profile.units`, then `MCP_UNITS`).
+ * @param {Object} [opts] - In-process options (not part of the tool's input).
+ * @param {(place: Object) => number|null} [opts.detourKm] - Score distance as the detour from a route
+ *   instead of the distance from `origin` (used by `places_alongRoute`).
  * @returns {Promise<{
  *   total: number,
  *   returned: number,
+ *   weights: { preset: string, custom: boolean, weights: Object },
+ *   excluded: Array<{ placeId: string, name: string, reasons: Array<{ constraint: string, detail: string }> }>,
+ *   excludedByConstraint: Record<string, number>,
+ *   personalized: boolean,
+ *   diversity?: import('../../services/diversity.js').DiversitySettings & {
+ *     demoted: Array<{ placeId: string, name: string } & import('../../services/diversity.js').Demotion>
+ *   },
  *   items: Array<{
  *     placeId: string,
  *     name: string,
@@ -64,22 +186,38 @@ function normalizeOrigin(origin) {
  *     website: string | null,
  *     phone: string | null,
  *     types: string[],
- *     primaryType: string | null
+ *     primaryType: string | null,
+ *     address: string | null,
+ *     mapsUri: string | null,
+ *     attributes: import('../../models/place.js').PlaceAttributes | null,
+ *     demotion?: import('../../services/diversity.js').Demotion,
+ *     breakdown?: import('../../services/scoring.js').ScoreBreakdown
  *   }>
- * }>} Ranked list of places with explanations.
+ * }>} Ranked list of places with explanations, plus the candidates excluded by "must" constraints
+ *   and, with `diversity`, the places pushed down from the top `topK` as near-duplicates.
  * @throws {ValidationError} If inputs are invalid.
  */
-export async function rank(params = {}) {
-  const { candidates, profile, origin, topK = 10 } = params;
+export async function rank(params = {}, { detourKm } = {}) {
+  const { candidates, origin, topK = 10, preset, weights, explain = false } = params;
 
-  assertCandidates(candidates);
-  const normProfile = normalizeProfileModel(profile || {});
-  const normOrigin = origin ? normalizeOrigin(origin) : null;
+  const locale = resolveLocale(params.locale);
+  assertCandidates(candidates, locale);
+  const normProfile = normalizeProfileModel(await resolveProfile(params));
+  const normOrigin = origin ? normalizeOrigin(origin, locale) : null;
 
   if (typeof topK !== 'number' || topK <= 0) {
-    throw new ValidationError('"topK" debe ser un número positivo');
+    throw new ValidationError(t(locale, 'errors.positiveNumber', { tool: 'ranking_rank', field: 'topK' }));
   }
 
+  const units = resolveUnits(params.units ?? normProfile.units, locale);
+  const resolvedWeights = resolveWeights({ preset, weights, locale });
+  const diversity = resolveDiversity(params.diversity, { tool: 'ranking_rank', locale });
+  // resolveProfile has already checked the id
+  const taste =
+    params.personalize !== false && typeof params.profileId === 'string'
+      ? await tasteForProfile(params.profileId.trim())
+      : null;
+
   logger.info('tool.ranking.start', {
     totalCandidates: candidates.length,
     topK,
@@ -88,34 +226,194 @@ export async function rank(params = {}) {
       priceLevels: normProfile.priceLevels,
       minRating: normProfile.minRating,
       requireOpen: normProfile.requireOpen,
+      openAt: normProfile.openAt,
+      minOpenMinutes: normProfile.minOpenMinutes,
+      requires: normProfile.requires,
+      includedTypes: normProfile.includedTypes,
+      excludedTypes: normProfile.excludedTypes,
       maxDistanceKm: normProfile.maxDistanceKm,
+      maxBudget: normProfile.maxBudget,
+      region: normProfile.region,
+      constraints: normProfile.constraints,
     },
+    profileId: params.profileId,
     hasOrigin: Boolean(normOrigin),
+    preset: resolvedWeights.preset,
+    customWeights: resolvedWeights.custom,
+    diversity,
+    personalized: Boolean(taste),
+  });
+
+  const messages = { locale, units, detourKm };
+  const { kept, excluded, excludedByConstraint } = applyHardFilters(candidates, normProfile, normOrigin, messages);
+  // With diversity, rank everything so places pushed out of the top K can be reported
+  const all = rankAndExplain(kept, normProfile, normOrigin, diversity ? kept.length : topK, {
+    ...messages,
+    weights: resolvedWeights.weights,
+    diversity,
+    taste,
+  });
+  const ranked = all.slice(0, topK);
+  const demoted = all
+    .filter((p) => p.demotion && p.demotion.from <= topK)
+    .map((p) => ({ placeId: p.placeId, name: p.name, ...p.demotion }));
+
+  logger.info('tool.ranking.ok', { returned: ranked.length, excluded: excluded.length, demoted: demoted.length });
+
+  return {
+    total: candidates.length,
+    returned: ranked.length,
+    weights: resolvedWeights,
+    excluded,
+    excludedByConstraint,
+    personalized: Boolean(taste),
+    ...(diversity ? { diversity: { ...diversity, demoted } } : {}),
+    items: ranked.map((p) => toItem(p, explain)),
+  };
+}
+
+/**
+ * Validates and resolves the `members` of a group call.
+ *
+ * @param {*} members
+ * @param {string} locale - Language of errors and default member names.
+ * @returns {Promise<import('../../services/groupScoring.js').GroupMember[]>}
+ * @throws {ValidationError} If `members` is not a non-empty array of member objects, or a member is invalid.
+ */
+async function resolveMembers(members, locale) {
+  if (
+    !Array.isArray(members) ||
+    !members.length ||
+    members.length > MAX_GROUP_MEMBERS ||
+    members.some((m) => !m || typeof m !== 'object' || Array.isArray(m))
+  ) {
+    throw new ValidationError(t(locale, 'errors.members', { tool: 'ranking_group', max: MAX_GROUP_MEMBERS }));
+  }
+  return Promise.all(
+    members.map(async (m, i) => {
+      if (m.name !== undefined && (typeof m.name !== 'string' || !m.name.trim())) {
+        throw new ValidationError(t(locale, 'errors.nonEmptyString', { tool: 'ranking_group', field: `members[${i}].name` }));
+      }
+      const raw = await resolveProfile({ profile: m.profile, profileId: m.profileId, locale });
+      return {
+        name: m.name?.trim() || t(locale, 'group.member', { n: i + 1 }),
+        profile: normalizeProfileModel(raw),
+        origin: normalizeOrigin(m.origin, locale, 'ranking_group', `members[${i}].origin`),
+      };
+    })
+  );
+}
+
+/**
+ * Tool: `ranking_group`
+ *
+ * Ranks candidates for a group: each member scores them with their own profile and origin,
+ * and the scores are combined (see `services/groupScoring.js`).
+ *
+ * @param {Object} [params={}]
+ * @param {Array<import('../../models/place.js').Place>} params.candidates - List of places to rank.
+ * @param {Array<{ name?: string, profile?: Object, profileId?: string, origin?: { lat: number, lng: number } }>} params.members -
+ *   Group members (1–`MAX_GROUP_MEMBERS`); unnamed members are numbered.
+ * @param {'least-misery'|'average'|'fairness'} [params.aggregation='least-misery'] - How member scores are combined.
+ * @param {number} [params.topK=10] - Maximum number of ranked items to return.
+ * @param {string} [params.preset] - Named weight preset, shared by all members.
+ * @param {Object} [params.weights] - Custom weights, as in `ranking_rank`.
+ * @param {boolean} [params.explain=false] - Include each member's `breakdown`.
+ * @param {string} [params.locale] - Language of `why`, exclusion details and errors (default `MCP_LOCALE`).
+ * @param {'metric'|'imperial'} [params.units] - Distance units in `why` (default the first member's, then `MCP_UNITS`).
+ * @returns {Promise<{
+ *   total: number,
+ *   returned: number,
+ *   aggregation: string,
+ *   members: string[],
+ *   weights: { preset: string, custom: boolean, weights: Object },
+ *   excluded: Array<{ placeId: string, name: string, reasons: Array<{ member: string, constraint: string, detail: string }> }>,
+ *   excludedByConstraint: Record<string, number>,
+ *   items: Array<Object>
+ * }>} Ranked places (same item shape as `ranking_rank`, `breakdown` aside; `score` is the aggregate) with
+ *   `group` (min, average, spread, weakest/strongest member) and per-member `members` satisfaction.
+ * @throws {ValidationError} If inputs are invalid.
+ */
+export async function group(params = {}) {
+  const { candidates, topK = 10, preset, weights, explain = false, aggregation = 'least-misery' } = params;
+
+  const locale = resolveLocale(params.locale);
+  if (!Array.isArray(candidates)) {
+    throw new ValidationError(t(locale, 'errors.candidates', { tool: 'ranking_group' }));
+  }
+  if (!AGGREGATIONS.includes(aggregation)) {
+    throw new ValidationError(
+      t(locale, 'errors.oneOf', { tool: 'ranking_group', field: 'aggregation', allowed: AGGREGATIONS.join(', ') })
+    );
+  }
+  if (typeof topK !== 'number' || topK <= 0) {
+    throw new ValidationError(t(locale, 'errors.positiveNumber', { tool: 'ranking_group', field: 'topK' }));
+  }
+  const members = await resolveMembers(params.members, locale);
+
+  const units = resolveUnits(params.units ?? members[0].profile.units, locale);
+  const resolvedWeights = resolveWeights({ preset, weights, locale });
+
+  logger.info('tool.ranking.group.start', {
+    totalCandidates: candidates.length,
+    topK,
+    aggregation,
+    members: members.map((m) => ({
+      name: m.name,
+      hasOrigin: Boolean(m.origin),
+      keywords: m.profile.keywords,
+      requires: m.profile.requires,
+      constraints: m.profile.constraints,
+    })),
+    preset: resolvedWeights.preset,
+    customWeights: resolvedWeights.custom,
   });
 
-  const ranked = rankAndExplain(candidates, normProfile, normOrigin, topK);
+  const messages = { locale, units };
+  const { kept, excluded, excludedByConstraint } = applyGroupHardFilters(candidates, members, messages);
+  const ranked = rankForGroup(kept, members, topK, { ...messages, aggregation, weights: resolvedWeights.weights });
 
-  logger.info('tool.ranking.ok', { returned: ranked.length });
+  logger.info('tool.ranking.group.ok', { returned: ranked.length, excluded: excluded.length });
 
+  const round = (x) => Number(x.toFixed(4));
   return {
     total: candidates.length,
     returned: ranked.length,
+    aggregation,
+    members: members.map((m) => m.name),
+    weights: resolvedWeights,
+    excluded,
+    excludedByConstraint,
     items: ranked.map((p) => ({
-      placeId: p.placeId,
-      name: p.name,
-      rating: p.rating,
-      userRatingCount: p.userRatingCount,
-      priceLevel: p.priceLevel,
-      location: p.location,
-      openNow: p.openNow,
-      score: Number(p.score.toFixed(4)),
-      why: p.why,
-      website: p.website ?? null,
-      phone: p.phone ?? null,
-      types: p.types ?? [],
-      primaryType: p.primaryType ?? null,
+      ...toItem(p, false),
+      group: {
+        min: round(p.group.min),
+        average: round(p.group.average),
+        spread: round(p.group.spread),
+        weakest: p.group.weakest,
+        strongest: p.group.strongest,
+      },
+      members: p.members.map((m) => ({
+        member: m.member,
+        satisfaction: round(m.satisfaction),
+        why: m.why,
+        ...(explain ? { breakdown: roundBreakdown(m.breakdown) } : {}),
+      })),
     })),
   };
 }
 
-export default { rank };
\ No newline at end of file
+/**
+ * Tool: `ranking_presets`
+ *
+ * Lists the named weight presets accepted by `ranking_rank` (`preset` parameter).
+ *
+ * @param {Object} [params={}]
+ * @param {string} [params.locale] - Language of the descriptions (default `MCP_LOCALE`).
+ * @returns {Promise<{ default: string, presets: Array<{ name: string, description: string, weights: Object }> }>}
+ */
+export async function presets(params = {}) {
+  return listPresets(resolveLocale(params.locale));
+}
+
+export default { rank, group, presets };
\ No newline at end of file
@@ -0,0 +1,200 @@
+import { geocode } from './geocode.js';
+import { findNearby, findByText } from './places.js';
+import { rank, resolveProfile } from './ranking.js';
+import { getProvider } from '../../services/placeProvider.js';
+import { haversineKm } from '../../services/scoring.js';
+import { normalizeProfile } from '../../models/profile.js';
+import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @fileoverview Tool implementation: `recommend`.
+ * One-shot pipeline: geocode → nearby/text search → merge → details for the top
+ * candidates → rank. Saves clients from chaining four tools and passing large
+ * candidate arrays back and forth through the model's context.
+ * Searches fetch the cheap "basic" field tier (or "standard" when the profile requires
+ * attributes); only the top candidates get the "standard" tier through details.
+ * The profile's `includedTypes` / `excludedTypes` narrow the searches, e.g. to cafés.
+ */
+
+/**
+ * Resolves the search origin from either `location` or `address`.
+ *
+ * @param {Object} params
+ * @param {string} [params.address]
+ * @param {{ lat: number, lng: number }} [params.location]
+ * @param {string} locale - Language of validation errors.
+ * @returns {Promise<{ location: { lat: number, lng: number }, formattedAddress: string|null }>}
+ * @throws {ValidationError} If neither is provided or `location` is invalid.
+ */
+async function resolveOrigin({ address, location }, locale) {
+  if (location) {
+    if (typeof location.lat !== 'number' || typeof location.lng !== 'number') {
+      throw new ValidationError(t(locale, 'errors.latLng', { tool: 'recommend', field: 'location' }));
+    }
+    return { location: { lat: location.lat, lng: location.lng }, formattedAddress: null };
+  }
+  if (typeof address === 'string' && address.trim()) {
+    return geocode({ address, locale });
+  }
+  throw new ValidationError(t(locale, 'errors.originRequired', { tool: 'recommend' }));
+}
+
+/**
+ * Merges candidate lists, keeping the first occurrence of each `placeId`.
+ *
+ * @param {...import('../../models/place.js').Place[]} lists
+ * @returns {import('../../models/place.js').Place[]}
+ */
+function mergeCandidates(...lists) {
+  const byId = new Map();
+  for (const list of lists) {
+    for (const p of list) {
+      if (p?.placeId && !byId.has(p.placeId)) byId.set(p.placeId, p);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Fetches details for the given places; a failed lookup keeps the search result.
+ * The search's `openNow` wins over the details one, which may come from an older cache entry.
+ *
+ * @param {import('../../models/place.js').Place[]} places
+ * @returns {Promise<import('../../models/place.js').Place[]>}
+ */
+async function enrichWithDetails(places) {
+  const provider = getProvider();
+  const settled = await Promise.allSettled(places.map((p) => provider.getPlaceDetails(p.placeId, { fields: 'standard' })));
+  return settled.map((r, i) => {
+    if (r.status === 'fulfilled') return { ...places[i], ...r.value, openNow: places[i].openNow ?? r.value.openNow ?? null };
+    logger.warn('tool.recommend.details_fail', { placeId: places[i].placeId, err: r.reason?.message });
+    return places[i];
+  });
+}
+
+/**
+ * Tool: `recommend`
+ *
+ * Finds and ranks restaurants for a craving around an address or lat/lng in a single call.
+ *
+ * @param {Object} [params={}]
+ * @param {string} [params.address] - Address to geocode (required if `location` is missing).
+ * @param {{ lat: number, lng: number }} [params.location] - Origin coordinates.
+ * @param {string} [params.craving] - Free-text craving (e.g. "vegan ramen"); enables text search.
+ * @param {import('../../models/profile.js').UserProfile} [params.profile] - Ranking preferences.
+ *   When `profile.keywords` is empty, the craving is used as the keyword.
+ * @param {string} [params.profileId] - Stored profile to use in place of (or underneath) `profile`.
+ * @param {number} [params.radiusMeters=1500] - Search radius.
+ * @param {number} [params.maxResults=20] - Max candidates per search.
+ * @param {number} [params.topK=5] - Number of recommendations to return.
+ * @param {string} [params.preset] - Named weight preset (see `ranking_presets`).
+ * @param {Object} [params.weights] - Custom weights, as in `ranking_rank`.
+ * @param {boolean} [params.explain=false] - Include a per-factor `breakdown` in each item.
+ * @param {boolean|Object} [params.diversity] - Re-rank the final list for variety, as in `ranking_rank`.
+ * @param {boolean} [params.personalize=true] - With `profileId`, use the profile's feedback, as in `ranking_rank`.
+ * @param {number} [params.detailsTopN] - How many top candidates to enrich with details (default `topK`, 0 to skip).
+ * @param {string} [params.locale] - Language of `why` and errors, as in `ranking_rank`.
+ * @param {'metric'|'imperial'} [params.units] - Distance units in `why`, as in `ranking_rank`.
+ * @returns {Promise<{
+ *   origin: { formattedAddress: string|null, location: { lat: number, lng: number } },
+ *   searched: { nearby: number, text: number, unique: number, enriched: number },
+ *   total: number,
+ *   returned: number,
+ *   items: Object[]
+ * }>} Ranked recommendations with `why` strings (same item shape as `ranking_rank`).
+ * @throws {ValidationError} If inputs are invalid.
+ */
+export async function recommend(params = {}) {
+  const {
+    craving,
+    radiusMeters,
+    maxResults,
+    topK = 5,
+    preset,
+    weights,
+    explain,
+    diversity,
+    personalize,
+    units,
+  } = params;
+  const locale = resolveLocale(params.locale);
+
+  if (craving !== undefined && (typeof craving !== 'string' || !craving.trim())) {
+    throw new ValidationError(t(locale, 'errors.nonEmptyString', { tool: 'recommend', field: 'craving' }));
+  }
+  if (typeof topK !== 'number' || topK <= 0) {
+    throw new ValidationError(t(locale, 'errors.positiveNumber', { tool: 'recommend', field: 'topK' }));
+  }
+  const detailsTopN = params.detailsTopN ?? topK;
+  if (typeof detailsTopN !== 'number' || detailsTopN < 0) {
+    throw new ValidationError(t(locale, 'errors.nonNegativeNumber', { tool: 'recommend', field: 'detailsTopN' }));
+  }
+
+  const profile = await resolveProfile({ ...params, locale });
+  const origin = await resolveOrigin(params, locale);
+  const effectiveProfile = {
+    ...profile,
+    keywords: profile.keywords?.length ? profile.keywords : (craving ? [craving.trim()] : []),
+  };
+
+  logger.info('tool.recommend.start', {
+    hasAddress: Boolean(params.address),
+    craving: craving?.trim(),
+    topK,
+    detailsTopN,
+  });
+
+  // Google's openNow filter only knows "now"; a later openAt is checked against the hours in ranking
+  const openNow = Boolean(profile.requireOpen) && !profile.openAt;
+  const { requires, includedTypes, excludedTypes } = normalizeProfile(profile);
+  // Attributes are only in the "standard" tier, and every candidate needs them to be filtered
+  const fields = requires.length ? 'standard' : 'basic';
+  const search = {
+    location: origin.location,
+    radiusMeters,
+    maxResults,
+    fields,
+    locale,
+    ...(includedTypes.length ? { includedTypes } : {}),
+    ...(excludedTypes.length ? { excludedTypes } : {}),
+  };
+  const [nearby, text] = await Promise.all([
+    findNearby({ ...search, openNow }),
+    craving
+      ? findByText({ ...search, query: craving })
+      : { candidates: [] },
+  ]);
+  // Text search only biases by location, so drop matches far outside the search area
+  const limitKm = Math.max((radiusMeters ?? 1500) / 1000, profile.maxDistanceKm ?? 0);
+  const textNearby = text.candidates.filter((p) => !p.location || haversineKm(origin.location, p.location) <= limitKm);
+  const candidates = mergeCandidates(textNearby, nearby.candidates);
+
+  // Enrich only the most promising candidates, then rank everything again
+  let enriched = [];
+  if (detailsTopN > 0) {
+    const preliminary = await rank({ candidates, profile: effectiveProfile, profileId: params.profileId, personalize, origin: origin.location, topK: detailsTopN, preset, weights, locale, units });
+    const topIds = new Set(preliminary.items.map((p) => p.placeId));
+    enriched = await enrichWithDetails(candidates.filter((p) => topIds.has(p.placeId)));
+  }
+  const enrichedById = new Map(enriched.map((p) => [p.placeId, p]));
+  const finalCandidates = candidates.map((p) => enrichedById.get(p.placeId) ?? p);
+
+  const ranked = await rank({ candidates: finalCandidates, profile: effectiveProfile, profileId: params.profileId, personalize, origin: origin.location, topK, preset, weights, explain, diversity, locale, units });
+
+  logger.info('tool.recommend.ok', { unique: candidates.length, returned: ranked.returned });
+
+  return {
+    origin: { formattedAddress: origin.formattedAddress ?? null, location: origin.location },
+    searched: {
+      nearby: nearby.candidates.length,
+      text: text.candidates.length,
+      unique: candidates.length,
+      enriched: enriched.length,
+    },
+    ...ranked,
+  };
+}
+
+export default { recommend };
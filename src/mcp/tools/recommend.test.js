@@ -0,0 +1,40 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { recommend } from './recommend.js';
+import { setProvider } from '../../services/placeProvider.js';
+
+const origin = { lat: 14.6, lng: -90.5 };
+const searchResult = {
+  placeId: 'ChIJstale',
+  name: 'Casa Ramen',
+  rating: 4.6,
+  userRatingCount: 300,
+  priceLevel: 'PRICE_LEVEL_MODERATE',
+  location: { lat: 14.601, lng: -90.501 },
+  openNow: false,
+  types: ['ramen_restaurant', 'restaurant'],
+  primaryType: 'ramen_restaurant',
+};
+
+describe('recommend', () => {
+  beforeAll(() => {
+    for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+    setProvider({
+      name: 'recommend-test',
+      searchNearbyRestaurants: async () => [{ ...searchResult }],
+      searchTextRestaurants: async () => [],
+      // Details from an older response still say "open"
+      getPlaceDetails: async () => ({ ...searchResult, openNow: true, website: 'https://casaramen.example' }),
+    });
+  });
+
+  afterAll(() => {
+    setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test("details do not replace the search's openNow", async () => {
+    const out = await recommend({ location: origin, topK: 1 });
+    expect(out.searched.enriched).toBe(1);
+    expect(out.items[0]).toMatchObject({ placeId: 'ChIJstale', website: 'https://casaramen.example', openNow: false });
+  });
+});
@@ -0,0 +1,179 @@
+import { getProvider } from '../../services/placeProvider.js';
+import { NEARBY_PAGE_SIZE } from '../../services/nearbyTiling.js';
+import { resolveTypeFilter } from '../../services/placeTypes.js';
+import { decodePolyline, straightRoute, cumulativeKm, bufferRoute, coversCorridor, routePosition } from '../../services/route.js';
+import { assertLatLng, resolveFieldTier } from './places.js';
+import { rank, resolveProfile } from './ranking.js';
+import { ValidationError } from '../../utils/errors.js';
+import { t, resolveLocale } from '../../utils/i18n.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @fileoverview Tool implementation: `places_alongRoute`.
+ * Finds places on the way from A to B: the route (an encoded polyline, or straight-line
+ * legs through the waypoints) is covered with Nearby Search circles, places outside the
+ * corridor are dropped, and the rest are ranked with the detour they add to the trip in
+ * place of the straight-line distance from an origin.
+ */
+
+/** Upper bound on Nearby Search requests per call. */
+export const MAX_ROUTE_SEARCHES = 25;
+
+/**
+ * Validates an optional positive number parameter.
+ *
+ * @param {*} value
+ * @param {number} fallback - Value used when omitted.
+ * @param {string} field - Parameter name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @returns {number}
+ * @throws {ValidationError} If given and not a positive number.
+ */
+function positiveOr(value, fallback, field, locale) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new ValidationError(t(locale, 'errors.positiveNumber', { tool: 'places_alongRoute', field }));
+  }
+  return value;
+}
+
+/**
+ * Builds the route from `polyline`, or from `origin` → `waypoints` → `destination`.
+ *
+ * @param {Object} params
+ * @param {string} locale - Language of validation errors.
+ * @returns {{ path: Array<{ lat: number, lng: number }>, source: 'polyline'|'straight' }}
+ * @throws {ValidationError} If the polyline is malformed or the endpoints are missing or invalid.
+ */
+function resolveRoute({ origin, destination, waypoints, polyline }, locale) {
+  if (polyline !== undefined && polyline !== null) {
+    const path = decodePolyline(polyline);
+    if (!path?.length) throw new ValidationError(t(locale, 'errors.polyline', { tool: 'places_alongRoute' }));
+    return { path, source: 'polyline' };
+  }
+  if (!origin || !destination) {
+    throw new ValidationError(t(locale, 'errors.routeRequired', { tool: 'places_alongRoute' }));
+  }
+  assertLatLng(origin, 'places_alongRoute', locale, 'origin');
+  assertLatLng(destination, 'places_alongRoute', locale, 'destination');
+  if (waypoints !== undefined && !Array.isArray(waypoints)) {
+    throw new ValidationError(t(locale, 'errors.latLngList', { tool: 'places_alongRoute', field: 'waypoints' }));
+  }
+  (waypoints || []).forEach((w, i) => assertLatLng(w, 'places_alongRoute', locale, `waypoints[${i}]`));
+  return { path: straightRoute(origin, destination, waypoints), source: 'straight' };
+}
+
+/**
+ * Tool: `places_alongRoute`
+ *
+ * Searches for places along a route and ranks them by how well they fit the profile,
+ * with the detour replacing the distance factor.
+ *
+ * @param {Object} [params={}]
+ * @param {{ lat: number, lng: number }} [params.origin] - Start of the trip (required without `polyline`).
+ * @param {{ lat: number, lng: number }} [params.destination] - End of the trip (required without `polyline`).
+ * @param {Array<{ lat: number, lng: number }>} [params.waypoints] - Stops in between, joined by straight legs.
+ * @param {string} [params.polyline] - Encoded polyline of the actual route; takes precedence over the points.
+ * @param {number} [params.bufferMeters=500] - How far from the route a place may be.
+ * @param {number} [params.maxSearches=10] - Max Nearby Search requests (1–`MAX_ROUTE_SEARCHES`);
+ *   long routes get fewer, wider circles, and may be left partly unsearched (`coverageComplete: false`).
+ * @param {'basic'|'standard'|'full'} [params.fields='standard'] - Field tier to fetch (see `FIELD_TIERS`).
+ * @param {string[]} [params.includedTypes] - Place types or groups to search for (default: food-related types).
+ * @param {string[]} [params.excludedTypes] - Place types or groups to leave out (default: gas stations, groceries).
+ * @param {import('../../models/profile.js').UserProfile} [params.profile] - Ranking preferences;
+ *   `maxDistanceKm` is the largest acceptable detour.
+ * @param {string} [params.profileId] - Stored profile to use in place of (or underneath) `profile`.
+ * @param {number} [params.topK=10] - Number of places to return.
+ * @param {string} [params.preset] - Named weight preset (see `ranking_presets`).
+ * @param {Object} [params.weights] - Custom weights, as in `ranking_rank`.
+ * @param {boolean} [params.explain=false] - Include a per-factor `breakdown` in each item.
+ * @param {boolean|Object} [params.diversity] - Re-rank for variety, as in `ranking_rank`.
+ * @param {boolean} [params.personalize=true] - With `profileId`, use the profile's feedback, as in `ranking_rank`.
+ * @param {string} [params.locale] - Language of `why` and errors, as in `ranking_rank`.
+ * @param {'metric'|'imperial'} [params.units] - Distance units in `why`, as in `ranking_rank`.
+ * @returns {Promise<{
+ *   route: { source: 'polyline'|'straight', points: number, lengthKm: number, bufferMeters: number },
+ *   searched: { calls: number, unique: number, inCorridor: number, coverageComplete: boolean },
+ *   total: number,
+ *   returned: number,
+ *   items: Object[]
+ * }>} Ranked places (same item shape as `ranking_rank`), each with `route: { alongKm, offRouteKm, detourKm }`.
+ * @throws {ValidationError} If inputs are invalid.
+ */
+export async function alongRoute(params = {}) {
+  const { topK = 10, preset, weights, explain, diversity, personalize, units } = params;
+  const locale = resolveLocale(params.locale);
+
+  const { path, source } = resolveRoute(params, locale);
+  const bufferMeters = positiveOr(params.bufferMeters, 500, 'bufferMeters', locale);
+  const maxSearches = Math.min(Math.floor(positiveOr(params.maxSearches, 10, 'maxSearches', locale)) || 1, MAX_ROUTE_SEARCHES);
+  const fields = resolveFieldTier(params.fields, 'standard', 'places_alongRoute', locale);
+  const { includedTypes, excludedTypes } = resolveTypeFilter(params, { tool: 'places_alongRoute', locale });
+  const profile = await resolveProfile({ ...params, locale });
+
+  const cum = cumulativeKm(path);
+  const circles = bufferRoute(path, bufferMeters, maxSearches);
+  const coverageComplete = coversCorridor(circles, bufferMeters);
+
+  logger.info('tool.places.alongRoute.start', {
+    source,
+    points: path.length,
+    lengthKm: Number(cum[cum.length - 1].toFixed(3)),
+    bufferMeters,
+    searches: circles.length,
+    coverageComplete,
+    fields,
+    includedTypes,
+    excludedTypes,
+  });
+
+  // Same rule as `recommend`: Google's openNow filter only knows "now"
+  const openNow = Boolean(profile.requireOpen) && !profile.openAt;
+  const provider = getProvider();
+  const seen = new Map();
+  for (const circle of circles) {
+    const results = await provider.searchNearbyRestaurants({
+      lat: circle.lat,
+      lng: circle.lng,
+      radius: circle.radius,
+      openNow,
+      maxResults: NEARBY_PAGE_SIZE,
+      fields,
+      includedTypes,
+      excludedTypes,
+    });
+    for (const p of results) {
+      if (p.placeId && p.location && !seen.has(p.placeId)) seen.set(p.placeId, p);
+    }
+  }
+
+  // Circles overlap and poke outside the corridor; keep only places within the buffer
+  const positions = new Map();
+  const candidates = [];
+  for (const p of seen.values()) {
+    const pos = routePosition(path, p.location, cum);
+    if (pos.offRouteKm * 1000 > bufferMeters) continue;
+    positions.set(p.placeId, pos);
+    candidates.push(p);
+  }
+
+  const ranked = await rank(
+    { candidates, profile, profileId: params.profileId, personalize, topK, preset, weights, explain, diversity, locale, units },
+    { detourKm: (p) => positions.get(p.placeId)?.detourKm ?? null }
+  );
+
+  logger.info('tool.places.alongRoute.ok', { unique: seen.size, inCorridor: candidates.length, returned: ranked.returned });
+
+  const round = (x) => Number(x.toFixed(3));
+  return {
+    route: { source, points: path.length, lengthKm: round(cum[cum.length - 1]), bufferMeters },
+    searched: { calls: circles.length, unique: seen.size, inCorridor: candidates.length, coverageComplete },
+    ...ranked,
+    items: ranked.items.map((item) => {
+      const pos = positions.get(item.placeId);
+      return { ...item, route: { alongKm: round(pos.alongKm), offRouteKm: round(pos.offRouteKm), detourKm: round(pos.detourKm) } };
+    }),
+  };
+}
+
+export default { alongRoute, MAX_ROUTE_SEARCHES };
@@ -0,0 +1,52 @@
+import { priceToLevel } from '../services/scoring.js';
+
+/**
+ * @fileoverview Feedback records: what a user thought of a place after a recommendation.
+ * Each record keeps a small snapshot of the place (types, price level) so later rankings
+ * can find similar places without looking it up again.
+ */
+
+/** Kinds of feedback: thumbs up/down, a visit, or a 1–5 rating. */
+export const FEEDBACK_KINDS = ['like', 'dislike', 'visit', 'rating'];
+
+/** Current feedback store format. */
+export const FEEDBACK_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} PlaceSnapshot
+ * @property {string|null} name
+ * @property {string|null} primaryType
+ * @property {string[]} types
+ * @property {number|null} priceLevel - 0–4, or null if unknown.
+ */
+
+/**
+ * @typedef {Object} FeedbackEntry
+ * @property {string} id
+ * @property {string} profileId
+ * @property {string} placeId
+ * @property {'like'|'dislike'|'visit'|'rating'} kind
+ * @property {number|null} rating - 1–5 (required for "rating", optional for "visit").
+ * @property {string|null} note - Free text.
+ * @property {string} at - When it happened (ISO 8601).
+ * @property {PlaceSnapshot|null} place - Null if the place could not be looked up.
+ */
+
+/**
+ * Keeps the fields of a place that personalisation needs.
+ *
+ * @param {Object|null|undefined} place - Normalized place.
+ * @returns {PlaceSnapshot|null}
+ */
+export function placeSnapshot(place) {
+  if (!place || typeof place !== 'object') return null;
+  const level = priceToLevel(place.priceLevel);
+  return {
+    name: typeof place.name === 'string' ? place.name : null,
+    primaryType: typeof place.primaryType === 'string' ? place.primaryType : null,
+    types: Array.isArray(place.types) ? place.types.filter((x) => typeof x === 'string') : [],
+    priceLevel: typeof level === 'number' ? level : null,
+  };
+}
+
+export default { FEEDBACK_KINDS, FEEDBACK_SCHEMA_VERSION, placeSnapshot };
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Normalized models for geocoding results and autocomplete suggestions.
+ * Forward and reverse geocoding share one shape, so a caller can show the candidates of
+ * an ambiguous address ("Zona 10" in two municipalities) the same way as the addresses at a point.
+ */
+
+/**
+ * @typedef {Object} LatLngBounds
+ * @property {{ lat: number, lng: number }} northeast
+ * @property {{ lat: number, lng: number }} southwest
+ */
+
+/**
+ * @typedef {Object} GeocodeResult
+ * @property {number} lat - Latitude.
+ * @property {number} lng - Longitude.
+ * @property {string} formattedAddress - Human-readable address.
+ * @property {'ROOFTOP'|'RANGE_INTERPOLATED'|'GEOMETRIC_CENTER'|'APPROXIMATE'|null} locationType - How precise
+ *   the point is: an exact building, an interpolated street number, the centre of an area, or a rough guess.
+ * @property {LatLngBounds|null} bounds - Extent of the feature, for areas (neighbourhoods, cities); null for points.
+ * @property {LatLngBounds|null} viewport - Recommended map viewport for the result.
+ * @property {string|null} placeId - Google place id of the result, if any.
+ * @property {string[]} types - Result types (e.g. ["neighborhood", "political"]).
+ * @property {boolean} partialMatch - True when only part of the query matched (a hint to confirm with the user).
+ * @property {any} raw - Provider response for this result.
+ */
+
+/**
+ * @typedef {Object} AutocompleteSuggestion
+ * @property {string} placeId - Place id, usable with `places_details`.
+ * @property {string} text - Full suggestion text (e.g. "Kacao, 2a Avenida, Zona 10, Guatemala").
+ * @property {string} mainText - Name part of the suggestion (e.g. "Kacao").
+ * @property {string|null} secondaryText - Disambiguating part (usually the address).
+ * @property {string[]} types - Place types.
+ * @property {number|null} distanceMeters - Straight-line distance from the bias point, if one was given.
+ */
+
+/** Precision levels of `GeocodeResult.locationType`, from most to least precise. */
+export const LOCATION_TYPES = ['ROOFTOP', 'RANGE_INTERPOLATED', 'GEOMETRIC_CENTER', 'APPROXIMATE'];
+
+/**
+ * Normalizes a `{ northeast, southwest }` box; anything else becomes null.
+ *
+ * @param {any} raw
+ * @returns {LatLngBounds|null}
+ */
+function normalizeBounds(raw) {
+  const ne = raw?.northeast;
+  const sw = raw?.southwest;
+  if (![ne?.lat, ne?.lng, sw?.lat, sw?.lng].every((n) => typeof n === 'number')) return null;
+  return { northeast: { lat: ne.lat, lng: ne.lng }, southwest: { lat: sw.lat, lng: sw.lng } };
+}
+
+/**
+ * Normalizes one result of the Google Geocoding API (forward or reverse).
+ *
+ * @param {Object} [raw={}] - Raw entry of `results[]`.
+ * @returns {GeocodeResult}
+ */
+export function normalizeGeocodeResult(raw = {}) {
+  const geometry = raw.geometry ?? {};
+  return {
+    lat: geometry.location?.lat,
+    lng: geometry.location?.lng,
+    formattedAddress: raw.formatted_address,
+    locationType: LOCATION_TYPES.includes(geometry.location_type) ? geometry.location_type : null,
+    bounds: normalizeBounds(geometry.bounds),
+    viewport: normalizeBounds(geometry.viewport),
+    placeId: raw.place_id ?? null,
+    types: Array.isArray(raw.types) ? raw.types : [],
+    partialMatch: raw.partial_match === true,
+    raw,
+  };
+}
+
+/**
+ * Normalizes one `suggestions[]` entry of Places API v1 Autocomplete.
+ * Query predictions (no place id) are dropped.
+ *
+ * @param {Object} [raw={}]
+ * @returns {AutocompleteSuggestion|null}
+ */
+export function normalizeSuggestion(raw = {}) {
+  const prediction = raw.placePrediction;
+  if (!prediction?.placeId) return null;
+  return {
+    placeId: prediction.placeId,
+    text: prediction.text?.text ?? '',
+    mainText: prediction.structuredFormat?.mainText?.text ?? prediction.text?.text ?? '',
+    secondaryText: prediction.structuredFormat?.secondaryText?.text ?? null,
+    types: Array.isArray(prediction.types) ? prediction.types : [],
+    distanceMeters: typeof prediction.distanceMeters === 'number' ? prediction.distanceMeters : null,
+  };
+}
+
+export default { LOCATION_TYPES, normalizeGeocodeResult, normalizeSuggestion };
@@ -10,15 +10,185 @@
  * @property {number|null} rating - Average rating (0–5), or null if unavailable.
  * @property {number} userRatingCount - Total number of user ratings.
  * @property {string|null} priceLevel - Price category (e.g., "PRICE_LEVEL_MODERATE"), or null.
+ * @property {{ start: number|null, end: number|null, currency: string } | null} priceRange - Typical price per person, if Google provides it.
  * @property {{ lat: number, lng: number } | null} location - Geographic coordinates, or null.
  * @property {boolean|null} openNow - Whether the place is currently open. Can be null.
+ * @property {OpeningHours|null} openingHours - Weekly opening hours (see `services/openingHours.js`), if known.
+ * @property {number|null} utcOffsetMinutes - Current UTC offset of the place's time zone (e.g. -360 for Guatemala).
  * @property {string|null} primaryType - Main type of the place (e.g., "restaurant").
  * @property {string[]} types - List of place types (e.g., ["restaurant", "mexican"]).
  * @property {string|null} phone - National phone number.
  * @property {string|null} website - Website URL.
  * @property {string|null} summary - Short editorial summary (if available).
+ * @property {string|null} address - Formatted address.
+ * @property {string|null} mapsUri - Google Maps link for the place.
+ * @property {PlaceAttributes} attributes - Dietary and service attributes (null = unknown).
+ * @property {PlacePhoto[]} photos - Up to `MAX_PHOTOS` photos (only with the "full" field tier).
+ * @property {PlaceReview[]} reviews - Up to `MAX_REVIEWS` reviews (only with the "full" field tier).
  */
 
+/**
+ * @typedef {Record<keyof typeof PLACE_ATTRIBUTES, boolean|null>} PlaceAttributes
+ */
+
+/**
+ * @typedef {Object} PlacePhoto
+ * @property {string} name - Photo resource name (`places/{id}/photos/{ref}`), for the Places photo media endpoint.
+ * @property {number|null} widthPx
+ * @property {number|null} heightPx
+ * @property {Array<{ name: string|null, uri: string|null }>} attributions - Authors that must be credited when shown.
+ */
+
+/**
+ * @typedef {Object} PlaceReview
+ * @property {number|null} rating - 1–5.
+ * @property {string|null} text
+ * @property {string|null} language - Language code of `text`.
+ * @property {string|null} author
+ * @property {string|null} publishTime - ISO timestamp.
+ * @property {string|null} relativeTime - e.g. "hace 2 semanas", in the request language.
+ */
+
+/**
+ * Place attributes and the Google Places field each one comes from.
+ * Profiles name them in `requires` (e.g. `["vegetarian", "reservable"]`).
+ */
+export const PLACE_ATTRIBUTES = {
+  vegetarian: 'servesVegetarianFood',
+  delivery: 'delivery',
+  takeout: 'takeout',
+  reservable: 'reservable',
+  outdoorSeating: 'outdoorSeating',
+  goodForChildren: 'goodForChildren',
+};
+
+/**
+ * Field tiers, from cheapest to most expensive; each includes the previous one.
+ * - `basic`: what ranking needs (name, location, rating, price, hours, types, address, Maps link).
+ * - `standard`: + phone, website, editorial summary and `attributes`.
+ * - `full`: + photos and reviews.
+ */
+export const FIELD_TIERS = ['basic', 'standard', 'full'];
+
+/** Maximum photos kept per place. */
+export const MAX_PHOTOS = 5;
+
+/** Maximum reviews kept per place. */
+export const MAX_REVIEWS = 5;
+
+/**
+ * @typedef {Object} OpeningHours
+ * @property {Array<{ open: { day: number, hour: number, minute: number }, close: { day: number, hour: number, minute: number } | null }>} periods -
+ *   Weekly periods in local time; `day` 0 = Sunday. A period without `close` means open 24/7.
+ * @property {string[]} weekdayDescriptions - Human-readable hours per day, as Google formats them.
+ */
+
+/**
+ * Converts a Google `Money` object ({ currencyCode, units, nanos }) into a number.
+ *
+ * @param {Object} [money]
+ * @returns {number|null}
+ */
+function moneyToNumber(money) {
+  if (!money || (money.units === undefined && money.nanos === undefined)) return null;
+  return Number(money.units || 0) + (money.nanos || 0) / 1e9;
+}
+
+/**
+ * Normalizes a Google `priceRange` ({ startPrice, endPrice }) into `{ start, end, currency }`.
+ *
+ * @param {Object} [range]
+ * @returns {{ start: number|null, end: number|null, currency: string } | null}
+ */
+function normalizePriceRange(range) {
+  const currency = range?.startPrice?.currencyCode || range?.endPrice?.currencyCode;
+  if (!currency) return null;
+  return {
+    start: moneyToNumber(range.startPrice),
+    end: moneyToNumber(range.endPrice),
+    currency,
+  };
+}
+
+/**
+ * Normalizes a Google period point ({ day, hour, minute }).
+ *
+ * @param {Object} [point]
+ * @returns {{ day: number, hour: number, minute: number } | null}
+ */
+function normalizePeriodPoint(point) {
+  if (!point || typeof point.day !== 'number') return null;
+  return { day: point.day, hour: point.hour ?? 0, minute: point.minute ?? 0 };
+}
+
+/**
+ * Normalizes Google `regularOpeningHours` into `{ periods, weekdayDescriptions }`.
+ *
+ * @param {Object} [hours]
+ * @returns {OpeningHours|null}
+ */
+function normalizeOpeningHours(hours) {
+  const periods = (Array.isArray(hours?.periods) ? hours.periods : [])
+    .map((p) => ({ open: normalizePeriodPoint(p?.open), close: normalizePeriodPoint(p?.close) }))
+    .filter((p) => p.open);
+  if (!periods.length) return null;
+  return {
+    periods,
+    weekdayDescriptions: Array.isArray(hours.weekdayDescriptions) ? hours.weekdayDescriptions : [],
+  };
+}
+
+/**
+ * Normalizes Google photos, keeping the first `MAX_PHOTOS`.
+ *
+ * @param {Object[]} [photos]
+ * @returns {PlacePhoto[]}
+ */
+function normalizePhotos(photos) {
+  if (!Array.isArray(photos)) return [];
+  return photos
+    .filter((ph) => ph?.name)
+    .slice(0, MAX_PHOTOS)
+    .map((ph) => ({
+      name: ph.name,
+      widthPx: ph.widthPx ?? null,
+      heightPx: ph.heightPx ?? null,
+      attributions: (ph.authorAttributions || []).map((a) => ({ name: a.displayName ?? null, uri: a.uri ?? null })),
+    }));
+}
+
+/**
+ * Normalizes Google reviews, keeping the first `MAX_REVIEWS`.
+ *
+ * @param {Object[]} [reviews]
+ * @returns {PlaceReview[]}
+ */
+function normalizeReviews(reviews) {
+  if (!Array.isArray(reviews)) return [];
+  return reviews.slice(0, MAX_REVIEWS).map((r) => ({
+    rating: typeof r?.rating === 'number' ? r.rating : null,
+    text: r?.text?.text ?? r?.originalText?.text ?? null,
+    language: r?.text?.languageCode ?? r?.originalText?.languageCode ?? null,
+    author: r?.authorAttribution?.displayName ?? null,
+    publishTime: r?.publishTime ?? null,
+    relativeTime: r?.relativePublishTimeDescription ?? null,
+  }));
+}
+
+/**
+ * Reads the `PLACE_ATTRIBUTES` booleans of a raw place; fields Google did not return are null.
+ *
+ * @param {Object} raw
+ * @returns {PlaceAttributes}
+ */
+function normalizeAttributes(raw) {
+  const out = {};
+  for (const [key, field] of Object.entries(PLACE_ATTRIBUTES)) {
+    out[key] = typeof raw[field] === 'boolean' ? raw[field] : null;
+  }
+  return out;
+}
+
 /**
  * Normalizes raw place data from Google Places API into a standard structure.
  * Ensures all fields are present, even if null or defaulted.
@@ -33,20 +203,52 @@ export function normalizePlace(raw = {}) {
     rating: typeof raw.rating === 'number' ? raw.rating : null,
     userRatingCount: typeof raw.userRatingCount === 'number' ? raw.userRatingCount : 0,
     priceLevel: raw.priceLevel ?? null,
+    priceRange: normalizePriceRange(raw.priceRange),
     location: raw.location
       ? { lat: raw.location.latitude, lng: raw.location.longitude }
       : null,                                      
     openNow: typeof raw.currentOpeningHours?.openNow === 'boolean'
       ? raw.currentOpeningHours.openNow
       : null,                                      
+    openingHours: normalizeOpeningHours(raw.regularOpeningHours),
+    utcOffsetMinutes: typeof raw.utcOffsetMinutes === 'number' ? raw.utcOffsetMinutes : null,
     primaryType: raw.primaryType ?? null,
     types: Array.isArray(raw.types) ? raw.types : [],
     phone: raw.nationalPhoneNumber ?? null,        
     website: raw.websiteUri ?? null,               
     summary: raw.editorialSummary?.text ?? null,   
+    address: raw.formattedAddress ?? null,
+    mapsUri: raw.googleMapsUri ?? null,
+    attributes: normalizeAttributes(raw),
+    photos: normalizePhotos(raw.photos),
+    reviews: normalizeReviews(raw.reviews),
   };
 }
 
+/**
+ * Clears the fields a cheaper tier does not include, as if the place had been fetched
+ * with that tier (used by providers that always hold every field, e.g. fixtures).
+ *
+ * @param {Place} place
+ * @param {'basic'|'standard'|'full'} [tier='full']
+ * @returns {Place} A shallow copy.
+ */
+export function restrictToTier(place, tier = 'full') {
+  const level = FIELD_TIERS.indexOf(tier);
+  const out = { ...place };
+  if (level < 1) {
+    out.phone = null;
+    out.website = null;
+    out.summary = null;
+    out.attributes = normalizeAttributes({});
+  }
+  if (level < 2) {
+    out.photos = [];
+    out.reviews = [];
+  }
+  return out;
+}
+
 /**
  * Validates whether the given object conforms to a valid `Place` structure.
  *
@@ -1,4 +1,7 @@
-import { priceToLevel } from '../services/scoring.js';
+import { priceToLevel, CONSTRAINT_KEYS } from '../services/scoring.js';
+import { parseMoment } from '../services/openingHours.js';
+import { PLACE_ATTRIBUTES } from './place.js';
+import { expandTypes } from '../services/placeTypes.js';
 
 /**
  * @fileoverview Defines and normalizes the structure of a user profile used for ranking.
@@ -12,7 +15,21 @@ import { priceToLevel } from '../services/scoring.js';
  * @property {number[]} priceLevels - Accepted price levels (0 = free, 1 = inexpensive, ... 4 = very expensive).
  * @property {number} minRating - Minimum acceptable rating (e.g., 4.2).
  * @property {boolean} requireOpen - Whether the place must be currently open.
+ * @property {string|null} openAt - When the user plans to go (ISO 8601; without a zone it is local
+ *   time at the place, e.g. "2026-10-23T21:00"). Replaces "open now" in scoring if set.
+ * @property {number|null} minOpenMinutes - Minutes the place must stay open after arriving
+ *   (at `openAt`, or now). Replaces "open now" in scoring if set.
  * @property {number} maxDistanceKm - Maximum acceptable distance from origin (in kilometers).
+ * @property {{ amount: number, currency: string } | null} maxBudget - Budget per person (e.g., { amount: 60, currency: "GTQ" }).
+ * @property {string|null} region - Region code picking the budget threshold table (e.g., "GT", "MX"); inferred from the currency if null.
+ * @property {Array<keyof typeof PLACE_ATTRIBUTES>} requires - Place attributes the user needs
+ *   (e.g. ["vegetarian", "reservable"]); see `PLACE_ATTRIBUTES` in `models/place.js`.
+ * @property {string[]} includedTypes - Place types the user is after (groups such as "cafes" are
+ *   expanded; see `services/placeTypes.js`). Empty = any type.
+ * @property {string[]} excludedTypes - Place types the user does not want.
+ * @property {'metric'|'imperial'|null} units - Preferred unit system for distances in explanations; `MCP_UNITS` if null.
+ * @property {Record<'rating'|'distance'|'price'|'openNow'|'keywords'|'requirements'|'types', 'must'|'prefer'>} constraints -
+ *   Per-constraint mode: "must" excludes candidates that fail it, "prefer" (default) only affects the score.
  */
 
 /**
@@ -47,8 +64,38 @@ export function normalizeProfile(profile = {}) {
 
   out.requireOpen = Boolean(profile.requireOpen);
 
+  out.openAt = parseMoment(profile.openAt) ? String(profile.openAt).trim() : null;
+
+  out.minOpenMinutes = typeof profile.minOpenMinutes === 'number' && profile.minOpenMinutes > 0
+    ? profile.minOpenMinutes
+    : null;
+
   out.maxDistanceKm = typeof profile.maxDistanceKm === 'number' ? profile.maxDistanceKm : 3;
 
+  const amount = Number(profile.maxBudget?.amount);
+  out.maxBudget = Number.isFinite(amount) && amount > 0
+    ? { amount, currency: String(profile.maxBudget.currency || 'GTQ').toUpperCase() }
+    : null;
+
+  out.region = typeof profile.region === 'string' && profile.region.trim()
+    ? profile.region.trim().toUpperCase()
+    : null;
+
+  out.requires = Array.isArray(profile.requires)
+    ? [...new Set(profile.requires.map(String).filter((key) => Object.hasOwn(PLACE_ATTRIBUTES, key)))]
+    : [];
+
+  // Unknown types are dropped, like other unrecognised preferences
+  out.includedTypes = Array.isArray(profile.includedTypes) ? expandTypes(profile.includedTypes.map(String)).types : [];
+  out.excludedTypes = Array.isArray(profile.excludedTypes) ? expandTypes(profile.excludedTypes.map(String)).types : [];
+
+  out.units = profile.units === 'metric' || profile.units === 'imperial' ? profile.units : null;
+
+  out.constraints = {};
+  for (const key of CONSTRAINT_KEYS) {
+    out.constraints[key] = profile.constraints?.[key] === 'must' ? 'must' : 'prefer';
+  }
+
   return out;
 }
 
@@ -63,6 +110,70 @@ export function isProfileValid(profile = {}) {
   return (
     (profile.keywords?.length || 0) > 0 ||
     (profile.priceLevels?.length || 0) > 0 ||
-    profile.minRating > 0
+    profile.minRating > 0 ||
+    Boolean(profile.maxBudget)
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Current version of the stored profile schema.
+ * Bump it and add a step to `PROFILE_MIGRATIONS` whenever the stored shape changes.
+ *
+ * @type {number}
+ */
+export const PROFILE_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} StoredProfile
+ * @property {string} id - Profile identifier (`profileId` in tools).
+ * @property {string|null} name - Optional human-friendly label.
+ * @property {number} version - Schema version the record was written with.
+ * @property {UserProfile} profile - Normalized preferences.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string} updatedAt - ISO timestamp.
+ */
+
+/**
+ * Migration steps keyed by the version they upgrade *from*.
+ * Each step receives a record at version N and returns it at version N + 1.
+ * Version 0 is a record written without a `version` (raw, unnormalized preferences).
+ *
+ * @type {Record<number, (record: Object) => Object>}
+ */
+export const PROFILE_MIGRATIONS = {
+  0: (record) => {
+    const now = new Date().toISOString();
+    return {
+      id: record.id,
+      name: record.name ?? null,
+      version: 1,
+      profile: normalizeProfile(record.profile || {}),
+      createdAt: record.createdAt ?? now,
+      updatedAt: record.updatedAt ?? now,
+    };
+  },
+};
+
+/**
+ * Upgrades a stored profile record to `PROFILE_SCHEMA_VERSION`, one step at a time.
+ *
+ * @param {Object} record - Record as read from storage.
+ * @returns {{ record: StoredProfile, migrated: boolean }} Upgraded record and whether it changed.
+ * @throws {Error} If the record is newer than this code or a migration step is missing.
+ */
+export function migrateProfileRecord(record) {
+  let current = { ...record, version: typeof record.version === 'number' ? record.version : 0 };
+  const from = current.version;
+
+  if (from > PROFILE_SCHEMA_VERSION) {
+    throw new Error(`Perfil "${record.id}" usa el esquema v${from}, más nuevo que v${PROFILE_SCHEMA_VERSION}`);
+  }
+
+  while (current.version < PROFILE_SCHEMA_VERSION) {
+    const step = PROFILE_MIGRATIONS[current.version];
+    if (!step) throw new Error(`Falta la migración de perfiles v${current.version} → v${current.version + 1}`);
+    current = step(current);
+  }
+
+  return { record: current, migrated: current.version !== from };
+}
@@ -0,0 +1,177 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { BUDGETS_PATH } from '../config/env.js';
+import { ConfigError, ValidationError } from '../utils/errors.js';
+import { t, DEFAULT_LOCALE } from '../utils/i18n.js';
+
+/**
+ * @fileoverview Currency-aware budget mapping.
+ * Converts a user budget (amount + currency) into accepted Google price levels using
+ * per-region threshold tables, and scores a place's `priceRange` against the budget
+ * when Places provides one. Tables and static exchange rates live in a JSON data file
+ * (`src/config/budgets.json`, overridable with `BUDGETS_PATH`).
+ */
+
+const DEFAULT_BUDGETS = fileURLToPath(new URL('../config/budgets.json', import.meta.url));
+
+/**
+ * @typedef {Object} BudgetConfig
+ * @property {string} defaultRegion - Region used when none can be inferred.
+ * @property {Record<string, number>} exchangeRates - Units of each currency per 1 USD.
+ * @property {Record<string, string>} symbols - Display symbol per currency.
+ * @property {Record<string, { currency: string, thresholds: Array<{ max: number|null, levels: number[] }> }>} regions
+ */
+
+/** @type {BudgetConfig|null} */
+let config = null;
+
+/**
+ * Loads (once) the budget configuration.
+ *
+ * @returns {BudgetConfig}
+ * @throws {ConfigError} If the file cannot be read or has no regions.
+ */
+export function getBudgetConfig() {
+  if (config) return config;
+  const file = BUDGETS_PATH || DEFAULT_BUDGETS;
+  try {
+    const json = JSON.parse(readFileSync(file, 'utf8'));
+    if (!json.regions || !Object.keys(json.regions).length) throw new Error('sin "regions"');
+    config = {
+      defaultRegion: json.defaultRegion || Object.keys(json.regions)[0],
+      exchangeRates: json.exchangeRates || {},
+      symbols: json.symbols || {},
+      regions: json.regions,
+    };
+    return config;
+  } catch (e) {
+    throw new ConfigError(`No se pudo leer la configuración de presupuestos: ${file}`, { err: e?.message });
+  }
+}
+
+/**
+ * Converts an amount between currencies using the static exchange rates.
+ *
+ * @param {number} amount
+ * @param {string} from - ISO 4217 code.
+ * @param {string} to - ISO 4217 code.
+ * @returns {number|null} Converted amount, or null if a rate is missing.
+ */
+export function convertAmount(amount, from, to) {
+  if (from === to) return amount;
+  const { exchangeRates } = getBudgetConfig();
+  const rFrom = exchangeRates[from];
+  const rTo = exchangeRates[to];
+  if (!rFrom || !rTo) return null;
+  return (amount / rFrom) * rTo;
+}
+
+/**
+ * Currencies a budget can be given in: those with an exchange rate, plus the regions' own
+ * currencies (usable against that region's thresholds even without a rate).
+ *
+ * @returns {string[]} ISO 4217 codes.
+ */
+export function supportedCurrencies() {
+  const { exchangeRates, regions } = getBudgetConfig();
+  return [...new Set([...Object.keys(exchangeRates), ...Object.values(regions).map((r) => r.currency)])];
+}
+
+/**
+ * Checks that a budget's currency can be converted. Without a rate the budget could not be
+ * compared with any price level and would be ignored without notice.
+ *
+ * @param {{ amount?: number, currency?: string } | null | undefined} maxBudget
+ * @param {string} [locale=DEFAULT_LOCALE] - Language of the error message.
+ * @throws {ValidationError} If the currency is not supported; the message lists the supported ones.
+ */
+export function assertBudgetCurrency(maxBudget, locale = DEFAULT_LOCALE) {
+  if (!maxBudget || typeof maxBudget !== 'object') return;
+  const currency = String(maxBudget.currency || 'GTQ').toUpperCase();
+  const supported = supportedCurrencies();
+  if (supported.includes(currency)) return;
+  throw new ValidationError(t(locale, 'errors.currency', { currency, supported: supported.join(', ') }), {
+    currency,
+    supported,
+  });
+}
+
+/**
+ * Formats an amount with its currency symbol (e.g. "Q60", "$15", "60 XYZ").
+ *
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+export function formatMoney(amount, currency) {
+  const sym = getBudgetConfig().symbols[currency];
+  const rounded = Math.round(amount);
+  return sym ? `${sym}${rounded}` : `${rounded} ${currency}`;
+}
+
+/**
+ * Picks the threshold region: explicit `region` if known, else the first region whose
+ * currency matches the budget, else the default region.
+ *
+ * @param {string} currency
+ * @param {string} [region]
+ * @returns {string}
+ */
+function pickRegion(currency, region) {
+  const { regions, defaultRegion } = getBudgetConfig();
+  const wanted = region?.toUpperCase();
+  if (wanted && regions[wanted]) return wanted;
+  const byCurrency = Object.keys(regions).find((r) => regions[r].currency === currency);
+  return byCurrency || defaultRegion;
+}
+
+/**
+ * Converts a monetary budget into allowed price levels, using the region's own
+ * threshold table after converting the budget to the region's currency.
+ *
+ * @param {{ amount: number, currency?: string }} maxBudget
+ * @param {string} [region] - ISO country/region code (e.g. "GT", "MX").
+ * @returns {{ levels: number[], region: string, currency: string, amountInRegion: number } | null}
+ *   Accepted levels (0–4) and how they were derived, or null if there is no usable budget.
+ */
+export function budgetToAllowedLevels(maxBudget, region) {
+  if (!maxBudget?.amount || maxBudget.amount <= 0) return null;
+  const cur = (maxBudget.currency || 'GTQ').toUpperCase();
+  const regionKey = pickRegion(cur, region);
+  const table = getBudgetConfig().regions[regionKey];
+
+  const amountInRegion = convertAmount(maxBudget.amount, cur, table.currency);
+  if (amountInRegion === null) return null;
+
+  const row =
+    table.thresholds.find((r) => r.max === null || amountInRegion <= r.max) ||
+    table.thresholds[table.thresholds.length - 1];
+  return { levels: row.levels, region: regionKey, currency: table.currency, amountInRegion };
+}
+
+/**
+ * Scores how well a place's `priceRange` fits the budget.
+ * 1 if the whole range is within budget, 0 if even the start price exceeds it,
+ * linear in between.
+ *
+ * @param {{ start: number|null, end: number|null, currency: string }|null} priceRange
+ * @param {{ amount: number, currency?: string }} maxBudget
+ * @returns {{ fit: number, budgetInPlaceCurrency: number } | null} Null if not comparable.
+ */
+export function priceRangeFit(priceRange, maxBudget) {
+  if (!priceRange?.currency || !maxBudget?.amount || maxBudget.amount <= 0) return null;
+  const start = priceRange.start ?? priceRange.end;
+  const end = priceRange.end ?? priceRange.start;
+  if (typeof start !== 'number') return null;
+
+  const budget = convertAmount(maxBudget.amount, (maxBudget.currency || 'GTQ').toUpperCase(), priceRange.currency);
+  if (budget === null) return null;
+
+  let fit;
+  if (budget >= end) fit = 1;
+  else if (budget < start) fit = 0;
+  else fit = (budget - start) / Math.max(end - start, 1e-9);
+  return { fit, budgetInPlaceCurrency: budget };
+}
+
+export default { getBudgetConfig, convertAmount, formatMoney, budgetToAllowedLevels, priceRangeFit };
@@ -0,0 +1,28 @@
+import { describe, test, expect } from '@jest/globals';
+import { assertBudgetCurrency, budgetToAllowedLevels, supportedCurrencies } from './budget.js';
+
+describe('assertBudgetCurrency', () => {
+  test('accepts currencies with an exchange rate, in any case, and a missing currency (GTQ)', () => {
+    expect(() => assertBudgetCurrency({ amount: 15, currency: 'usd' })).not.toThrow();
+    expect(() => assertBudgetCurrency({ amount: 60 })).not.toThrow();
+    expect(() => assertBudgetCurrency(null)).not.toThrow();
+  });
+
+  test('rejects an unknown currency and lists the supported ones', () => {
+    let err;
+    try {
+      assertBudgetCurrency({ amount: 20, currency: 'XYZ' }, 'en');
+    } catch (e) {
+      err = e;
+    }
+    expect(err).toMatchObject({ code: 'VALIDATION_ERROR', extra: { currency: 'XYZ', supported: supportedCurrencies() } });
+    expect(err.message).toContain('"XYZ" is not supported');
+    expect(err.message).toContain('GTQ');
+  });
+
+  test('every supported currency maps to price levels', () => {
+    for (const currency of supportedCurrencies()) {
+      expect(budgetToAllowedLevels({ amount: 100, currency })).not.toBeNull();
+    }
+  });
+});
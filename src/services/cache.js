@@ -0,0 +1,295 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { CACHE_ENABLED, CACHE_MAX_ENTRIES, CACHE_FILE } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @fileoverview Response cache for place provider calls.
+ * In-memory LRU with per-entry TTL, an optional on-disk JSON store, and hit/miss counters.
+ * Keys are built from normalized request parameters, so equivalent calls
+ * (e.g. same address with different casing/spacing) share one entry.
+ */
+
+/**
+ * Time-to-live per provider endpoint, in milliseconds.
+ * Anything that depends on `openNow` uses `openNow` instead, since it goes stale quickly.
+ */
+export const CACHE_TTLS = {
+  geocodeAddress: 7 * 24 * 60 * 60 * 1000,
+  geocodeCandidates: 7 * 24 * 60 * 60 * 1000,
+  reverseGeocode: 7 * 24 * 60 * 60 * 1000,
+  autocompletePlaces: 24 * 60 * 60 * 1000,
+  getPlaceDetails: 24 * 60 * 60 * 1000,
+  searchNearbyRestaurants: 60 * 60 * 1000,
+  searchTextRestaurants: 60 * 60 * 1000,
+  openNow: 5 * 60 * 1000,
+};
+
+/**
+ * Least-recently-used cache with per-entry expiry.
+ * Relies on `Map` insertion order: the first key is always the least recently used.
+ */
+export class LruCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=500] - Maximum number of live entries.
+   * @param {string} [options.file] - Optional JSON file used to persist entries across restarts.
+   */
+  constructor({ maxEntries = 500, file } = {}) {
+    this.maxEntries = maxEntries;
+    this.file = file || null;
+    /** @type {Map<string, { value: any, expiresAt: number }>} */
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, byEndpoint: {} };
+    this.saveTimer = null;
+    this.dirty = false;
+    if (this.file) {
+      this.loadFromDisk();
+      // flush pending writes that the debounce timer did not get to
+      process.once('exit', () => this.saveToDisk());
+    }
+  }
+
+  /**
+   * Returns a cached value, or `undefined` if missing or expired.
+   *
+   * @param {string} key
+   * @returns {any}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Stores a value with the given TTL, evicting the least recently used entries if needed.
+   *
+   * @param {string} key
+   * @param {any} value
+   * @param {number} ttlMs
+   */
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Records a hit or miss for an endpoint.
+   *
+   * @param {string} endpoint
+   * @param {boolean} hit
+   */
+  record(endpoint, hit) {
+    const bucket = (this.stats.byEndpoint[endpoint] ||= { hits: 0, misses: 0 });
+    if (hit) {
+      this.stats.hits += 1;
+      bucket.hits += 1;
+    } else {
+      this.stats.misses += 1;
+      bucket.misses += 1;
+    }
+  }
+
+  /**
+   * Returns a snapshot of cache counters.
+   *
+   * @returns {{ size: number, maxEntries: number, hits: number, misses: number, hitRate: number, persisted: boolean, byEndpoint: Object }}
+   */
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: total ? Number((this.stats.hits / total).toFixed(4)) : 0,
+      persisted: Boolean(this.file),
+      byEndpoint: structuredClone(this.stats.byEndpoint),
+    };
+  }
+
+  /**
+   * Removes every entry (counters are kept).
+   */
+  clear() {
+    this.entries.clear();
+    this.scheduleSave();
+  }
+
+  /**
+   * Loads non-expired entries from the on-disk store. A missing or corrupt file is ignored.
+   */
+  loadFromDisk() {
+    try {
+      const now = Date.now();
+      const rows = JSON.parse(readFileSync(this.file, 'utf8'));
+      for (const [key, entry] of rows) {
+        if (entry?.expiresAt > now) this.entries.set(key, entry);
+      }
+      logger.info('cache.disk.load', { file: this.file, entries: this.entries.size });
+    } catch (e) {
+      if (e.code !== 'ENOENT') logger.warn('cache.disk.load_fail', { file: this.file, err: e?.message });
+    }
+  }
+
+  /**
+   * Debounces writes to the on-disk store so bursts of calls cause a single write.
+   */
+  scheduleSave() {
+    if (!this.file) return;
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveToDisk();
+    }, 1000);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Writes all live entries to the on-disk store.
+   */
+  saveToDisk() {
+    if (!this.file || !this.dirty) return;
+    try {
+      mkdirSync(dirname(this.file), { recursive: true });
+      writeFileSync(this.file, JSON.stringify([...this.entries]));
+      this.dirty = false;
+    } catch (e) {
+      logger.warn('cache.disk.save_fail', { file: this.file, err: e?.message });
+    }
+  }
+}
+
+/** Free-text parameters, matched without regard to case or spacing. Place ids and codes are kept as given. */
+const FREE_TEXT_PARAMS = new Set(['query', 'address', 'input']);
+
+/** Endpoints whose first argument is a free-text address. */
+const FREE_TEXT_FIRST_ARG = new Set(['geocodeAddress', 'geocodeCandidates']);
+
+/**
+ * Recursively normalizes request parameters for use in a cache key:
+ * free text (`freeText`, or a `query` / `address` / `input` property) is trimmed, lowercased
+ * and whitespace-collapsed, coordinates are rounded (~1 m), undefined values are dropped
+ * and object keys are sorted. Other strings, such as case-sensitive place ids, are left as is.
+ *
+ * @param {any} value
+ * @param {boolean} [freeText=false] - Whether strings in `value` are free text.
+ * @returns {any}
+ */
+export function normalizeKeyPart(value, freeText = false) {
+  if (typeof value === 'string') return freeText ? value.trim().toLowerCase().replace(/\s+/g, ' ') : value;
+  if (typeof value === 'number') return Number.isInteger(value) ? value : Number(value.toFixed(5));
+  if (Array.isArray(value)) return value.map((v) => normalizeKeyPart(v, freeText));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const k of Object.keys(value).sort()) {
+      if (value[k] !== undefined) out[k] = normalizeKeyPart(value[k], freeText || FREE_TEXT_PARAMS.has(k));
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Builds the cache key for a provider call.
+ *
+ * @param {string} providerName
+ * @param {string} endpoint
+ * @param {any[]} args
+ * @returns {string}
+ */
+export function cacheKey(providerName, endpoint, args) {
+  const parts = args.map((arg, i) => normalizeKeyPart(arg, i === 0 && FREE_TEXT_FIRST_ARG.has(endpoint)));
+  return `${providerName}:${endpoint}:${JSON.stringify(parts)}`;
+}
+
+/**
+ * Picks the TTL for a call: short when results depend on `openNow`.
+ *
+ * @param {string} endpoint
+ * @param {any[]} args
+ * @returns {number}
+ */
+function ttlFor(endpoint, args) {
+  if (args.some((a) => a && typeof a === 'object' && a.openNow)) return CACHE_TTLS.openNow;
+  return CACHE_TTLS[endpoint] ?? CACHE_TTLS.searchNearbyRestaurants;
+}
+
+/**
+ * Clears the live open/closed flag of places in a response, leaving their regular hours.
+ * Entries kept longer than `CACHE_TTLS.openNow` must not carry it: ranking then works out
+ * "open now" from the hours at the time it runs instead of trusting a stale flag.
+ *
+ * @param {any} value - Provider response (a place, a list of places, or anything else).
+ * @returns {any}
+ */
+export function withoutLiveStatus(value) {
+  if (Array.isArray(value)) return value.map(withoutLiveStatus);
+  if (value && typeof value === 'object' && Object.hasOwn(value, 'openNow')) return { ...value, openNow: null };
+  return value;
+}
+
+/** Shared cache instance used by the place provider. */
+export const cache = new LruCache({ maxEntries: CACHE_MAX_ENTRIES, file: CACHE_FILE });
+
+/**
+ * Wraps a place provider so its calls go through the cache.
+ * Concurrent identical calls share one in-flight request; errors are never cached.
+ * The caller of a miss gets the live `openNow`; entries with a long TTL are stored without it.
+ *
+ * @param {import('./placeProvider.js').PlaceProvider} provider
+ * @param {LruCache} [store=cache]
+ * @returns {import('./placeProvider.js').PlaceProvider}
+ */
+export function withCache(provider, store = cache) {
+  if (!CACHE_ENABLED) return provider;
+
+  /** @type {Map<string, Promise<any>>} */
+  const inFlight = new Map();
+  const wrapped = { ...provider };
+
+  for (const endpoint of Object.keys(CACHE_TTLS)) {
+    if (typeof provider[endpoint] !== 'function') continue;
+
+    wrapped[endpoint] = async (...args) => {
+      const key = cacheKey(provider.name, endpoint, args);
+      const cached = store.get(key);
+      if (cached !== undefined) {
+        store.record(endpoint, true);
+        logger.debug('cache.hit', { endpoint });
+        return structuredClone(cached);
+      }
+
+      store.record(endpoint, false);
+      if (inFlight.has(key)) return structuredClone(await inFlight.get(key));
+
+      const pending = provider[endpoint](...args);
+      inFlight.set(key, pending);
+      try {
+        const value = await pending;
+        const ttl = ttlFor(endpoint, args);
+        store.set(key, ttl > CACHE_TTLS.openNow ? withoutLiveStatus(value) : value, ttl);
+        return structuredClone(value);
+      } finally {
+        inFlight.delete(key);
+      }
+    };
+  }
+
+  return wrapped;
+}
+
+export default { cache, withCache, withoutLiveStatus, LruCache, CACHE_TTLS };
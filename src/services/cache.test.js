@@ -0,0 +1,63 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { cacheKey, withCache, LruCache } from './cache.js';
+
+describe('cacheKey', () => {
+  test('place ids that differ only by case get different keys', () => {
+    expect(cacheKey('google', 'getPlaceDetails', ['ChIJabc123', { fields: 'full' }]))
+      .not.toBe(cacheKey('google', 'getPlaceDetails', ['ChIJABC123', { fields: 'full' }]));
+  });
+
+  test('addresses and search text ignore case and spacing', () => {
+    expect(cacheKey('google', 'geocodeAddress', ['  Zona 10,  Guatemala ', {}]))
+      .toBe(cacheKey('google', 'geocodeAddress', ['zona 10, guatemala', {}]));
+    expect(cacheKey('google', 'searchTextRestaurants', [{ query: 'Tacos  al Pastor', lat: 14.6, lng: -90.5 }]))
+      .toBe(cacheKey('google', 'searchTextRestaurants', [{ query: 'tacos al pastor', lat: 14.6, lng: -90.5 }]));
+  });
+
+  test('coordinates are rounded and undefined values ignored', () => {
+    expect(cacheKey('google', 'searchNearbyRestaurants', [{ lat: 14.6000001, lng: -90.5, openNow: undefined }]))
+      .toBe(cacheKey('google', 'searchNearbyRestaurants', [{ lng: -90.5, lat: 14.6 }]));
+  });
+});
+
+describe('withCache', () => {
+  beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterAll(() => jest.restoreAllMocks());
+
+  const place = { placeId: 'ChIJopen', name: 'Kacao', openNow: true, openingHours: { periods: [] } };
+
+  /** Provider whose calls are counted. */
+  function countingProvider() {
+    return {
+      name: 'counting',
+      calls: 0,
+      async getPlaceDetails() {
+        this.calls += 1;
+        return { ...place };
+      },
+      async searchNearbyRestaurants() {
+        this.calls += 1;
+        return [{ ...place }];
+      },
+    };
+  }
+
+  test('long-lived entries drop the live openNow flag but keep the hours', async () => {
+    const provider = countingProvider();
+    const cached = withCache(provider, new LruCache());
+
+    expect((await cached.getPlaceDetails('ChIJopen')).openNow).toBe(true);
+    const hit = await cached.getPlaceDetails('ChIJopen');
+    expect(provider.calls).toBe(1);
+    expect(hit).toMatchObject({ placeId: 'ChIJopen', openNow: null, openingHours: { periods: [] } });
+
+    await cached.searchNearbyRestaurants({ lat: 14.6, lng: -90.5 });
+    expect((await cached.searchNearbyRestaurants({ lat: 14.6, lng: -90.5 }))[0].openNow).toBeNull();
+  });
+
+  test('short-lived openNow searches keep the flag', async () => {
+    const cached = withCache(countingProvider(), new LruCache());
+    await cached.searchNearbyRestaurants({ lat: 14.6, lng: -90.5, openNow: true });
+    expect((await cached.searchNearbyRestaurants({ lat: 14.6, lng: -90.5, openNow: true }))[0].openNow).toBe(true);
+  });
+});
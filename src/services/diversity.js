@@ -0,0 +1,176 @@
+import { tokenize } from './textMatch.js';
+import { ValidationError } from '../utils/errors.js';
+import { t, DEFAULT_LOCALE } from '../utils/i18n.js';
+
+/**
+ * @fileoverview Diversity re-ranking, so the top results are not five branches of one
+ * chain or five pizza places. Candidates already sorted by score are re-picked greedily
+ * with Maximal Marginal Relevance: each step takes the place with the best
+ * `λ · score − (1 − λ) · similarity to the places already picked`, where two branches of
+ * a chain count as identical and two places of the same `primaryType` as similar.
+ * Optional caps per chain and per `primaryType` push the extra ones below the rest.
+ * Places that end up lower than their score alone would put them are marked as demoted,
+ * with the place they were too similar to.
+ */
+
+/** Similarity between two places of the same `primaryType` (other than a chain). */
+const SAME_TYPE_SIMILARITY = 0.6;
+
+/** Share of the shorter name's brand words two places must share to count as one chain. */
+const CHAIN_OVERLAP = 0.75;
+
+/** Shared brand words that make two places one chain regardless of the rest of the name. */
+const CHAIN_SHARED_WORDS = 2;
+
+/** Name words that say nothing about the brand ("Restaurante", "La", "Café"…). */
+const GENERIC_NAME_WORDS = new Set(
+  ['restaurante', 'restaurant', 'cafe', 'cafeteria', 'bar', 'comedor', 'la', 'el', 'los', 'las', 'de', 'del', 'y', 'the', 'and', 'of']
+    .map((w) => tokenize(w)[0].stem)
+);
+
+/**
+ * @typedef {Object} DiversitySettings
+ * @property {number} lambda - Relevance vs. diversity trade-off (1 = score only, 0 = diversity only).
+ * @property {number|null} maxPerChain - Most places per chain before the rest are pushed down.
+ * @property {number|null} maxPerType - Most places per `primaryType` before the rest are pushed down.
+ */
+
+/**
+ * @typedef {Object} Demotion
+ * @property {number} from - Position by score alone (1-based).
+ * @property {number} to - Position after re-ranking (1-based).
+ * @property {'chain'|'type'} reason - Why it was pushed down.
+ * @property {string} similarTo - Name of the higher-placed place it duplicates.
+ */
+
+/** Defaults used when diversity is requested with `true`. */
+export const DEFAULT_DIVERSITY = { lambda: 0.7, maxPerChain: 1, maxPerType: null };
+
+/**
+ * Validates the `diversity` parameter of a tool call.
+ *
+ * @param {*} value - `true`, `false`/omitted, or `{ lambda?, maxPerChain?, maxPerType? }`.
+ * @param {Object} opts
+ * @param {string} opts.tool - Tool name for error messages.
+ * @param {string} [opts.locale=DEFAULT_LOCALE] - Language of error messages.
+ * @returns {DiversitySettings|null} Null if diversity is off.
+ * @throws {ValidationError} If the value or one of its fields is invalid.
+ */
+export function resolveDiversity(value, { tool, locale = DEFAULT_LOCALE }) {
+  if (value === undefined || value === null || value === false) return null;
+  if (value === true) return { ...DEFAULT_DIVERSITY };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(t(locale, 'errors.diversity', { tool }));
+  }
+
+  const out = { ...DEFAULT_DIVERSITY };
+  if (value.lambda !== undefined) {
+    if (typeof value.lambda !== 'number' || !(value.lambda >= 0 && value.lambda <= 1)) {
+      throw new ValidationError(t(locale, 'errors.range', { tool, field: 'diversity.lambda', min: 0, max: 1 }));
+    }
+    out.lambda = value.lambda;
+  }
+  for (const key of ['maxPerChain', 'maxPerType']) {
+    if (value[key] === undefined) continue;
+    if (value[key] !== null && (!Number.isInteger(value[key]) || value[key] <= 0)) {
+      throw new ValidationError(t(locale, 'errors.positiveInteger', { tool, field: `diversity.${key}` }));
+    }
+    out[key] = value[key];
+  }
+  return out;
+}
+
+/**
+ * Brand words of a place name (folded, stemmed, generic words removed).
+ *
+ * @param {string} name
+ * @returns {Set<string>}
+ */
+function nameWords(name) {
+  return new Set(tokenize(name).map((tk) => tk.stem).filter((s) => !GENERIC_NAME_WORDS.has(s)));
+}
+
+/**
+ * Whether two places look like branches of one chain: most brand words of the shorter
+ * name appear in the other ("Pollo Campero" / "Pollo Campero Zona 10"), or they share
+ * two or more ("Pizza Nostra Centro" / "Pizza Nostra Norte").
+ *
+ * @param {Set<string>} a - `nameWords` of one place.
+ * @param {Set<string>} b - `nameWords` of the other.
+ * @returns {boolean}
+ */
+function sameChain(a, b) {
+  if (!a.size || !b.size) return false;
+  const shared = [...a].filter((w) => b.has(w)).length;
+  return shared >= CHAIN_SHARED_WORDS || shared / Math.min(a.size, b.size) >= CHAIN_OVERLAP;
+}
+
+/**
+ * Re-ranks scored places for diversity (see file overview). Places that move down get
+ * a `demotion` and a note at the end of their `why`.
+ *
+ * @param {Object[]} ranked - Places sorted by `score` (descending), with `why`.
+ * @param {DiversitySettings} settings
+ * @param {string} [locale=DEFAULT_LOCALE] - Language of the `why` note.
+ * @returns {Object[]} The same places, re-ordered; demoted ones are copies with `demotion: Demotion`.
+ */
+export function diversify(ranked, { lambda, maxPerChain, maxPerType }, locale = DEFAULT_LOCALE) {
+  const entries = ranked.map((p, i) => ({ place: p, from: i + 1, words: nameWords(p.name), chain: null }));
+  const picked = [];
+  const chainCount = new Map();
+  const typeCount = new Map();
+
+  const similarity = (a, b) => {
+    if (sameChain(a.words, b.words)) return { value: 1, reason: 'chain' };
+    if (a.place.primaryType && a.place.primaryType === b.place.primaryType) {
+      return { value: SAME_TYPE_SIMILARITY, reason: 'type' };
+    }
+    return { value: 0, reason: null };
+  };
+  const capped = (e) =>
+    (maxPerChain && (chainCount.get(e.chain) || 0) >= maxPerChain) ||
+    (maxPerType && e.place.primaryType && (typeCount.get(e.place.primaryType) || 0) >= maxPerType);
+
+  let pool = entries;
+  while (pool.length) {
+    // Chains are numbered by their first (best-scored) branch as places are picked
+    for (const e of pool) {
+      if (e.chain === null) e.chain = picked.find((p) => sameChain(p.words, e.words))?.chain ?? null;
+    }
+    const open = pool.filter((e) => !capped(e));
+    const choices = open.length ? open : pool;
+
+    let best = null;
+    for (const e of choices) {
+      const penalty = Math.max(0, ...picked.map((p) => similarity(e, p).value));
+      const mmr = lambda * e.place.score - (1 - lambda) * penalty;
+      if (!best || mmr > best.mmr) best = { e, mmr };
+    }
+
+    const { e } = best;
+    if (e.chain === null) e.chain = e.from;
+    chainCount.set(e.chain, (chainCount.get(e.chain) || 0) + 1);
+    if (e.place.primaryType) typeCount.set(e.place.primaryType, (typeCount.get(e.place.primaryType) || 0) + 1);
+    picked.push(e);
+    pool = pool.filter((x) => x !== e);
+  }
+
+  return picked.map((e, i) => {
+    const to = i + 1;
+    if (to <= e.from) return e.place;
+    // A place only drops if something similar was picked first
+    const similar = picked.slice(0, i).reduce(
+      (acc, p) => {
+        const sim = similarity(e, p);
+        return sim.value > acc.value ? { ...sim, to: p } : acc;
+      },
+      { value: 0, reason: null, to: null }
+    );
+    if (!similar.to) return e.place;
+    const demotion = { from: e.from, to, reason: similar.reason, similarTo: similar.to.place.name };
+    const note = t(locale, `why.demoted.${similar.reason}`, { name: demotion.similarTo, type: e.place.primaryType });
+    return { ...e.place, why: [e.place.why, note].filter(Boolean).join(' · '), demotion };
+  });
+}
+
+export default { DEFAULT_DIVERSITY, resolveDiversity, diversify };
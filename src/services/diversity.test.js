@@ -0,0 +1,48 @@
+import { describe, test, expect } from '@jest/globals';
+import { diversify } from './diversity.js';
+
+const place = (name, score, primaryType) => ({ placeId: name, name, score, primaryType, why: `${name} encaja` });
+
+/** Sorted by score: two branches of one chain on top. */
+const ranked = [
+  place('Pollo Campero Zona 10', 0.9, 'fast_food_restaurant'),
+  place('Pollo Campero Oakland', 0.85, 'fast_food_restaurant'),
+  place('Kacao', 0.8, 'guatemalan_restaurant'),
+  place('Tre Fratelli', 0.7, 'italian_restaurant'),
+];
+
+const names = (places) => places.map((p) => p.name);
+
+describe('diversify', () => {
+  test('lambda 1 without caps keeps the score order untouched', () => {
+    const out = diversify(ranked, { lambda: 1, maxPerChain: null, maxPerType: null });
+    expect(out).toHaveLength(ranked.length);
+    out.forEach((p, i) => expect(p).toBe(ranked[i]));
+  });
+
+  test('the chain cap pushes the second branch below the rest and says why', () => {
+    const out = diversify(ranked, { lambda: 1, maxPerChain: 1, maxPerType: null });
+    expect(names(out)).toEqual(['Pollo Campero Zona 10', 'Kacao', 'Tre Fratelli', 'Pollo Campero Oakland']);
+    expect(out.slice(0, 3).every((p) => !p.demotion)).toBe(true);
+    expect(out[3]).toMatchObject({
+      demotion: { from: 2, to: 4, reason: 'chain', similarTo: 'Pollo Campero Zona 10' },
+      why: 'Pollo Campero Oakland encaja · ↓ misma cadena que Pollo Campero Zona 10',
+    });
+    expect(diversify(ranked, { lambda: 1, maxPerChain: 1, maxPerType: null }, 'en')[3].why)
+      .toBe('Pollo Campero Oakland encaja · ↓ same chain as Pollo Campero Zona 10');
+  });
+
+  test('the type cap pushes extra places of a type down, but keeps them', () => {
+    const pizzas = [
+      place('Pizza Roma', 0.9, 'pizza_restaurant'),
+      place('Napoli Express', 0.88, 'pizza_restaurant'),
+      place('Forno Vecchio', 0.86, 'pizza_restaurant'),
+      place('Sushi Itto', 0.6, 'japanese_restaurant'),
+    ];
+    const out = diversify(pizzas, { lambda: 1, maxPerChain: null, maxPerType: 1 });
+    expect(names(out)).toEqual(['Pizza Roma', 'Sushi Itto', 'Napoli Express', 'Forno Vecchio']);
+    expect(out[2].demotion).toEqual({ from: 2, to: 3, reason: 'type', similarTo: 'Pizza Roma' });
+    expect(out[3].demotion).toMatchObject({ from: 3, to: 4, reason: 'type' });
+    expect(out[2].why).toBe('Napoli Express encaja · ↓ mismo tipo que Pizza Roma');
+  });
+});
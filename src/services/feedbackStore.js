@@ -0,0 +1,143 @@
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { FEEDBACK_STORE_PATH } from '../config/env.js';
+import { FEEDBACK_SCHEMA_VERSION } from '../models/feedback.js';
+import { ConfigError } from '../utils/errors.js';
+import { writeFileAtomic, createSerialQueue } from '../utils/fileStore.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @fileoverview Persistent feedback storage backed by a local JSON file, kept per profile.
+ * Works like the profile store: loaded once, written atomically, writes serialized.
+ * Each profile keeps its newest `MAX_FEEDBACK_PER_PROFILE` records.
+ *
+ * File format: `{ "version": 1, "entries": [FeedbackEntry, …] }` (oldest first)
+ */
+
+/** Records kept per profile; older ones are dropped. */
+export const MAX_FEEDBACK_PER_PROFILE = 500;
+
+/** @type {import('../models/feedback.js').FeedbackEntry[] | null} */
+let entries = null;
+
+/** @type {Promise<import('../models/feedback.js').FeedbackEntry[]> | null} */
+let loading = null;
+
+/** Runs store changes one at a time, so concurrent tool calls cannot interleave. */
+const enqueue = createSerialQueue();
+
+/**
+ * Loads (once) all feedback from disk; concurrent callers share the same read.
+ *
+ * @returns {Promise<import('../models/feedback.js').FeedbackEntry[]>}
+ */
+function load() {
+  if (entries) return Promise.resolve(entries);
+  loading ||= readStore().finally(() => { loading = null; });
+  return loading;
+}
+
+/**
+ * Reads all feedback from disk. A missing file is treated as an empty store.
+ *
+ * @returns {Promise<import('../models/feedback.js').FeedbackEntry[]>}
+ * @throws {ConfigError} If the file exists but cannot be parsed or is from a newer version.
+ */
+async function readStore() {
+  let json = { entries: [] };
+  try {
+    json = JSON.parse(await readFile(FEEDBACK_STORE_PATH, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new ConfigError(`No se pudo leer el almacén de feedback: ${FEEDBACK_STORE_PATH}`, { err: e?.message });
+    }
+  }
+  if ((json.version ?? FEEDBACK_SCHEMA_VERSION) > FEEDBACK_SCHEMA_VERSION) {
+    throw new ConfigError(
+      `El almacén de feedback usa el esquema v${json.version}, más nuevo que v${FEEDBACK_SCHEMA_VERSION}`,
+      { file: FEEDBACK_STORE_PATH }
+    );
+  }
+
+  entries = Array.isArray(json.entries) ? json.entries : [];
+  logger.info('feedback.load.ok', { file: FEEDBACK_STORE_PATH, count: entries.length });
+  return entries;
+}
+
+/**
+ * Computes the next list of entries from the current one, writes it atomically and only
+ * then makes it current, so a failed write leaves the loaded feedback as it was.
+ * Changes run one at a time, each on the result of the previous one.
+ *
+ * @param {(current: import('../models/feedback.js').FeedbackEntry[]) => import('../models/feedback.js').FeedbackEntry[] | null} change
+ *   Returns the new list (without modifying `current`), or `null` when there is nothing to write.
+ * @returns {Promise<void>}
+ */
+function commit(change) {
+  return enqueue(async () => {
+    const next = change(await load());
+    if (!next) return;
+    await writeFileAtomic(FEEDBACK_STORE_PATH, JSON.stringify({ version: FEEDBACK_SCHEMA_VERSION, entries: next }, null, 2));
+    entries = next;
+  });
+}
+
+/**
+ * Stores a feedback record.
+ *
+ * @param {Omit<import('../models/feedback.js').FeedbackEntry, 'id'>} entry - Validated record.
+ * @returns {Promise<import('../models/feedback.js').FeedbackEntry>} The record with its new `id`.
+ */
+export async function recordFeedback(entry) {
+  const record = { id: randomUUID(), ...entry };
+  await commit((current) => {
+    const next = [...current, record];
+    const own = next.filter((e) => e.profileId === record.profileId);
+    if (own.length <= MAX_FEEDBACK_PER_PROFILE) return next;
+    const drop = new Set(
+      own
+        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+        .slice(0, own.length - MAX_FEEDBACK_PER_PROFILE)
+    );
+    return next.filter((e) => !drop.has(e));
+  });
+  logger.info('feedback.record.ok', { profileId: record.profileId, placeId: record.placeId, kind: record.kind });
+  return structuredClone(record);
+}
+
+/**
+ * Lists a profile's feedback, newest first.
+ *
+ * @param {string} profileId
+ * @param {Object} [filter]
+ * @param {string} [filter.placeId] - Only records about this place.
+ * @param {string} [filter.kind] - Only records of this kind.
+ * @returns {Promise<import('../models/feedback.js').FeedbackEntry[]>}
+ */
+export async function listFeedback(profileId, { placeId, kind } = {}) {
+  const store = await load();
+  return structuredClone(
+    store
+      .filter((e) => e.profileId === profileId && (!placeId || e.placeId === placeId) && (!kind || e.kind === kind))
+      .sort((a, b) => Date.parse(b.at) - Date.parse(a.at))
+  );
+}
+
+/**
+ * Deletes all feedback of a profile (e.g. when the profile is deleted).
+ *
+ * @param {string} profileId
+ * @returns {Promise<number>} How many records were deleted.
+ */
+export async function deleteFeedback(profileId) {
+  let removed = 0;
+  await commit((current) => {
+    const kept = current.filter((e) => e.profileId !== profileId);
+    removed = current.length - kept.length;
+    return removed ? kept : null;
+  });
+  logger.info('feedback.delete.ok', { profileId, removed });
+  return removed;
+}
+
+export default { recordFeedback, listFeedback, deleteFeedback, MAX_FEEDBACK_PER_PROFILE };
@@ -0,0 +1,71 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, afterAll, jest } from '@jest/globals';
+import { mkdtemp, mkdir, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/** @type {typeof import('./feedbackStore.js')} */
+let store;
+let dir;
+let file;
+
+beforeAll(() => {
+  for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+// Every test gets an empty file and a freshly loaded store (env.js reads the path on import)
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'feedback-'));
+  file = join(dir, 'feedback.json');
+  process.env.FEEDBACK_STORE_PATH = file;
+  jest.resetModules();
+  store = await import('./feedbackStore.js');
+});
+
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+/**
+ * @param {string} placeId
+ * @param {Object} [overrides]
+ */
+function entry(placeId, overrides = {}) {
+  return { profileId: 'p1', placeId, kind: 'like', at: new Date().toISOString(), ...overrides };
+}
+
+/** Place ids stored on disk, in file order. */
+async function storedPlaceIds() {
+  return JSON.parse(await readFile(file, 'utf8')).entries.map((e) => e.placeId);
+}
+
+describe('feedbackStore', () => {
+  test('a failed write does not block later writes nor leave the record in memory', async () => {
+    // A directory at the temp-file path makes the write fail with EISDIR
+    const blocker = `${file}.${process.pid}.tmp`;
+    await mkdir(blocker);
+
+    await expect(store.recordFeedback(entry('lost'))).rejects.toThrow();
+    await rm(blocker, { recursive: true });
+    await store.recordFeedback(entry('kept'));
+
+    expect((await store.listFeedback('p1')).map((e) => e.placeId)).toEqual(['kept']);
+    expect(await storedPlaceIds()).toEqual(['kept']);
+  });
+
+  test('concurrent records are all kept', async () => {
+    await Promise.all(['a', 'b', 'c'].map((placeId) => store.recordFeedback(entry(placeId))));
+    expect((await storedPlaceIds()).sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('a profile lists only its own records, newest first, and deletes only those', async () => {
+    await store.recordFeedback(entry('old', { at: '2026-10-01T12:00:00Z' }));
+    await store.recordFeedback(entry('other', { profileId: 'p2', kind: 'dislike' }));
+    await store.recordFeedback(entry('new', { at: '2026-10-18T12:00:00Z', kind: 'visit' }));
+
+    expect((await store.listFeedback('p1')).map((e) => e.placeId)).toEqual(['new', 'old']);
+    expect((await store.listFeedback('p1', { kind: 'visit' })).map((e) => e.placeId)).toEqual(['new']);
+
+    expect(await store.deleteFeedback('p1')).toBe(2);
+    expect(await storedPlaceIds()).toEqual(['other']);
+  });
+});
@@ -0,0 +1,330 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { haversineKm } from './scoring.js';
+import { fold } from './textMatch.js';
+import { restrictToTier } from '../models/place.js';
+import { matchTypeFilter } from './placeTypes.js';
+import { FIXTURES_PATH, PLACES_MAX_RESULTS } from '../config/env.js';
+import { logger, withTiming } from '../utils/logger.js';
+import { ConfigError, ProviderError } from '../utils/errors.js';
+
+/**
+ * @fileoverview Fixture Client — offline place provider backed by a JSON file.
+ * Serves recorded, already-normalized `Place` objects and geocodes, so the MCP server,
+ * tests and demos can run without `GOOGLE_API_KEY` and without network access.
+ * Places are trimmed to the requested field tier, like Google would return them.
+ *
+ * Fixture file format:
+ * ```json
+ * {
+ *   "geocodes": [{ "address": "Antigua Guatemala", "formattedAddress": "...", "lat": 14.55, "lng": -90.73 }],
+ *   "places": [{ "placeId": "...", "name": "...", "location": { "lat": 14.55, "lng": -90.73 }, ... }]
+ * }
+ * ```
+ * Geocodes may also record `locationType`, `bounds`, `viewport`, `placeId` and `types`
+ * (as in `models/geocode.js`); they are used by candidate and reverse geocoding.
+ */
+
+const DEFAULT_FIXTURES = fileURLToPath(new URL('../fixtures/places.json', import.meta.url));
+
+/** @type {{ geocodes: Object[], places: import('../models/place.js').Place[] } | null} */
+let data = null;
+
+/**
+ * Loads (once) and returns the fixture data.
+ *
+ * @returns {{ geocodes: Object[], places: import('../models/place.js').Place[] }}
+ * @throws {ConfigError} If the file cannot be read or parsed.
+ */
+function load() {
+  if (data) return data;
+  const file = FIXTURES_PATH || DEFAULT_FIXTURES;
+  try {
+    const json = JSON.parse(readFileSync(file, 'utf8'));
+    data = {
+      geocodes: Array.isArray(json.geocodes) ? json.geocodes : [],
+      places: Array.isArray(json.places) ? json.places : [],
+    };
+    logger.info('fixture.load.ok', { file, geocodes: data.geocodes.length, places: data.places.length });
+    return data;
+  } catch (e) {
+    throw new ConfigError(`No se pudo leer el archivo de fixtures: ${file}`, { err: e?.message });
+  }
+}
+
+/**
+ * Returns a copy of a fixture place so callers cannot mutate the loaded data.
+ *
+ * @param {import('../models/place.js').Place} place
+ * @param {'basic'|'standard'|'full'} fields - Field tier requested.
+ * @returns {import('../models/place.js').Place}
+ */
+function clone(place, fields) {
+  return restrictToTier(structuredClone(place), fields);
+}
+
+/** Farthest a recorded geocode can be from the point in `reverseGeocode`, in km. */
+const REVERSE_MAX_KM = 2;
+
+/**
+ * Converts a recorded geocode into a geocoding result. Fixtures may omit the
+ * precision fields; they default to an approximate point without bounds.
+ *
+ * @param {Object} g - Entry of `geocodes[]`.
+ * @returns {import('../models/geocode.js').GeocodeResult}
+ */
+function toGeocodeResult(g) {
+  return {
+    lat: g.lat,
+    lng: g.lng,
+    formattedAddress: g.formattedAddress ?? g.address,
+    locationType: g.locationType ?? 'APPROXIMATE',
+    bounds: g.bounds ?? null,
+    viewport: g.viewport ?? g.bounds ?? null,
+    placeId: g.placeId ?? null,
+    types: Array.isArray(g.types) ? g.types : [],
+    partialMatch: false,
+    raw: g,
+  };
+}
+
+/**
+ * Recorded geocodes matching an address, best first: exact matches, then recorded
+ * addresses the query contains, then ones that contain the query (file order within each).
+ *
+ * @param {string} address
+ * @returns {Object[]}
+ */
+function matchGeocodes(address) {
+  const q = fold(address);
+  const rank = (g) => {
+    const a = fold(g.address);
+    if (a === q) return 0;
+    if (q.includes(a)) return 1;
+    if (a.includes(q)) return 2;
+    return -1;
+  };
+  return load()
+    .geocodes.map((g) => ({ g, r: rank(g) }))
+    .filter(({ r }) => r >= 0)
+    .sort((a, b) => a.r - b.r)
+    .map(({ g }) => g);
+}
+
+/**
+ * Geocodes an address by matching it against recorded geocodes.
+ * Region and language biasing are accepted for interface parity and ignored.
+ *
+ * @param {string} address - The textual address to geocode.
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult>}
+ * @throws {ProviderError} If no recorded geocode matches.
+ */
+export async function geocodeAddress(address) {
+  const [first] = await geocodeCandidates(address);
+  return first;
+}
+
+/**
+ * Returns every recorded geocode matching an address, best first.
+ * Region and language biasing are ignored.
+ *
+ * @param {string} address - The textual address to geocode.
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult[]>}
+ * @throws {ProviderError} If no recorded geocode matches.
+ */
+export async function geocodeCandidates(address) {
+  return withTiming('fixture.geocode', async () => {
+    const hits = matchGeocodes(address);
+    if (!hits.length) {
+      logger.warn('fixture.geocode.no_results', { address });
+      throw new ProviderError('Geocoding error: ZERO_RESULTS', { apiStatus: 'ZERO_RESULTS' });
+    }
+    return hits.map(toGeocodeResult);
+  });
+}
+
+/**
+ * Reverse-geocodes a point to the recorded geocodes within `REVERSE_MAX_KM`, nearest first.
+ *
+ * @param {{ lat: number, lng: number }} point
+ * @param {Object} [options]
+ * @param {string} [options.language] - Ignored.
+ * @param {string[]} [options.resultTypes=[]] - Keep only geocodes recorded with one of these types.
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult[]>}
+ * @throws {ProviderError} If no recorded geocode is close enough.
+ */
+export async function reverseGeocode({ lat, lng }, { resultTypes = [] } = {}) {
+  return withTiming('fixture.geocode.reverse', async () => {
+    const hits = load()
+      .geocodes.map((g) => ({ g, km: haversineKm({ lat, lng }, { lat: g.lat, lng: g.lng }) }))
+      .filter(({ g, km }) => km <= REVERSE_MAX_KM && (!resultTypes.length || (g.types ?? []).some((t) => resultTypes.includes(t))))
+      .sort((a, b) => a.km - b.km);
+
+    if (!hits.length) {
+      logger.warn('fixture.geocode.reverse.no_results', { lat, lng });
+      throw new ProviderError('Geocoding error: ZERO_RESULTS', { apiStatus: 'ZERO_RESULTS' });
+    }
+    return hits.map(({ g }) => toGeocodeResult(g));
+  });
+}
+
+/**
+ * Suggests fixture places whose name or address has a word starting with each typed word,
+ * names that start with the input first, then nearest to the bias point, if any.
+ *
+ * @param {Object} params
+ * @param {string} params.input - What the user has typed so far.
+ * @param {number} [params.lat] - Bias point latitude.
+ * @param {number} [params.lng] - Bias point longitude.
+ * @param {number} [params.maxResults=5] - Maximum suggestions returned.
+ * @returns {Promise<import('../models/geocode.js').AutocompleteSuggestion[]>} Region, language and
+ *   session token are ignored.
+ */
+export async function autocompletePlaces({ input, lat, lng, maxResults = 5 } = {}) {
+  return withTiming('fixture.places.autocomplete', async () => {
+    const typed = fold(input).split(/\s+/).filter(Boolean);
+    const hasPoint = typeof lat === 'number' && typeof lng === 'number';
+
+    return load()
+      .places.map((p) => {
+        const words = fold(`${p.name ?? ''} ${p.address ?? ''}`).split(/[^a-z0-9]+/);
+        if (!typed.length || !typed.every((w) => words.some((word) => word.startsWith(w)))) return null;
+        const distanceMeters = hasPoint && p.location ? Math.round(haversineKm({ lat, lng }, p.location) * 1000) : null;
+        return {
+          suggestion: {
+            placeId: p.placeId,
+            text: [p.name, p.address].filter(Boolean).join(', '),
+            mainText: p.name ?? '',
+            secondaryText: p.address ?? null,
+            types: p.types ?? [],
+            distanceMeters,
+          },
+          prefix: fold(p.name ?? '').startsWith(typed.join(' ')) ? 0 : 1,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.prefix - b.prefix || (a.suggestion.distanceMeters ?? 0) - (b.suggestion.distanceMeters ?? 0))
+      .slice(0, maxResults)
+      .map(({ suggestion }) => suggestion);
+  });
+}
+
+/**
+ * Returns recorded places of the included types within `radius` meters of a point, nearest first.
+ * Capped at 20 per call, like Places Nearby Search.
+ *
+ * @param {Object} params
+ * @param {number} params.lat
+ * @param {number} params.lng
+ * @param {number} [params.radius=1500]
+ * @param {boolean} [params.openNow=false]
+ * @param {number} [params.maxResults=20]
+ * @param {'basic'|'standard'|'full'} [params.fields='standard']
+ * @param {string[]} [params.includedTypes=['restaurant']]
+ * @param {string[]} [params.excludedTypes=[]]
+ * @returns {Promise<import('../models/place.js').Place[]>}
+ */
+export async function searchNearbyRestaurants({
+  lat,
+  lng,
+  radius = 1500,
+  openNow = false,
+  maxResults = 20,
+  fields = 'standard',
+  includedTypes = ['restaurant'],
+  excludedTypes = [],
+} = {}) {
+  return withTiming('fixture.places.nearby', async () => {
+    const origin = { lat, lng };
+    const results = load().places
+      .filter((p) => matchTypeFilter(p, { includedTypes, excludedTypes }).pass)
+      .filter((p) => !openNow || p.openNow === true)
+      .map((p) => ({ p, km: p.location ? haversineKm(origin, p.location) : Infinity }))
+      .filter(({ km }) => km * 1000 <= radius)
+      .sort((a, b) => a.km - b.km)
+      .slice(0, Math.max(1, Math.min(maxResults, 20)))
+      .map(({ p }) => clone(p, fields));
+
+    logger.info('fixture.places.nearby.ok', { count: results.length });
+    return results;
+  });
+}
+
+/**
+ * Returns recorded places whose name, types or summary match any query token.
+ * When a location is given, results inside `radius` are preferred.
+ *
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {number} [params.lat]
+ * @param {number} [params.lng]
+ * @param {number} [params.radius=2000]
+ * @param {number} [params.maxResults=20]
+ * @param {'basic'|'standard'|'full'} [params.fields='standard']
+ * @param {string[]} [params.includedTypes=[]]
+ * @param {string[]} [params.excludedTypes=[]]
+ * @returns {Promise<import('../models/place.js').Place[]>}
+ */
+export async function searchTextRestaurants({
+  query,
+  lat,
+  lng,
+  radius = 2000,
+  maxResults = 20,
+  fields = 'standard',
+  includedTypes = [],
+  excludedTypes = [],
+} = {}) {
+  return withTiming('fixture.places.textSearch', async () => {
+    const tokens = fold(query).split(/\s+/).filter((t) => t.length > 2);
+    const hasBias = typeof lat === 'number' && typeof lng === 'number';
+
+    const results = load().places
+      .filter((p) => matchTypeFilter(p, { includedTypes, excludedTypes }).pass)
+      .map((p) => {
+        const bag = fold([p.name, ...(p.types || []), p.primaryType, p.summary].join(' '));
+        const hits = tokens.filter((t) => bag.includes(t)).length;
+        const km = hasBias && p.location ? haversineKm({ lat, lng }, p.location) : null;
+        const inBias = km === null || km * 1000 <= radius;
+        return { p, hits, km, inBias };
+      })
+      .filter(({ hits }) => hits > 0)
+      .sort((a, b) => (b.inBias - a.inBias) || (b.hits - a.hits) || ((a.km ?? 0) - (b.km ?? 0)))
+      .slice(0, Math.max(1, Math.min(maxResults, PLACES_MAX_RESULTS)))
+      .map(({ p }) => clone(p, fields));
+
+    logger.info('fixture.places.textSearch.ok', { count: results.length, hasBias });
+    return results;
+  });
+}
+
+/**
+ * Returns a recorded place by its `placeId`.
+ *
+ * @param {string} placeId
+ * @param {Object} [options]
+ * @param {'basic'|'standard'|'full'} [options.fields='full']
+ * @returns {Promise<import('../models/place.js').Place>}
+ * @throws {ProviderError} If the place is not in the fixtures.
+ */
+export async function getPlaceDetails(placeId, { fields = 'full' } = {}) {
+  return withTiming('fixture.places.details', async () => {
+    if (!placeId) throw new ProviderError('getPlaceDetails: placeId requerido');
+    const hit = load().places.find((p) => p.placeId === placeId);
+    if (!hit) {
+      throw new ProviderError('Fixture: placeId no encontrado', { status: 404, placeId });
+    }
+    return clone(hit, fields);
+  });
+}
+
+export default {
+  name: 'fixture',
+  geocodeAddress,
+  geocodeCandidates,
+  reverseGeocode,
+  autocompletePlaces,
+  searchNearbyRestaurants,
+  searchTextRestaurants,
+  getPlaceDetails,
+};
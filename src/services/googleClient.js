@@ -1,18 +1,32 @@
-import 'dotenv/config';
 import axios from 'axios';
-import { normalizePlace as normalizePlaceModel } from '../models/place.js';
+import { GOOGLE_API_KEY, PLACES_MAX_RESULTS } from '../config/env.js';
+import { normalizePlace as normalizePlaceModel, PLACE_ATTRIBUTES } from '../models/place.js';
+import { normalizeGeocodeResult, normalizeSuggestion } from '../models/geocode.js';
 import { logger, withTiming } from '../utils/logger.js';
-import { ConfigError, ProviderError, RateLimitError } from '../utils/errors.js';
+import { resilientCall, retryAfterMs } from './resilience.js';
+import { matchTypeFilter } from './placeTypes.js';
+import { AppError, ConfigError, ProviderError, RateLimitError } from '../utils/errors.js';
 
 /**
  * @fileoverview Google Client — Integrates with Google Geocoding and Places API v1.
- * Provides wrappers for geocoding addresses, searching nearby or by text, and fetching place details.
+ * Provides wrappers for forward/reverse geocoding, place autocomplete, searching nearby or by text,
+ * and fetching place details.
+ * This is the `google` implementation of the place provider (see `placeProvider.js`).
+ * Every HTTP call goes through `resilientCall` (retries with backoff + per-endpoint circuit breaker).
  */
 
-// Load and validate API key
-const { GOOGLE_API_KEY } = process.env;
-if (!GOOGLE_API_KEY) {
-  throw new ConfigError('Falta GOOGLE_API_KEY en el entorno (.env)');
+/**
+ * Returns the API key, validating it lazily so that importing this module
+ * never fails (e.g. when the fixture provider is in use).
+ *
+ * @returns {string}
+ * @throws {ConfigError} If `GOOGLE_API_KEY` is not set.
+ */
+function requireApiKey() {
+  if (!GOOGLE_API_KEY) {
+    throw new ConfigError('Falta GOOGLE_API_KEY en el entorno (.env)');
+  }
+  return GOOGLE_API_KEY;
 }
 
 // Axios client for legacy Geocoding API
@@ -21,72 +35,165 @@ const httpLegacy = axios.create({
   timeout: 15000,
 });
 
-// Axios client for Places API v1
+// Place fields per tier (see FIELD_TIERS in models/place.js); Google bills by the most expensive field requested
+const TIER_FIELDS = {
+  basic: [
+    'id',
+    'displayName',
+    'location',
+    'rating',
+    'userRatingCount',
+    'priceLevel',
+    'priceRange',
+    'currentOpeningHours',
+    'regularOpeningHours',
+    'utcOffsetMinutes',
+    'primaryType',
+    'types',
+    'formattedAddress',
+    'googleMapsUri',
+  ],
+  standard: ['nationalPhoneNumber', 'websiteUri', 'editorialSummary', ...Object.values(PLACE_ATTRIBUTES)],
+  full: ['photos', 'reviews'],
+};
+
+/**
+ * Builds the FieldMask for a tier (each tier includes the cheaper ones).
+ *
+ * @param {'basic'|'standard'|'full'} tier
+ * @param {string} [prefix=''] - "places." for search responses.
+ * @returns {string}
+ */
+function fieldMask(tier, prefix = '') {
+  const tiers = Object.keys(TIER_FIELDS);
+  const upTo = tiers.slice(0, tiers.indexOf(tier) + 1 || tiers.length);
+  return upTo.flatMap((name) => TIER_FIELDS[name]).map((f) => prefix + f).join(',');
+}
+
+// Axios client for Places API v1 (the FieldMask is set per request)
 const httpPlaces = axios.create({
   baseURL: 'https://places.googleapis.com/v1',
   timeout: 15000,
-  headers: {
-    'X-Goog-Api-Key': GOOGLE_API_KEY,
-    'X-Goog-FieldMask': [
-      'places.id',
-      'places.displayName',
-      'places.location',
-      'places.rating',
-      'places.userRatingCount',
-      'places.priceLevel',
-      'places.currentOpeningHours',
-      'places.primaryType',
-      'places.types',
-      'places.nationalPhoneNumber',
-      'places.websiteUri',
-      'places.editorialSummary',
-    ].join(','),
-  },
+});
+
+// Attach the API key per request, once it is known to be configured
+httpPlaces.interceptors.request.use((config) => {
+  config.headers['X-Goog-Api-Key'] = requireApiKey();
+  return config;
 });
 
 /**
- * Converts an address string into geolocation data.
+ * Calls the Geocoding API (forward with `address`, reverse with `latlng`) and normalizes every result.
+ * All geocoding calls share the `google.geocode` circuit breaker.
+ *
+ * @param {Object} params - Query parameters (without the key).
+ * @param {string} label - Log event prefix (e.g. "google.geocode").
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult[]>} At least one result.
+ * @throws {ConfigError|ProviderError|RateLimitError}
+ */
+async function geocodeRequest(params, label) {
+  const url = '/maps/api/geocode/json';
+  const key = requireApiKey();
+  try {
+    const { data, status } = await resilientCall('google.geocode', () =>
+      httpLegacy.get(url, { params: { ...params, key } })
+    );
+
+    if (data.status !== 'OK' || !data.results?.length) {
+      logger.warn(`${label}.no_results`, { status, apiStatus: data.status, msg: data.error_message });
+      throw new ProviderError(`Geocoding error: ${data.status || 'UNKNOWN'}`, { apiStatus: data.status });
+    }
+
+    logger.info(`${label}.ok`, {
+      status,
+      count: data.results.length,
+      formattedAddress: data.results[0].formatted_address,
+    });
+    return data.results.map(normalizeGeocodeResult);
+  } catch (e) {
+    if (e instanceof AppError) throw e;
+    const st = e.response?.status;
+    logger.error(`${label}.fail`, { status: st, err: e?.message });
+    if (st === 429) throw new RateLimitError('Geocoding: cuota excedida', { retryAfterMs: retryAfterMs(e) });
+    throw new ProviderError('Geocoding request failed', { status: st });
+  }
+}
+
+/**
+ * Biasing parameters shared by forward and reverse geocoding.
+ *
+ * @param {{ region?: string, language?: string }} options
+ * @returns {{ region?: string, language?: string }}
+ */
+function geocodeBias({ region, language }) {
+  return {
+    ...(region ? { region: region.toLowerCase() } : {}),
+    ...(language ? { language } : {}),
+  };
+}
+
+/**
+ * Converts an address string into geolocation data (the best match).
  *
  * @param {string} address - The textual address to geocode.
- * @returns {Promise<{ lat: number, lng: number, formattedAddress: string, raw: any }>}
- * @throws {ProviderError|RateLimitError}
+ * @param {Object} [options]
+ * @param {string} [options.region] - Two-letter country code to bias towards (e.g. "gt").
+ * @param {string} [options.language] - Language of the formatted address (e.g. "es", "en").
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult>}
+ * @throws {ConfigError|ProviderError|RateLimitError}
  */
-export async function geocodeAddress(address) {
+export async function geocodeAddress(address, options = {}) {
   return withTiming('google.geocode', async () => {
-    const url = '/maps/api/geocode/json';
-    try {
-      const { data, status } = await httpLegacy.get(url, {
-        params: { address, key: GOOGLE_API_KEY },
-      });
-
-      if (data.status !== 'OK' || !data.results?.length) {
-        logger.warn('google.geocode.no_results', { status, apiStatus: data.status, msg: data.error_message });
-        throw new ProviderError(`Geocoding error: ${data.status || 'UNKNOWN'}`, { apiStatus: data.status });
-      }
-
-      const first = data.results[0];
-      logger.info('google.geocode.ok', {
-        status,
-        formattedAddress: first.formatted_address,
-      });
-
-      return {
-        lat: first.geometry?.location?.lat,
-        lng: first.geometry?.location?.lng,
-        formattedAddress: first.formatted_address,
-        raw: first,
-      };
-    } catch (e) {
-      const st = e.response?.status;
-      logger.error('google.geocode.fail', { status: st, err: e?.message });
-      if (st === 429) throw new RateLimitError('Geocoding: cuota excedida');
-      throw new ProviderError('Geocoding request failed', { status: st });
-    }
+    const [first] = await geocodeRequest({ address, ...geocodeBias(options) }, 'google.geocode');
+    return first;
   });
 }
 
 /**
- * Searches for restaurants near a given point using Places Nearby Search.
+ * Geocodes an address and returns every candidate match, best first
+ * (e.g. "Zona 10" in Guatemala City and in Mixco), so the caller can ask which one was meant.
+ *
+ * @param {string} address - The textual address to geocode.
+ * @param {Object} [options]
+ * @param {string} [options.region] - Two-letter country code to bias towards.
+ * @param {string} [options.language] - Language of the formatted addresses.
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult[]>}
+ * @throws {ConfigError|ProviderError|RateLimitError}
+ */
+export async function geocodeCandidates(address, options = {}) {
+  return withTiming('google.geocode.candidates', () =>
+    geocodeRequest({ address, ...geocodeBias(options) }, 'google.geocode.candidates')
+  );
+}
+
+/**
+ * Converts coordinates into the addresses at that point, most precise first
+ * (street address, then neighbourhood, city, country…).
+ *
+ * @param {Object} params
+ * @param {number} params.lat - Latitude.
+ * @param {number} params.lng - Longitude.
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language of the formatted addresses.
+ * @param {string[]} [options.resultTypes=[]] - Keep only results of these types (e.g. ["neighborhood"]).
+ * @returns {Promise<import('../models/geocode.js').GeocodeResult[]>}
+ * @throws {ConfigError|ProviderError|RateLimitError}
+ */
+export async function reverseGeocode({ lat, lng }, { language, resultTypes = [] } = {}) {
+  return withTiming('google.geocode.reverse', () =>
+    geocodeRequest(
+      {
+        latlng: `${lat},${lng}`,
+        ...geocodeBias({ language }),
+        ...(resultTypes.length ? { result_type: resultTypes.join('|') } : {}),
+      },
+      'google.geocode.reverse'
+    )
+  );
+}
+
+/**
+ * Searches for places (restaurants by default) near a given point using Places Nearby Search.
  *
  * @param {Object} params
  * @param {number} params.lat - Latitude.
@@ -94,8 +201,11 @@ export async function geocodeAddress(address) {
  * @param {number} [params.radius=1500] - Search radius in meters.
  * @param {boolean} [params.openNow=false] - Whether to filter by currently open places.
  * @param {number} [params.maxResults=20] - Maximum number of results (max 20).
+ * @param {'basic'|'standard'|'full'} [params.fields='standard'] - Field tier to request.
+ * @param {string[]} [params.includedTypes=['restaurant']] - Place types to search for.
+ * @param {string[]} [params.excludedTypes=[]] - Place types to leave out.
  * @returns {Promise<Place[]>}
- * @throws {ProviderError|RateLimitError}
+ * @throws {ConfigError|ProviderError|RateLimitError}
  */
 export async function searchNearbyRestaurants({
   lat,
@@ -103,10 +213,14 @@ export async function searchNearbyRestaurants({
   radius = 1500,
   openNow = false,
   maxResults = 20,
+  fields = 'standard',
+  includedTypes = ['restaurant'],
+  excludedTypes = [],
 } = {}) {
   return withTiming('google.places.nearby', async () => {
     const body = {
-      includedTypes: ['restaurant'],
+      includedTypes,
+      ...(excludedTypes.length ? { excludedTypes } : {}),
       maxResultCount: Math.max(1, Math.min(maxResults, 20)),
       locationRestriction: {
         circle: { center: { latitude: lat, longitude: lng }, radius },
@@ -115,30 +229,40 @@ export async function searchNearbyRestaurants({
     };
 
     try {
-      const { data, status } = await httpPlaces.post('/places:searchNearby', body);
+      const { data, status } = await resilientCall('google.places.nearby', () =>
+        httpPlaces.post('/places:searchNearby', body, { headers: { 'X-Goog-FieldMask': fieldMask(fields, 'places.') } })
+      );
       const places = Array.isArray(data.places) ? data.places : [];
       logger.info('google.places.nearby.ok', { status, count: places.length });
       return places.map(normalizePlaceModel);
     } catch (e) {
+      if (e instanceof AppError) throw e;
       const st = e.response?.status;
       logger.error('google.places.nearby.fail', { status: st, err: e?.message });
-      if (st === 429) throw new RateLimitError('Google Places: cuota excedida');
+      if (st === 429) throw new RateLimitError('Google Places: cuota excedida', { retryAfterMs: retryAfterMs(e) });
       throw new ProviderError('Google Places nearby error', { status: st, hint: 'verifica FieldMask/quotas' });
     }
   });
 }
 
 /**
- * Performs a text search for restaurants using freeform queries (e.g. "vegan sushi").
+ * Performs a text search for places using freeform queries (e.g. "vegan sushi").
+ * Follows `nextPageToken` (20 results per page) until `maxResults` is reached,
+ * the results run out, or `PLACES_MAX_RESULTS` is hit.
+ * Text Search only filters by a single type, so a single `includedTypes` entry is sent
+ * to Google (strictly) and any other type filter is applied to the results here.
  *
  * @param {Object} params
  * @param {string} params.query - The search text (required).
  * @param {number} [params.lat] - Optional latitude for biasing results.
  * @param {number} [params.lng] - Optional longitude for biasing results.
  * @param {number} [params.radius=2000] - Radius for location bias (meters).
- * @param {number} [params.maxResults=20] - Maximum results (max 20).
+ * @param {number} [params.maxResults=20] - Maximum results (up to `PLACES_MAX_RESULTS`).
+ * @param {'basic'|'standard'|'full'} [params.fields='standard'] - Field tier to request.
+ * @param {string[]} [params.includedTypes=[]] - Keep only places with one of these types (empty = any).
+ * @param {string[]} [params.excludedTypes=[]] - Leave out places with any of these types.
  * @returns {Promise<Place[]>}
- * @throws {ProviderError|RateLimitError}
+ * @throws {ConfigError|ProviderError|RateLimitError}
  */
 export async function searchTextRestaurants({
   query,
@@ -146,25 +270,46 @@ export async function searchTextRestaurants({
   lng,
   radius = 2000,
   maxResults = 20,
+  fields = 'standard',
+  includedTypes = [],
+  excludedTypes = [],
 } = {}) {
   return withTiming('google.places.textSearch', async () => {
+    const limit = Math.max(1, Math.min(maxResults, PLACES_MAX_RESULTS));
+    // Page requests must repeat this body; only pageToken and pageSize may change
     const body = {
       textQuery: query,
-      maxResultCount: Math.max(1, Math.min(maxResults, 20)),
+      ...(includedTypes.length === 1 ? { includedType: includedTypes[0], strictTypeFiltering: true } : {}),
       ...(typeof lat === 'number' && typeof lng === 'number'
         ? { locationBias: { circle: { center: { latitude: lat, longitude: lng }, radius } } }
         : {}),
     };
+    const headers = { 'X-Goog-FieldMask': `${fieldMask(fields, 'places.')},nextPageToken` };
 
     try {
-      const { data, status } = await httpPlaces.post('/places:searchText', body);
-      const places = Array.isArray(data.places) ? data.places : [];
-      logger.info('google.places.textSearch.ok', { status, count: places.length, hasBias: Boolean(lat && lng) });
-      return places.map(normalizePlaceModel);
+      const places = [];
+      let pageToken;
+      let pages = 0;
+      do {
+        const pageSize = Math.min(20, limit - places.length);
+        const { data, status } = await resilientCall('google.places.textSearch', () =>
+          httpPlaces.post('/places:searchText', { ...body, pageSize, ...(pageToken ? { pageToken } : {}) }, { headers })
+        );
+        pages += 1;
+        if (Array.isArray(data.places)) places.push(...data.places);
+        pageToken = data.nextPageToken;
+        logger.info('google.places.textSearch.ok', { status, page: pages, count: places.length, hasBias: Boolean(lat && lng) });
+      } while (pageToken && places.length < limit);
+
+      return places
+        .map(normalizePlaceModel)
+        .filter((p) => matchTypeFilter(p, { includedTypes, excludedTypes }).pass)
+        .slice(0, limit);
     } catch (e) {
+      if (e instanceof AppError) throw e;
       const st = e.response?.status;
       logger.error('google.places.textSearch.fail', { status: st, err: e?.message });
-      if (st === 429) throw new RateLimitError('Google Places Text Search: cuota excedida');
+      if (st === 429) throw new RateLimitError('Google Places Text Search: cuota excedida', { retryAfterMs: retryAfterMs(e) });
       throw new ProviderError('Google Places text search error', { status: st });
     }
   });
@@ -174,50 +319,104 @@ export async function searchTextRestaurants({
  * Retrieves detailed information about a place using its `placeId`.
  *
  * @param {string} placeId - Unique identifier of the place.
+ * @param {Object} [options]
+ * @param {'basic'|'standard'|'full'} [options.fields='full'] - Field tier to request.
  * @returns {Promise<Place>}
- * @throws {ProviderError|RateLimitError}
+ * @throws {ConfigError|ProviderError|RateLimitError}
  */
-export async function getPlaceDetails(placeId) {
+export async function getPlaceDetails(placeId, { fields = 'full' } = {}) {
   return withTiming('google.places.details', async () => {
     if (!placeId) throw new ProviderError('getPlaceDetails: placeId requerido');
 
     try {
-      const fieldMask = [
-        'id',
-        'displayName',
-        'location',
-        'rating',
-        'userRatingCount',
-        'priceLevel',
-        'currentOpeningHours',
-        'primaryType',
-        'types',
-        'nationalPhoneNumber',
-        'websiteUri',
-        'editorialSummary'
-      ].join(',');
-
-      const { data, status } = await httpPlaces.get(`/places/${encodeURIComponent(placeId)}`, {
-        params: {
-          key: GOOGLE_API_KEY, 
-          fields: fieldMask,  
-        }
-      });
-
-      logger.info('google.places.details.ok', { status, placeId });
+      const { data, status } = await resilientCall('google.places.details', () =>
+        httpPlaces.get(`/places/${encodeURIComponent(placeId)}`, {
+          params: {
+            fields: fieldMask(fields),
+          }
+        })
+      );
+
+      logger.info('google.places.details.ok', { status, placeId, fields });
       return normalizePlaceModel(data);
     } catch (e) {
+      if (e instanceof AppError) throw e;
       const st = e.response?.status;
       logger.error('google.places.details.fail', { status: st, err: e?.message, placeId });
-      if (st === 429) throw new RateLimitError('Google Places Details: cuota excedida');
+      if (st === 429) throw new RateLimitError('Google Places Details: cuota excedida', { retryAfterMs: retryAfterMs(e) });
       throw new ProviderError('Google Places details error', { status: st });
     }
   });
 }
 
+/**
+ * Suggests places as the user types, using Places API v1 Autocomplete.
+ * Requests that share a `sessionToken` (one typing session, ended by a details call) are billed as one session.
+ *
+ * @param {Object} params
+ * @param {string} params.input - What the user has typed so far.
+ * @param {number} [params.lat] - Optional latitude to bias suggestions (and measure distances) from.
+ * @param {number} [params.lng] - Optional longitude to bias suggestions from.
+ * @param {number} [params.radius=5000] - Radius for the location bias (meters, at most 50 000).
+ * @param {string} [params.region] - Two-letter country code; suggestions are restricted to it.
+ * @param {string} [params.language] - Language of the suggestion texts.
+ * @param {string} [params.sessionToken] - Autocomplete session token.
+ * @param {number} [params.maxResults=5] - Maximum suggestions returned.
+ * @returns {Promise<import('../models/geocode.js').AutocompleteSuggestion[]>}
+ * @throws {ConfigError|ProviderError|RateLimitError}
+ */
+export async function autocompletePlaces({
+  input,
+  lat,
+  lng,
+  radius = 5000,
+  region,
+  language,
+  sessionToken,
+  maxResults = 5,
+} = {}) {
+  return withTiming('google.places.autocomplete', async () => {
+    const hasPoint = typeof lat === 'number' && typeof lng === 'number';
+    const body = {
+      input,
+      ...(hasPoint
+        ? {
+            locationBias: { circle: { center: { latitude: lat, longitude: lng }, radius: Math.min(radius, 50000) } },
+            origin: { latitude: lat, longitude: lng },
+          }
+        : {}),
+      ...(region ? { includedRegionCodes: [region.toLowerCase()], regionCode: region.toLowerCase() } : {}),
+      ...(language ? { languageCode: language } : {}),
+      ...(sessionToken ? { sessionToken } : {}),
+    };
+
+    try {
+      const { data, status } = await resilientCall('google.places.autocomplete', () =>
+        httpPlaces.post('/places:autocomplete', body)
+      );
+      const suggestions = (Array.isArray(data.suggestions) ? data.suggestions : [])
+        .map(normalizeSuggestion)
+        .filter(Boolean)
+        .slice(0, maxResults);
+      logger.info('google.places.autocomplete.ok', { status, count: suggestions.length, hasBias: hasPoint });
+      return suggestions;
+    } catch (e) {
+      if (e instanceof AppError) throw e;
+      const st = e.response?.status;
+      logger.error('google.places.autocomplete.fail', { status: st, err: e?.message });
+      if (st === 429) throw new RateLimitError('Google Places Autocomplete: cuota excedida', { retryAfterMs: retryAfterMs(e) });
+      throw new ProviderError('Google Places autocomplete error', { status: st });
+    }
+  });
+}
+
 // Named export for structured import use
 export default {
+  name: 'google',
   geocodeAddress,
+  geocodeCandidates,
+  reverseGeocode,
+  autocompletePlaces,
   searchNearbyRestaurants,
   searchTextRestaurants,
   getPlaceDetails
@@ -0,0 +1,168 @@
+import { scorePlace, checkHardConstraints } from './scoring.js';
+import { resolveWeights } from './weights.js';
+import { t, DEFAULT_LOCALE } from '../utils/i18n.js';
+
+/**
+ * @fileoverview Group ranking: one list for several people.
+ * Every member scores each candidate with their own profile and origin (their
+ * "satisfaction", 0–1, the same score as `ranking_rank`), and the scores are combined:
+ * - `least-misery`: the least satisfied member decides (nobody is left unhappy);
+ * - `average`: the mean (the group as a whole is happiest, someone may lose out);
+ * - `fairness`: the mean minus the spread between members (good for most, without big gaps).
+ * Every member's "must" constraints apply to the whole group, so a place that fails
+ * one member's constraint (e.g. "vegetarian") is excluded for everyone.
+ */
+
+/** Aggregation strategies accepted by `ranking_group`. */
+export const AGGREGATIONS = ['least-misery', 'average', 'fairness'];
+
+/** Satisfaction gap (max − min) under which members count as agreeing. */
+const CONSENSUS_GAP = 0.1;
+
+/** Satisfaction gap from which the `why` text names who gives way. */
+const COMPROMISE_GAP = 0.2;
+
+/**
+ * @typedef {Object} GroupMember
+ * @property {string} name - How the member is called in outputs.
+ * @property {Object} profile - Normalized profile.
+ * @property {{ lat: number, lng: number }|null} origin
+ */
+
+/**
+ * @typedef {Object} GroupScore
+ * @property {number} score - Aggregated score.
+ * @property {number} min - Lowest satisfaction.
+ * @property {number} max - Highest satisfaction.
+ * @property {number} average - Mean satisfaction.
+ * @property {number} spread - Standard deviation of the satisfactions.
+ * @property {string} weakest - Least satisfied member.
+ * @property {string} strongest - Most satisfied member.
+ */
+
+/**
+ * Combines member satisfactions into one group score.
+ *
+ * @param {Array<{ member: string, satisfaction: number }>} scores - One entry per member (non-empty).
+ * @param {'least-misery'|'average'|'fairness'} aggregation
+ * @returns {GroupScore}
+ */
+export function aggregateScores(scores, aggregation) {
+  const values = scores.map((s) => s.satisfaction);
+  const average = values.reduce((acc, v) => acc + v, 0) / values.length;
+  const spread = Math.sqrt(values.reduce((acc, v) => acc + (v - average) ** 2, 0) / values.length);
+  const weakest = scores.reduce((a, b) => (b.satisfaction < a.satisfaction ? b : a));
+  const strongest = scores.reduce((a, b) => (b.satisfaction > a.satisfaction ? b : a));
+
+  let score = average;
+  if (aggregation === 'least-misery') score = weakest.satisfaction;
+  else if (aggregation === 'fairness') score = Math.max(0, average - spread);
+
+  return {
+    score,
+    min: weakest.satisfaction,
+    max: strongest.satisfaction,
+    average,
+    spread,
+    weakest: weakest.member,
+    strongest: strongest.member,
+  };
+}
+
+/**
+ * Explains a group score: the aggregate, each member's satisfaction, and who gives way
+ * when the members disagree (e.g. "peor caso 54% (Ana) · Ana 54%, Luis 81% · Ana cede frente a Luis").
+ *
+ * @param {GroupScore} group
+ * @param {Array<{ member: string, satisfaction: number }>} members
+ * @param {'least-misery'|'average'|'fairness'} aggregation
+ * @param {string} locale
+ * @returns {string}
+ */
+function buildGroupWhy(group, members, aggregation, locale) {
+  const pct = (x) => Math.round(x * 100);
+  const bits = [
+    t(locale, `why.group.${aggregation}`, {
+      pct: pct(group.score),
+      member: group.weakest,
+      avg: pct(group.average),
+      spread: pct(group.spread),
+    }),
+    members.map((m) => t(locale, 'why.group.member', { member: m.member, pct: pct(m.satisfaction) })).join(', '),
+  ];
+  if (members.length > 1) {
+    const gap = group.max - group.min;
+    if (gap < CONSENSUS_GAP) bits.push(t(locale, 'why.group.consensus'));
+    else if (gap >= COMPROMISE_GAP) {
+      bits.push(t(locale, 'why.group.compromise', { weakest: group.weakest, strongest: group.strongest }));
+    }
+  }
+  return bits.join(' · ');
+}
+
+/**
+ * Splits candidates into those that pass every member's "must" constraints and those excluded.
+ *
+ * @param {Object[]} candidates - Normalized places.
+ * @param {GroupMember[]} members
+ * @param {Object} [options] - Message options (see `checkHardConstraints`).
+ * @returns {{
+ *   kept: Object[],
+ *   excluded: Array<{ placeId: string, name: string, reasons: Array<{ member: string, constraint: string, detail: string }> }>,
+ *   excludedByConstraint: Record<string, number>
+ * }}
+ */
+export function applyGroupHardFilters(candidates = [], members = [], options = {}) {
+  const kept = [];
+  const excluded = [];
+  const excludedByConstraint = {};
+  const opts = { ...options, now: options.now ?? new Date() };
+
+  for (const p of candidates) {
+    const reasons = members.flatMap((m) =>
+      checkHardConstraints(p, m.profile, m.origin, opts).map((r) => ({ member: m.name, ...r }))
+    );
+    if (!reasons.length) {
+      kept.push(p);
+      continue;
+    }
+    excluded.push({ placeId: p.placeId, name: p.name, reasons });
+    for (const constraint of new Set(reasons.map((r) => r.constraint))) {
+      excludedByConstraint[constraint] = (excludedByConstraint[constraint] || 0) + 1;
+    }
+  }
+
+  return { kept, excluded, excludedByConstraint };
+}
+
+/**
+ * Ranks candidates for a group.
+ *
+ * @param {Object[]} candidates - Normalized places (already filtered, see `applyGroupHardFilters`).
+ * @param {GroupMember[]} members - At least one.
+ * @param {number} topK - Max number of items to return.
+ * @param {Object} [options] - Scoring options (see `scorePlace`), plus:
+ * @param {'least-misery'|'average'|'fairness'} [options.aggregation='least-misery']
+ * @returns {Object[]} Ranked candidates with `score`, `why`, `group` (GroupScore) and
+ *   `members` (`{ member, satisfaction, why, breakdown }` per member) added.
+ */
+export function rankForGroup(candidates = [], members = [], topK = 10, options = {}) {
+  const { aggregation = 'least-misery', locale = DEFAULT_LOCALE } = options;
+  const weights = options.weights ?? resolveWeights().weights;
+  const now = options.now ?? new Date();
+
+  const scored = candidates
+    .map((p) => {
+      const perMember = members.map((m) => {
+        const { score, why, breakdown } = scorePlace(p, m.profile, m.origin, { ...options, weights, now });
+        return { member: m.name, satisfaction: score, why, breakdown };
+      });
+      const group = aggregateScores(perMember, aggregation);
+      return { ...p, score: group.score, why: buildGroupWhy(group, perMember, aggregation, locale), group, members: perMember };
+    })
+    .sort((a, b) => b.score - a.score || b.group.average - a.group.average);
+
+  return scored.slice(0, topK);
+}
+
+export default { AGGREGATIONS, aggregateScores, applyGroupHardFilters, rankForGroup };
@@ -0,0 +1,39 @@
+import { describe, test, expect } from '@jest/globals';
+import { aggregateScores } from './groupScoring.js';
+
+const members = (...satisfactions) =>
+  satisfactions.map((satisfaction, i) => ({ member: ['Ana', 'Luis', 'Sofía'][i], satisfaction }));
+
+// Ana 40%, Luis 80%, Sofía 60%: mean 0.6, spread √((0.04 + 0.04 + 0) / 3) ≈ 0.1633
+const split = members(0.4, 0.8, 0.6);
+// Everyone 50%: mean 0.5, no spread
+const even = members(0.5, 0.5, 0.5);
+
+describe('aggregateScores', () => {
+  test('least-misery scores the least satisfied member', () => {
+    expect(aggregateScores(split, 'least-misery')).toEqual({
+      score: 0.4,
+      min: 0.4,
+      max: 0.8,
+      average: expect.closeTo(0.6, 10),
+      spread: expect.closeTo(0.1633, 4),
+      weakest: 'Ana',
+      strongest: 'Luis',
+    });
+    // 0.5 for everyone beats 0.4 for Ana
+    expect(aggregateScores(even, 'least-misery').score).toBe(0.5);
+  });
+
+  test('average scores the mean, so the split place wins', () => {
+    expect(aggregateScores(split, 'average').score).toBeCloseTo(0.6, 10);
+    expect(aggregateScores(even, 'average').score).toBeCloseTo(0.5, 10);
+  });
+
+  test('fairness scores the mean minus the spread, never below 0', () => {
+    // 0.6 − 0.1633 = 0.4367, below the even place's 0.5
+    expect(aggregateScores(split, 'fairness').score).toBeCloseTo(0.4367, 4);
+    expect(aggregateScores(even, 'fairness').score).toBeCloseTo(0.5, 10);
+    // 0 and 1: mean 0.5, spread 0.5
+    expect(aggregateScores(members(0, 1), 'fairness')).toMatchObject({ score: 0, weakest: 'Ana', strongest: 'Luis' });
+  });
+});
@@ -0,0 +1,103 @@
+import { haversineKm } from './scoring.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @fileoverview Radius tiling for Places Nearby Search.
+ * Nearby Search returns at most 20 places per request and has no page token, so dense
+ * areas get cut off. When a circle comes back full, it is split into 7 sub-circles
+ * (one in the centre, six on a ring) that together cover it, and each is searched in turn.
+ * Results are de-duplicated by `placeId` and clipped to the original radius.
+ */
+
+/** Maximum places returned by a single Nearby Search request. */
+export const NEARBY_PAGE_SIZE = 20;
+
+/**
+ * Ring tiling of a circle: 7 circles of radius R/2 — one at the centre and six
+ * at distance R·√3/2 — fully cover a circle of radius R.
+ *
+ * @param {{ lat: number, lng: number }} center
+ * @param {number} radius - Radius in meters.
+ * @returns {Array<{ lat: number, lng: number, radius: number }>}
+ */
+export function tileCircle(center, radius) {
+  const sub = radius / 2;
+  const ringKm = (radius * Math.sqrt(3)) / 2 / 1000;
+  const kmPerDegLat = 111.32;
+  const kmPerDegLng = 111.32 * Math.cos((center.lat * Math.PI) / 180);
+
+  const tiles = [{ lat: center.lat, lng: center.lng, radius: sub }];
+  for (let i = 0; i < 6; i += 1) {
+    const angle = (i * Math.PI) / 3;
+    tiles.push({
+      lat: center.lat + (ringKm * Math.sin(angle)) / kmPerDegLat,
+      lng: center.lng + (ringKm * Math.cos(angle)) / kmPerDegLng,
+      radius: sub,
+    });
+  }
+  return tiles;
+}
+
+/**
+ * Runs Nearby Search over a circle, subdividing saturated circles until `maxResults`
+ * unique places are found, no circle is saturated, or the call/depth budget runs out.
+ *
+ * @param {(params: Object) => Promise<import('../models/place.js').Place[]>} searchNearby - Provider nearby search.
+ * @param {Object} params
+ * @param {number} params.lat
+ * @param {number} params.lng
+ * @param {number} params.radius - Radius in meters.
+ * @param {number} params.maxResults - Unique places wanted.
+ * @param {Object} [params.rest] - Extra params passed through to every search (e.g. openNow).
+ * @param {Object} [opts]
+ * @param {number} [opts.maxDepth=2] - How many times a circle may be subdivided.
+ * @param {number} [opts.maxCalls=15] - Upper bound on provider requests.
+ * @param {number} [opts.minRadius=100] - Circles smaller than this are not split further.
+ * @returns {Promise<{ places: import('../models/place.js').Place[], calls: number, saturated: boolean }>}
+ */
+export async function searchNearbyTiled(
+  searchNearby,
+  { lat, lng, radius, maxResults, ...rest },
+  { maxDepth = 2, maxCalls = 15, minRadius = 100 } = {}
+) {
+  const origin = { lat, lng };
+  const seen = new Map();
+  const queue = [{ lat, lng, radius, depth: 0 }];
+  let calls = 0;
+  let saturated = false;
+
+  while (queue.length && seen.size < maxResults && calls < maxCalls) {
+    const circle = queue.shift();
+    const results = await searchNearby({
+      ...rest,
+      lat: circle.lat,
+      lng: circle.lng,
+      radius: circle.radius,
+      maxResults: NEARBY_PAGE_SIZE,
+    });
+    calls += 1;
+
+    for (const p of results) {
+      if (!p.placeId || seen.has(p.placeId)) continue;
+      // sub-circles on the ring poke outside the requested area
+      const km = p.location ? haversineKm(origin, p.location) : null;
+      if (km !== null && km * 1000 > radius) continue;
+      seen.set(p.placeId, p);
+    }
+
+    if (results.length >= NEARBY_PAGE_SIZE) {
+      if (circle.depth < maxDepth && circle.radius / 2 >= minRadius) {
+        for (const t of tileCircle(circle, circle.radius)) queue.push({ ...t, depth: circle.depth + 1 });
+      } else {
+        saturated = true;
+      }
+    }
+  }
+
+  if (queue.length && seen.size < maxResults) saturated = true;
+
+  logger.info('places.nearby.tiled', { calls, unique: seen.size, saturated });
+  return { places: [...seen.values()].slice(0, maxResults), calls, saturated };
+}
+
+export default { tileCircle, searchNearbyTiled, NEARBY_PAGE_SIZE };
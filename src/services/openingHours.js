@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Opening-hours evaluation for normalized places.
+ * Works on the weekly `openingHours.periods` of a place (Google `regularOpeningHours`)
+ * in the place's own time zone (`utcOffsetMinutes`), and answers "open at T?",
+ * "still open for N minutes?" and "when does it open next?".
+ *
+ * Moments are ISO 8601 strings or Dates. A string without a zone designator
+ * ("2026-10-23T21:00") is a wall-clock time at the place, so "9pm Friday" means 9pm
+ * local time wherever the place is; a string with "Z"/"±hh:mm" (or a Date) is an
+ * absolute instant. The offset is the place's current one, so an instant across a DST
+ * change may be off by an hour.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/** Minutes in a week; week minutes count from Sunday 00:00 (Google `day` 0). */
+export const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * @typedef {Object} Moment
+ * @property {number} epochMs - Parsed time; for floating moments, the wall-clock time read as UTC.
+ * @property {boolean} floating - True if the input had no zone (wall-clock time at the place).
+ */
+
+/**
+ * @typedef {Object} LocalTime
+ * @property {number} day - 0 = Sunday … 6 = Saturday.
+ * @property {number} hour
+ * @property {number} minute
+ */
+
+/**
+ * @typedef {Object} OpeningStatus
+ * @property {boolean|null} open - Open at the moment, or null if the hours are unknown.
+ * @property {boolean} alwaysOpen - Open 24/7.
+ * @property {LocalTime|null} localTime - The evaluated moment on the place's wall clock.
+ * @property {number|null} minutesUntilClose - How long it stays open from the moment
+ *   (null if closed, unknown or always open). Back-to-back periods count as one.
+ * @property {LocalTime|null} closesAt - Local closing time, if open and it closes.
+ * @property {(LocalTime & { inMinutes: number, at: string })|null} nextOpen - Next opening, if closed;
+ *   `at` is ISO 8601 with the place's offset (no offset if it is unknown).
+ */
+
+/**
+ * Parses a moment (see file overview).
+ *
+ * @param {string|Date|undefined|null} value
+ * @returns {Moment|null} Null if missing or not a valid date.
+ */
+export function parseMoment(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { epochMs: value.getTime(), floating: false };
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const s = value.trim();
+  const zoned = /(z|[+-]\d{2}:?\d{2})$/i.test(s);
+  // Date-only strings already parse as UTC; date-times need an explicit "Z"
+  const epochMs = Date.parse(!zoned && s.includes('T') ? `${s}Z` : s);
+  return Number.isNaN(epochMs) ? null : { epochMs, floating: !zoned };
+}
+
+/**
+ * Converts a moment to the place's wall clock.
+ *
+ * @param {Moment} moment
+ * @param {number|null} offset - Place UTC offset in minutes.
+ * @returns {number|null} Wall-clock time read as UTC ms, or null if an absolute
+ *   instant cannot be placed because the offset is unknown.
+ */
+function toLocalMs(moment, offset) {
+  if (moment.floating) return moment.epochMs;
+  if (offset === null) return null;
+  return moment.epochMs + offset * 60000;
+}
+
+/**
+ * @param {{ day: number, hour?: number, minute?: number }} point
+ * @returns {number} Week minute.
+ */
+function weekMinute({ day, hour = 0, minute = 0 }) {
+  return day * MINUTES_PER_DAY + hour * 60 + minute;
+}
+
+/**
+ * @param {number} wm - Week minute (any integer; wrapped into the week).
+ * @returns {LocalTime}
+ */
+function fromWeekMinute(wm) {
+  const m = ((wm % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+  return { day: Math.floor(m / MINUTES_PER_DAY), hour: Math.floor((m % MINUTES_PER_DAY) / 60), minute: m % 60 };
+}
+
+/**
+ * Turns periods into week-minute intervals `[open, close)`; a close before the open
+ * wraps past Saturday night. A period without `close` means open 24/7.
+ *
+ * @param {Array<{ open: Object, close: Object|null }>} periods
+ * @returns {{ alwaysOpen: boolean, intervals: Array<[number, number]> }}
+ */
+function toIntervals(periods) {
+  const intervals = [];
+  for (const p of periods) {
+    if (!p?.open) continue;
+    if (!p.close) return { alwaysOpen: true, intervals: [] };
+    const o = weekMinute(p.open);
+    let c = weekMinute(p.close);
+    if (c <= o) c += MINUTES_PER_WEEK;
+    intervals.push([o, c]);
+  }
+  return { alwaysOpen: false, intervals };
+}
+
+/**
+ * Formats a local wall-clock time (ms read as UTC) as ISO 8601 with the given offset.
+ *
+ * @param {number} localMs
+ * @param {number|null} offset
+ * @returns {string}
+ */
+function formatLocalIso(localMs, offset) {
+  const base = new Date(localMs).toISOString().slice(0, 19);
+  if (offset === null) return base;
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${base}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Evaluates a place's opening hours at a moment.
+ *
+ * @param {Object} place - Normalized place (`openingHours`, `utcOffsetMinutes`).
+ * @param {string|Date} [at=new Date()] - Moment to evaluate (see file overview).
+ * @returns {OpeningStatus}
+ */
+export function evaluateOpening(place, at = new Date()) {
+  const unknown = { open: null, alwaysOpen: false, localTime: null, minutesUntilClose: null, closesAt: null, nextOpen: null };
+  const periods = place?.openingHours?.periods;
+  const moment = parseMoment(at);
+  if (!Array.isArray(periods) || !periods.length || !moment) return unknown;
+
+  const offset = typeof place.utcOffsetMinutes === 'number' ? place.utcOffsetMinutes : null;
+  const localMs = toLocalMs(moment, offset);
+  if (localMs === null) return unknown;
+
+  const d = new Date(localMs);
+  const localTime = { day: d.getUTCDay(), hour: d.getUTCHours(), minute: d.getUTCMinutes() };
+  const { alwaysOpen, intervals } = toIntervals(periods);
+  if (alwaysOpen) return { ...unknown, open: true, alwaysOpen: true, localTime };
+
+  const w = weekMinute(localTime);
+  const containing = (x) => intervals.find(([o, c]) => o <= x && x < c);
+
+  let x = w;
+  let current = containing(x);
+  if (!current) {
+    x = w + MINUTES_PER_WEEK;
+    current = containing(x);
+  }
+
+  if (current) {
+    // Follow back-to-back periods (e.g. 00:00–24:00 split by day) until a real close
+    let end = current[1];
+    for (let i = 0; i < intervals.length; i++) {
+      const next = intervals.find(([o]) => o === end % MINUTES_PER_WEEK || o === end - MINUTES_PER_WEEK);
+      if (!next) break;
+      end += next[1] - next[0];
+      if (end - x >= MINUTES_PER_WEEK) return { ...unknown, open: true, alwaysOpen: true, localTime };
+    }
+    return { ...unknown, open: true, localTime, minutesUntilClose: end - x, closesAt: fromWeekMinute(end) };
+  }
+
+  const inMinutes = Math.min(...intervals.map(([o]) => (((o - w) % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK));
+  const openLocalMs = localMs - d.getUTCSeconds() * 1000 - d.getUTCMilliseconds() + inMinutes * 60000;
+  return {
+    ...unknown,
+    open: false,
+    localTime,
+    nextOpen: { ...fromWeekMinute(w + inMinutes), inMinutes, at: formatLocalIso(openLocalMs, offset) },
+  };
+}
+
+/**
+ * Whether the place is open at a moment.
+ *
+ * @param {Object} place
+ * @param {string|Date} [at=new Date()]
+ * @returns {boolean|null} Null if the hours are unknown.
+ */
+export function isOpenAt(place, at = new Date()) {
+  return evaluateOpening(place, at).open;
+}
+
+/**
+ * Whether the place, open at a moment, closes within the next `minutes`.
+ *
+ * @param {Object} place
+ * @param {string|Date} at
+ * @param {number} minutes
+ * @returns {boolean|null} Null if the hours are unknown; true if it is already closed.
+ */
+export function closesWithin(place, at, minutes) {
+  const status = evaluateOpening(place, at);
+  if (status.open === null) return null;
+  if (!status.open) return true;
+  return status.minutesUntilClose !== null && status.minutesUntilClose < minutes;
+}
+
+/**
+ * Next time the place opens, if it is closed at a moment.
+ *
+ * @param {Object} place
+ * @param {string|Date} [at=new Date()]
+ * @returns {(LocalTime & { inMinutes: number, at: string })|null} Null if open now or unknown.
+ */
+export function nextOpening(place, at = new Date()) {
+  return evaluateOpening(place, at).nextOpen;
+}
+
+/**
+ * Formats a local time as "HH:MM".
+ *
+ * @param {LocalTime} time
+ * @returns {string}
+ */
+export function formatClock({ hour, minute }) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+export default { MINUTES_PER_WEEK, parseMoment, evaluateOpening, isOpenAt, closesWithin, nextOpening, formatClock };
@@ -0,0 +1,95 @@
+import { describe, test, expect } from '@jest/globals';
+import { evaluateOpening, isOpenAt, closesWithin, nextOpening } from './openingHours.js';
+
+// 2026-10-23 is a Friday, 2026-10-24 a Saturday and 2026-10-25 a Sunday
+
+/** Place open Friday 20:00 → Saturday 02:00 and Saturday 22:00 → Sunday 03:00, at UTC-6. */
+const lateBar = {
+  utcOffsetMinutes: -360,
+  openingHours: {
+    periods: [
+      { open: { day: 5, hour: 20, minute: 0 }, close: { day: 6, hour: 2, minute: 0 } },
+      { open: { day: 6, hour: 22, minute: 0 }, close: { day: 0, hour: 3, minute: 0 } },
+    ],
+  },
+};
+
+describe('evaluateOpening', () => {
+  test('an overnight period is open after midnight until its close', () => {
+    expect(evaluateOpening(lateBar, '2026-10-24T01:00')).toMatchObject({
+      open: true,
+      localTime: { day: 6, hour: 1, minute: 0 },
+      minutesUntilClose: 60,
+      closesAt: { day: 6, hour: 2, minute: 0 },
+    });
+    expect(isOpenAt(lateBar, '2026-10-24T02:00')).toBe(false);
+  });
+
+  test('a Saturday period closing on Sunday wraps around the week', () => {
+    expect(evaluateOpening(lateBar, '2026-10-24T23:00')).toMatchObject({ open: true, minutesUntilClose: 240 });
+    expect(evaluateOpening(lateBar, '2026-10-25T01:30')).toMatchObject({
+      open: true,
+      minutesUntilClose: 90,
+      closesAt: { day: 0, hour: 3, minute: 0 },
+    });
+  });
+
+  test('after the Sunday close, the next opening is Friday night', () => {
+    expect(nextOpening(lateBar, '2026-10-25T04:00')).toEqual({
+      day: 5,
+      hour: 20,
+      minute: 0,
+      inMinutes: 5 * 24 * 60 + 16 * 60,
+      at: '2026-10-30T20:00:00-06:00',
+    });
+  });
+
+  test('a period without close means open 24/7', () => {
+    const place = { openingHours: { periods: [{ open: { day: 0, hour: 0, minute: 0 }, close: null }] } };
+    expect(evaluateOpening(place, '2026-10-24T03:00')).toMatchObject({
+      open: true,
+      alwaysOpen: true,
+      minutesUntilClose: null,
+      closesAt: null,
+    });
+    expect(closesWithin(place, '2026-10-24T03:00', 60)).toBe(false);
+  });
+
+  test('a zoned instant is read at the place offset, and is unknown without one', () => {
+    expect(isOpenAt(lateBar, '2026-10-24T07:00Z')).toBe(true);
+    expect(isOpenAt(lateBar, new Date('2026-10-24T09:00Z'))).toBe(false);
+
+    const noOffset = { ...lateBar, utcOffsetMinutes: null };
+    expect(evaluateOpening(noOffset, '2026-10-24T07:00Z')).toMatchObject({ open: null, localTime: null });
+    expect(closesWithin(noOffset, '2026-10-24T07:00Z', 30)).toBeNull();
+    // A wall-clock time does not need the offset
+    expect(isOpenAt(noOffset, '2026-10-24T01:00')).toBe(true);
+    expect(nextOpening(noOffset, '2026-10-24T12:00').at).toBe('2026-10-24T22:00:00');
+  });
+});
+
+describe('closesWithin', () => {
+  test('compares the minutes left with the requested stay', () => {
+    // Open until 02:00: 60 minutes left at 01:00
+    expect(closesWithin(lateBar, '2026-10-24T01:00', 90)).toBe(true);
+    expect(closesWithin(lateBar, '2026-10-24T01:00', 60)).toBe(false);
+  });
+
+  test('a closed place counts as closing, and unknown hours as unknown', () => {
+    expect(closesWithin(lateBar, '2026-10-24T12:00', 30)).toBe(true);
+    expect(closesWithin({ openingHours: null }, '2026-10-24T12:00', 30)).toBeNull();
+  });
+
+  test('back-to-back periods count as one stay', () => {
+    const place = {
+      openingHours: {
+        periods: [
+          { open: { day: 5, hour: 18, minute: 0 }, close: { day: 6, hour: 0, minute: 0 } },
+          { open: { day: 6, hour: 0, minute: 0 }, close: { day: 6, hour: 2, minute: 0 } },
+        ],
+      },
+    };
+    expect(evaluateOpening(place, '2026-10-23T23:00')).toMatchObject({ minutesUntilClose: 180 });
+    expect(closesWithin(place, '2026-10-23T23:00', 120)).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+import { priceToLevel } from './scoring.js';
+import { listFeedback } from './feedbackStore.js';
+
+/**
+ * @fileoverview Personalisation from recorded feedback (`feedback_record`).
+ * A profile's likes, dislikes, ratings and visits become a taste model: how much the user
+ * likes each place type and price level, and what they thought of each place. Newer
+ * feedback counts more (signals halve every `HALF_LIFE_DAYS`). Scoring turns it into a
+ * multiplier: places of liked types and the usual price band get a boost, places the
+ * user disliked or visited in the last `RECENT_VISIT_DAYS` are pushed down.
+ */
+
+/** Days after which a feedback signal counts half. */
+export const HALF_LIFE_DAYS = 90;
+
+/** A visit this recent pushes the place down, so suggestions vary. */
+export const RECENT_VISIT_DAYS = 14;
+
+/** Affinity (−1…1) from which a type or price band is mentioned in `why`. */
+export const AFFINITY_THRESHOLD = 0.4;
+
+/** Types too broad to say anything about taste. */
+const GENERIC_TYPES = new Set(['restaurant', 'food', 'point_of_interest', 'establishment', 'store']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} TasteModel
+ * @property {Map<string, number>} types - Decayed signal sum per place type.
+ * @property {Map<number, number>} prices - Decayed signal sum per price level (0–4).
+ * @property {Map<string, { signal: number|null, lastVisit: number|null }>} places - Latest opinion
+ *   (−1…1, null if only visited) and last visit time (ms) per `placeId`.
+ */
+
+/**
+ * @typedef {Object} PersonalFit
+ * @property {boolean} applied - Whether the multiplier differs from 1.
+ * @property {number} multiplier - Score multiplier.
+ * @property {number} cuisine - Affinity for the place's types (−1…1).
+ * @property {number} price - Affinity for the place's price band (−1…1).
+ * @property {string[]} likedTypes - Place types the user tends to like, best first.
+ * @property {string[]} dislikedTypes - Place types the user tends to dislike, worst first.
+ * @property {boolean} liked - The user's latest opinion of this place is positive.
+ * @property {boolean} disliked - The user's latest opinion of this place is negative.
+ * @property {number|null} visitedDaysAgo - Days since the last visit, if within `RECENT_VISIT_DAYS`.
+ */
+
+/**
+ * Signal of a feedback record: +1 like, −1 dislike, −1…+1 for a 1–5 rating,
+ * and a mild +0.3 for a visit without rating (they chose to go).
+ *
+ * @param {import('../models/feedback.js').FeedbackEntry} entry
+ * @returns {number}
+ */
+function signalOf(entry) {
+  if (typeof entry.rating === 'number') return (entry.rating - 3) / 2;
+  if (entry.kind === 'like') return 1;
+  if (entry.kind === 'dislike') return -1;
+  return entry.kind === 'visit' ? 0.3 : 0;
+}
+
+/**
+ * Maps an unbounded sum to −1…1.
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+function squash(x) {
+  return x / (1 + Math.abs(x));
+}
+
+/**
+ * Builds a taste model from feedback records.
+ *
+ * @param {import('../models/feedback.js').FeedbackEntry[]} entries
+ * @param {Date} [now=new Date()]
+ * @returns {TasteModel}
+ */
+export function buildTasteModel(entries = [], now = new Date()) {
+  const model = { types: new Map(), prices: new Map(), places: new Map() };
+  const add = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
+
+  // Oldest first, so the latest opinion of a place wins
+  const sorted = [...entries].sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  for (const entry of sorted) {
+    const at = Date.parse(entry.at);
+    if (Number.isNaN(at)) continue;
+    const signal = signalOf(entry);
+    const weight = 0.5 ** (Math.max(0, now.getTime() - at) / DAY_MS / HALF_LIFE_DAYS);
+
+    const snapshot = entry.place;
+    if (snapshot) {
+      const types = new Set([snapshot.primaryType, ...(snapshot.types || [])].filter((x) => x && !GENERIC_TYPES.has(x)));
+      for (const type of types) add(model.types, type, signal * weight);
+      if (typeof snapshot.priceLevel === 'number') add(model.prices, snapshot.priceLevel, signal * weight);
+    }
+
+    const own = model.places.get(entry.placeId) ?? { signal: null, lastVisit: null };
+    if (entry.kind !== 'visit' || typeof entry.rating === 'number') own.signal = signal;
+    if (entry.kind === 'visit') own.lastVisit = Math.max(own.lastVisit ?? 0, at);
+    model.places.set(entry.placeId, own);
+  }
+  return model;
+}
+
+/**
+ * Loads a profile's feedback as a taste model.
+ *
+ * @param {string} profileId
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<TasteModel|null>} Null if the profile has no feedback.
+ */
+export async function tasteForProfile(profileId, now = new Date()) {
+  const entries = await listFeedback(profileId);
+  return entries.length ? buildTasteModel(entries, now) : null;
+}
+
+/**
+ * Scores a place against a taste model.
+ *
+ * @param {Object} place - A normalized place.
+ * @param {TasteModel} taste
+ * @param {Date} [now=new Date()]
+ * @returns {PersonalFit}
+ */
+export function personalFit(place, taste, now = new Date()) {
+  const own = new Set([place.primaryType, ...(place.types || [])].filter((x) => x && !GENERIC_TYPES.has(x)));
+  const affinities = [...own]
+    .filter((type) => taste.types.has(type))
+    .map((type) => ({ type, value: squash(taste.types.get(type)) }));
+  const cuisine = affinities.length ? affinities.reduce((acc, a) => acc + a.value, 0) / affinities.length : 0;
+
+  const level = priceToLevel(place.priceLevel);
+  const price = typeof level === 'number'
+    ? squash((taste.prices.get(level) || 0) + 0.5 * ((taste.prices.get(level - 1) || 0) + (taste.prices.get(level + 1) || 0)))
+    : 0;
+
+  const mine = taste.places.get(place.placeId);
+  const liked = (mine?.signal ?? 0) > 0;
+  const disliked = (mine?.signal ?? 0) < 0;
+  const daysAgo = mine?.lastVisit ? Math.floor((now.getTime() - mine.lastVisit) / DAY_MS) : null;
+  const visitedDaysAgo = daysAgo !== null && daysAgo >= 0 && daysAgo < RECENT_VISIT_DAYS ? daysAgo : null;
+
+  let multiplier = 1 + 0.15 * cuisine + 0.1 * price;
+  if (disliked) multiplier *= 0.5;
+  else if (liked) multiplier *= 1.1;
+  if (visitedDaysAgo !== null) multiplier *= 0.8;
+
+  return {
+    applied: multiplier !== 1,
+    multiplier,
+    cuisine,
+    price,
+    likedTypes: affinities.filter((a) => a.value >= AFFINITY_THRESHOLD).sort((a, b) => b.value - a.value).map((a) => a.type),
+    dislikedTypes: affinities.filter((a) => a.value <= -AFFINITY_THRESHOLD).sort((a, b) => a.value - b.value).map((a) => a.type),
+    liked,
+    disliked,
+    visitedDaysAgo,
+  };
+}
+
+export default { HALF_LIFE_DAYS, RECENT_VISIT_DAYS, AFFINITY_THRESHOLD, buildTasteModel, tasteForProfile, personalFit };
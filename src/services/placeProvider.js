@@ -0,0 +1,95 @@
+import googleClient from './googleClient.js';
+import fixtureClient from './fixtureClient.js';
+import { withCache } from './cache.js';
+import { PLACES_PROVIDER } from '../config/env.js';
+import { ConfigError } from '../utils/errors.js';
+
+/**
+ * @fileoverview Place provider abstraction.
+ * Tools depend on this interface instead of a concrete client, so the server can run
+ * against live Google APIs or against recorded fixtures (no key, no network).
+ * The active provider is wrapped with the response cache (see `cache.js`).
+ */
+
+/**
+ * @typedef {Object} PlaceProvider
+ * @property {string} name - Provider identifier (e.g. "google", "fixture").
+ * @property {(address: string, options?: GeocodeBias) => Promise<GeocodeResult>} geocodeAddress - Best match only.
+ * @property {(address: string, options?: GeocodeBias) => Promise<GeocodeResult[]>} geocodeCandidates - Every match, best first.
+ * @property {(point: { lat: number, lng: number }, options?: { language?: string, resultTypes?: string[] }) => Promise<GeocodeResult[]>} reverseGeocode
+ * @property {(params: { input: string, lat?: number, lng?: number, radius?: number, region?: string, language?: string, sessionToken?: string, maxResults?: number }) => Promise<import('../models/geocode.js').AutocompleteSuggestion[]>} autocompletePlaces
+ * @property {(params: { lat: number, lng: number, radius?: number, openNow?: boolean, maxResults?: number, fields?: FieldTier, includedTypes?: string[], excludedTypes?: string[] }) => Promise<import('../models/place.js').Place[]>} searchNearbyRestaurants
+ * @property {(params: { query: string, lat?: number, lng?: number, radius?: number, maxResults?: number, fields?: FieldTier, includedTypes?: string[], excludedTypes?: string[] }) => Promise<import('../models/place.js').Place[]>} searchTextRestaurants
+ * @property {(placeId: string, options?: { fields?: FieldTier }) => Promise<import('../models/place.js').Place>} getPlaceDetails
+ */
+
+/**
+ * @typedef {import('../models/geocode.js').GeocodeResult} GeocodeResult
+ */
+
+/**
+ * @typedef {Object} GeocodeBias
+ * @property {string} [region] - Two-letter country code to prefer (e.g. "gt").
+ * @property {string} [language] - Language of the returned addresses (e.g. "es").
+ */
+
+/**
+ * @typedef {'basic'|'standard'|'full'} FieldTier - How many place fields to fetch (see `FIELD_TIERS` in `models/place.js`).
+ *   Searches default to "standard", details to "full".
+ */
+
+/**
+ * Registered provider implementations, keyed by name.
+ * @type {Record<string, PlaceProvider>}
+ */
+const providers = {
+  google: googleClient,
+  fixture: fixtureClient,
+};
+
+/** @type {PlaceProvider|null} */
+let current = null;
+
+/**
+ * Returns the active place provider, selected by `PLACES_PROVIDER`, behind the cache.
+ *
+ * @returns {PlaceProvider}
+ * @throws {ConfigError} If the configured provider is unknown.
+ */
+export function getProvider() {
+  if (current) return current;
+  const provider = providers[PLACES_PROVIDER];
+  if (!provider) {
+    throw new ConfigError(`PLACES_PROVIDER desconocido: "${PLACES_PROVIDER}"`, {
+      available: Object.keys(providers),
+    });
+  }
+  current = withCache(provider);
+  return current;
+}
+
+/**
+ * Overrides the active provider (by name or with a custom implementation).
+ * Useful for tests and demos.
+ *
+ * @param {string|PlaceProvider|null} provider - Provider name, implementation, or `null` to reset.
+ * @returns {PlaceProvider|null} The provider now in use.
+ * @throws {ConfigError} If a name is given that is not registered.
+ */
+export function setProvider(provider) {
+  if (provider === null) {
+    current = null;
+    return null;
+  }
+  if (typeof provider === 'string') {
+    if (!providers[provider]) {
+      throw new ConfigError(`Proveedor desconocido: "${provider}"`, { available: Object.keys(providers) });
+    }
+    current = withCache(providers[provider]);
+    return current;
+  }
+  current = withCache(provider);
+  return current;
+}
+
+export default { getProvider, setProvider };
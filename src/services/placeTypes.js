@@ -0,0 +1,160 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PLACE_TYPES_PATH } from '../config/env.js';
+import { ConfigError, ValidationError } from '../utils/errors.js';
+import { t, DEFAULT_LOCALE } from '../utils/i18n.js';
+
+/**
+ * @fileoverview Place type catalogue and type filters.
+ * Searches and ranking accept `includedTypes` / `excludedTypes` lists made of Places API
+ * types ("cafe", "ice_cream_shop") or group names ("cafes", "desserts"), which expand to
+ * their types. The catalogue lives in `src/config/placeTypes.json` (overridable with
+ * `PLACE_TYPES_PATH`) and also holds the default food-related filters for searches.
+ */
+
+const DEFAULT_CATALOGUE = fileURLToPath(new URL('../config/placeTypes.json', import.meta.url));
+
+/** Places Nearby Search accepts at most 50 types per list. */
+export const MAX_TYPES_PER_LIST = 50;
+
+/**
+ * @typedef {Object} TypeFilter
+ * @property {string[]} includedTypes - A place must have one of these (empty = any type).
+ * @property {string[]} excludedTypes - A place must have none of these.
+ */
+
+/** @type {{ types: Set<string>, groups: Record<string, string[]>, defaults: TypeFilter } | null} */
+let catalogue = null;
+
+/**
+ * Loads (once) and validates the type catalogue.
+ *
+ * @returns {NonNullable<typeof catalogue>}
+ * @throws {ConfigError} If the file is unreadable or a group or default names an unknown type.
+ */
+function getCatalogue() {
+  if (catalogue) return catalogue;
+  const file = PLACE_TYPES_PATH || DEFAULT_CATALOGUE;
+  let json;
+  try {
+    json = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`No se pudo leer el catálogo de tipos de lugar: ${file}`, { err: e?.message });
+  }
+
+  const types = new Set(Object.values(json.types || {}).flat());
+  const groups = json.groups || {};
+  for (const [name, list] of Object.entries({
+    ...groups,
+    defaultIncludedTypes: json.defaultIncludedTypes || [],
+    defaultExcludedTypes: json.defaultExcludedTypes || [],
+  })) {
+    const unknown = list.filter((type) => !types.has(type));
+    if (unknown.length) throw new ConfigError(`Catálogo de tipos: "${name}" usa tipos desconocidos`, { unknown });
+  }
+
+  catalogue = {
+    types,
+    groups,
+    defaults: {
+      includedTypes: json.defaultIncludedTypes || [],
+      excludedTypes: json.defaultExcludedTypes || [],
+    },
+  };
+  return catalogue;
+}
+
+/**
+ * Expands group names into their types and drops duplicates.
+ *
+ * @param {string[]} list - Types and/or group names.
+ * @returns {{ types: string[], unknown: string[] }} Known types (in order) and entries that are neither.
+ */
+export function expandTypes(list = []) {
+  const { types, groups } = getCatalogue();
+  const out = new Set();
+  const unknown = [];
+  for (const raw of list) {
+    const name = String(raw).trim().toLowerCase();
+    if (Object.hasOwn(groups, name)) groups[name].forEach((type) => out.add(type));
+    else if (types.has(name)) out.add(name);
+    else unknown.push(raw);
+  }
+  return { types: [...out], unknown };
+}
+
+/**
+ * Default filter for searches that do not pass their own lists.
+ *
+ * @returns {TypeFilter}
+ */
+export function defaultTypeFilter() {
+  const { defaults } = getCatalogue();
+  return { includedTypes: [...defaults.includedTypes], excludedTypes: [...defaults.excludedTypes] };
+}
+
+/**
+ * Validates one list parameter of a tool call.
+ *
+ * @param {*} list
+ * @param {string} field - Parameter name for the error message.
+ * @param {string} tool - Tool name for the error message.
+ * @param {string} locale - Language of the error message.
+ * @returns {string[]|undefined} Expanded types, or undefined if the parameter was omitted.
+ * @throws {ValidationError} If it is not an array of strings, names unknown types, or is too long.
+ */
+function resolveList(list, field, tool, locale) {
+  if (list === undefined || list === null) return undefined;
+  if (!Array.isArray(list) || list.some((x) => typeof x !== 'string')) {
+    throw new ValidationError(t(locale, 'errors.stringArray', { tool, field }));
+  }
+  const { types, unknown } = expandTypes(list);
+  if (unknown.length) {
+    throw new ValidationError(t(locale, 'errors.placeTypes', { tool, field, types: unknown.join(', ') }), {
+      unknown,
+      groups: Object.keys(getCatalogue().groups),
+    });
+  }
+  if (types.length > MAX_TYPES_PER_LIST) {
+    throw new ValidationError(t(locale, 'errors.maxItems', { tool, field, max: MAX_TYPES_PER_LIST }));
+  }
+  return types;
+}
+
+/**
+ * Resolves the `includedTypes` / `excludedTypes` parameters of a tool call;
+ * an omitted list takes its value from `fallback`.
+ *
+ * @param {Object} params
+ * @param {*} [params.includedTypes]
+ * @param {*} [params.excludedTypes]
+ * @param {Object} opts
+ * @param {string} opts.tool - Tool name for error messages.
+ * @param {string} [opts.locale=DEFAULT_LOCALE] - Language of error messages.
+ * @param {TypeFilter} [opts.fallback=defaultTypeFilter()] - Lists used when omitted.
+ * @returns {TypeFilter}
+ * @throws {ValidationError} If a list is invalid.
+ */
+export function resolveTypeFilter({ includedTypes, excludedTypes }, { tool, locale = DEFAULT_LOCALE, fallback = defaultTypeFilter() }) {
+  return {
+    includedTypes: resolveList(includedTypes, 'includedTypes', tool, locale) ?? fallback.includedTypes,
+    excludedTypes: resolveList(excludedTypes, 'excludedTypes', tool, locale) ?? fallback.excludedTypes,
+  };
+}
+
+/**
+ * Checks a place's types against a filter.
+ *
+ * @param {{ types?: string[], primaryType?: string|null }} place
+ * @param {Partial<TypeFilter>} filter
+ * @returns {{ pass: boolean, included: string|null, excluded: string|null }}
+ *   Whether it passes, the first included type it has, and the first excluded type it has.
+ */
+export function matchTypeFilter(place, { includedTypes = [], excludedTypes = [] } = {}) {
+  const own = new Set([place.primaryType, ...(place.types || [])].filter(Boolean));
+  const included = includedTypes.find((type) => own.has(type)) ?? null;
+  const excluded = excludedTypes.find((type) => own.has(type)) ?? null;
+  return { pass: !excluded && (!includedTypes.length || Boolean(included)), included, excluded };
+}
+
+export default { MAX_TYPES_PER_LIST, expandTypes, defaultTypeFilter, resolveTypeFilter, matchTypeFilter };
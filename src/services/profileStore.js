@@ -0,0 +1,208 @@
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { PROFILE_STORE_PATH } from '../config/env.js';
+import {
+  normalizeProfile,
+  migrateProfileRecord,
+  PROFILE_SCHEMA_VERSION,
+} from '../models/profile.js';
+import { ConfigError, ValidationError } from '../utils/errors.js';
+import { writeFileAtomic, createSerialQueue } from '../utils/fileStore.js';
+import { t, DEFAULT_LOCALE } from '../utils/i18n.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @fileoverview Persistent user profile storage backed by a local JSON file.
+ * Records are versioned (see `PROFILE_SCHEMA_VERSION`) and migrated on load,
+ * so users don't have to restate their preferences every session.
+ *
+ * File format: `{ "version": 1, "profiles": { "<id>": StoredProfile } }`
+ */
+
+/** @type {Map<string, import('../models/profile.js').StoredProfile> | null} */
+let profiles = null;
+
+/** @type {Promise<Map<string, import('../models/profile.js').StoredProfile>> | null} */
+let loading = null;
+
+/** Runs store changes one at a time, so concurrent tool calls cannot interleave. */
+const enqueue = createSerialQueue();
+
+/**
+ * Loads (once) all profiles from disk; concurrent callers share the same read.
+ *
+ * @returns {Promise<Map<string, import('../models/profile.js').StoredProfile>>}
+ */
+function load() {
+  if (profiles) return Promise.resolve(profiles);
+  loading ||= readStore().finally(() => { loading = null; });
+  return loading;
+}
+
+/**
+ * Reads all profiles from disk, migrating old records.
+ * A missing file is treated as an empty store.
+ *
+ * @returns {Promise<Map<string, import('../models/profile.js').StoredProfile>>}
+ * @throws {ConfigError} If the file exists but cannot be parsed or migrated.
+ */
+async function readStore() {
+  let json = { profiles: {} };
+  try {
+    json = JSON.parse(await readFile(PROFILE_STORE_PATH, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new ConfigError(`No se pudo leer el almacén de perfiles: ${PROFILE_STORE_PATH}`, { err: e?.message });
+    }
+  }
+
+  const loaded = new Map();
+  let migratedCount = 0;
+  for (const [id, raw] of Object.entries(json.profiles || {})) {
+    try {
+      const { record, migrated } = migrateProfileRecord({ ...raw, id });
+      loaded.set(id, record);
+      if (migrated) migratedCount += 1;
+    } catch (e) {
+      throw new ConfigError(e.message, { profileId: id });
+    }
+  }
+
+  // Written before the profiles are published, so no queued change can write at the same time
+  if (migratedCount > 0) await persist(loaded);
+  profiles = loaded;
+  logger.info('profiles.load.ok', { file: PROFILE_STORE_PATH, count: loaded.size, migrated: migratedCount });
+  return profiles;
+}
+
+/**
+ * Writes the whole store atomically (temp file + rename).
+ *
+ * @param {Map<string, import('../models/profile.js').StoredProfile>} store
+ * @returns {Promise<void>}
+ */
+function persist(store) {
+  return writeFileAtomic(
+    PROFILE_STORE_PATH,
+    JSON.stringify({ version: PROFILE_SCHEMA_VERSION, profiles: Object.fromEntries(store) }, null, 2)
+  );
+}
+
+/**
+ * Applies `change` to a copy of the store, writes the copy and only then makes it current,
+ * so a failed write leaves the profiles as they were. Changes run one at a time, each on
+ * the result of the previous one, so read-modify-write sequences cannot lose updates.
+ *
+ * @template T
+ * @param {(store: Map<string, import('../models/profile.js').StoredProfile>) => { result: T, changed: boolean }} change
+ *   Edits the copy; `changed: false` skips the write.
+ * @returns {Promise<T>}
+ */
+function commit(change) {
+  return enqueue(async () => {
+    const next = new Map(await load());
+    const { result, changed } = change(next);
+    if (changed) {
+      await persist(next);
+      profiles = next;
+    }
+    return result;
+  });
+}
+
+/**
+ * Returns a stored profile.
+ *
+ * @param {string} id
+ * @param {Object} [opts]
+ * @param {string} [opts.locale] - Language of the error message.
+ * @returns {Promise<import('../models/profile.js').StoredProfile>}
+ * @throws {ValidationError} If no profile has that id.
+ */
+export async function getProfile(id, { locale = DEFAULT_LOCALE } = {}) {
+  const store = await load();
+  const record = store.get(id);
+  if (!record) throw new ValidationError(t(locale, 'errors.profileNotFound', { id }), { profileId: id });
+  return structuredClone(record);
+}
+
+/**
+ * Creates or replaces a profile.
+ *
+ * @param {Object} params
+ * @param {string} [params.id] - Existing id to overwrite; a new UUID is generated when omitted.
+ * @param {string|null} [params.name]
+ * @param {Object} params.profile - Raw preferences (normalized before storing).
+ * @returns {Promise<import('../models/profile.js').StoredProfile>}
+ */
+export async function saveProfile({ id, name = null, profile }) {
+  const profileId = id || randomUUID();
+  const { record, created } = await commit((store) => {
+    const previous = store.get(profileId);
+    const built = buildRecord(profileId, previous, name, profile);
+    store.set(profileId, built);
+    return { result: { record: built, created: !previous }, changed: true };
+  });
+  logger.info('profiles.save.ok', { profileId, created });
+  return structuredClone(record);
+}
+
+/**
+ * Builds the stored record for a save, keeping the label and creation time of `previous`.
+ *
+ * @param {string} id
+ * @param {import('../models/profile.js').StoredProfile|undefined} previous
+ * @param {string|null|undefined} name
+ * @param {Object} profile - Raw preferences.
+ * @returns {import('../models/profile.js').StoredProfile}
+ */
+function buildRecord(id, previous, name, profile) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    name: name ?? previous?.name ?? null,
+    version: PROFILE_SCHEMA_VERSION,
+    profile: normalizeProfile(profile),
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Applies a partial update to a stored profile. Fields in `patch` replace the stored ones.
+ *
+ * @param {string} id
+ * @param {Object} patch - Partial preferences.
+ * @param {string|null} [name] - New label, if given.
+ * @param {Object} [opts] - Same as `getProfile`.
+ * @returns {Promise<import('../models/profile.js').StoredProfile>}
+ * @throws {ValidationError} If no profile has that id.
+ */
+export async function updateProfile(id, patch = {}, name, { locale = DEFAULT_LOCALE } = {}) {
+  const record = await commit((store) => {
+    const current = store.get(id);
+    if (!current) throw new ValidationError(t(locale, 'errors.profileNotFound', { id }), { profileId: id });
+    const updated = buildRecord(id, current, name, { ...current.profile, ...patch });
+    store.set(id, updated);
+    return { result: updated, changed: true };
+  });
+  logger.info('profiles.save.ok', { profileId: id, created: false });
+  return structuredClone(record);
+}
+
+/**
+ * Deletes a stored profile.
+ *
+ * @param {string} id
+ * @returns {Promise<boolean>} `true` if it existed.
+ */
+export async function deleteProfile(id) {
+  const existed = await commit((store) => {
+    const found = store.delete(id);
+    return { result: found, changed: found };
+  });
+  logger.info('profiles.delete.ok', { profileId: id, existed });
+  return existed;
+}
+
+export default { getProfile, saveProfile, updateProfile, deleteProfile };
@@ -0,0 +1,69 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { mkdtemp, mkdir, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/** @type {typeof import('./profileStore.js')} */
+let store;
+let dir;
+let file;
+
+beforeAll(async () => {
+  for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+  dir = await mkdtemp(join(tmpdir(), 'profiles-'));
+  file = join(dir, 'profiles.json');
+  // env.js reads the path when it is first imported
+  process.env.PROFILE_STORE_PATH = file;
+  store = await import('./profileStore.js');
+});
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+/** Profile ids stored on disk. */
+async function storedIds() {
+  return Object.keys(JSON.parse(await readFile(file, 'utf8')).profiles);
+}
+
+describe('profileStore', () => {
+  test('a failed write does not block later writes nor leave the change in memory', async () => {
+    // A directory at the temp-file path makes the write fail with EISDIR
+    const blocker = `${file}.${process.pid}.tmp`;
+    await mkdir(blocker);
+
+    await expect(store.saveProfile({ id: 'lost', profile: { keywords: ['ramen'] } })).rejects.toThrow();
+    await expect(store.getProfile('lost')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+
+    await rm(blocker, { recursive: true });
+    const saved = await store.saveProfile({ id: 'kept', profile: { keywords: ['tacos'] } });
+
+    expect(saved.profile.keywords).toEqual(['tacos']);
+    expect(await storedIds()).toEqual(['kept']);
+  });
+
+  test('a failed delete keeps the profile', async () => {
+    await store.saveProfile({ id: 'stays', profile: {} });
+    const blocker = `${file}.${process.pid}.tmp`;
+    await mkdir(blocker);
+
+    await expect(store.deleteProfile('stays')).rejects.toThrow();
+    await rm(blocker, { recursive: true });
+
+    expect((await store.getProfile('stays')).id).toBe('stays');
+    expect(await storedIds()).toContain('stays');
+  });
+
+  test('concurrent updates keep every change', async () => {
+    await store.saveProfile({ id: 'both', profile: { keywords: ['pizza'] } });
+
+    await Promise.all([
+      store.updateProfile('both', { minRating: 4.2 }),
+      store.updateProfile('both', { maxDistanceKm: 1.5 }),
+    ]);
+
+    const { profile } = await store.getProfile('both');
+    expect(profile).toMatchObject({ keywords: ['pizza'], minRating: 4.2, maxDistanceKm: 1.5 });
+  });
+});
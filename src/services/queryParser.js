@@ -0,0 +1,665 @@
+import { fold, findConcepts } from './textMatch.js';
+import { getBudgetConfig } from './budget.js';
+import { parseMoment } from './openingHours.js';
+import { MAX_SEARCH_RADIUS } from './route.js';
+
+/**
+ * @fileoverview Deterministic parser for free-text restaurant queries in Spanish and English
+ * ("tacos abiertos ahora a menos de 1.5 km, baratos, mínimo 4.2, top 5",
+ * "vegan ramen under Q60"). Extractors run in a fixed order over the folded text
+ * (lowercase, no accents) and each one masks what it consumed, so a later one cannot
+ * read "$15" as a price level or "4.2 km" as a rating. Cravings come from the cuisine
+ * dictionary of `textMatch.js`; words nobody understood are returned as `unparsed`.
+ * Every extracted field carries a confidence (0–1) and the text it came from.
+ */
+
+/** Longest query accepted, in characters. */
+export const MAX_QUERY_LENGTH = 500;
+
+/** Most results a query can ask for ("top 50"). */
+const MAX_TOP_K = 50;
+
+/** Longest distance taken from a query, in km. */
+const MAX_DISTANCE_KM = 100;
+
+/** Walking and driving speed used for "10 min caminando" / "5 min drive", in km per minute. */
+const WALK_KM_PER_MIN = 0.08;
+const DRIVE_KM_PER_MIN = 0.5;
+
+/** Character that replaces consumed text; no extractor pattern matches it. */
+const MASK = '|';
+
+const NUM = '(\\d+(?:[.,]\\d+)?)';
+
+const WORD_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+};
+const COUNT = `(\\d{1,2}|${Object.keys(WORD_NUMBERS).join('|')})`;
+
+const DISTANCE_UNITS = {
+  kilometros: 1, kilometro: 1, kilometers: 1, kilometer: 1, kilometres: 1, kilometre: 1, kms: 1, km: 1,
+  metros: 0.001, metro: 0.001, meters: 0.001, meter: 0.001, metres: 0.001, metre: 0.001, mts: 0.001, m: 0.001,
+  millas: 1.609344, milla: 1.609344, miles: 1.609344, mile: 1.609344, mi: 1.609344,
+  feet: 0.0003048, foot: 0.0003048, pies: 0.0003048, ft: 0.0003048,
+};
+const IMPERIAL_UNITS = new Set(['millas', 'milla', 'miles', 'mile', 'mi', 'feet', 'foot', 'pies', 'ft']);
+
+const CURRENCY_WORDS = {
+  quetzales: 'GTQ', quetzal: 'GTQ',
+  dolares: 'USD', dolar: 'USD', dollars: 'USD', dollar: 'USD', bucks: 'USD',
+  pesos: 'MXN', peso: 'MXN',
+  euros: 'EUR', euro: 'EUR',
+  lempiras: 'HNL', lempira: 'HNL',
+  colones: 'CRC', colon: 'CRC',
+};
+
+const WEEKDAYS = {
+  domingo: 0, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6,
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+};
+
+/** Meals imply a time but are also cravings ("desayuno"), so they are read without consuming them. */
+const MEALS = [
+  { re: /\b(?:desayuno|desayunar|breakfast|brunch)\b/, hour: 9 },
+  { re: /\b(?:almuerzo|almorzar|lunch)\b/, hour: 13 },
+  { re: /\b(?:cena|cenar|dinner|supper)\b/, hour: 20 },
+];
+
+const PRICE_WORDS = [
+  {
+    re: /\b(?:no (?:muy|tan) car[oa]s?|not (?:too|very|that|so) expensive|moderad[oa]s?|moderately priced|moderate|mid[- ]?range|precio medio)\b/g,
+    levels: [1, 2],
+    confidence: 0.7,
+  },
+  {
+    re: /\b(?:barat[oa]s?|baratit[oa]s?|economic[oa]s?|accesibles?|cheap(?:er|est)?|inexpensive|affordable|on a budget)\b/g,
+    levels: [0, 1],
+    confidence: 0.8,
+  },
+  {
+    re: /\b(?:car[oa]s?|expensive|fancy|upscale|fine dining|elegantes?|lujos[oa]s?|de lujo)\b/g,
+    levels: [3, 4],
+    confidence: 0.7,
+  },
+];
+
+const ATTRIBUTE_WORDS = [
+  ['vegetarian', /\b(?:vegetarian options|vegetarian[- ]friendly|opciones vegetarianas)\b/g],
+  ['reservable', /\b(?:reservations?|reserve|book(?:ing)? a table|reservacion(?:es)?|reservas?|reservar)\b/g],
+  ['delivery', /\b(?:delivery|deliver|servicio a domicilio|envio a domicilio|a domicilio)\b/g],
+  ['takeout', /\b(?:take[- ]?out|take[- ]?away|to go|para llevar)\b/g],
+  ['outdoorSeating', /\b(?:outdoor seating|outdoors?|patio|terrace|terraza|al aire libre)\b/g],
+  ['goodForChildren', /\b(?:kid[- ]friendly|family[- ]friendly|kids|children|para ninos|ninos)\b/g],
+];
+
+/** Words that say nothing by themselves, per language (also used to guess the language). */
+const STOPWORDS = {
+  es: new Set(('quiero queremos busco buscando dame danos donde algo unos unas el la los las de del en con para por que y ' +
+    'al me mi yo estoy estamos lugar lugares sitio sitios restaurante restaurantes comer comida cerca aqui ahora hoy muy ' +
+    'mas bueno buena buenos buenas rico rica ricos recomienda recomiendame recomendacion recomendaciones opciones opcion ' +
+    'hay tengo tenemos ganas antojo se lo le es sea este esta esten mejor mejores favor porfa solo pero sin tambien como ' +
+    'cual cuales ir vamos podemos puedo nos un una o ni ya tipo zona cenar almorzar desayunar cena almuerzo a no').split(' ')),
+  en: new Set(('i im m want wanna looking look for find me give show an the some of in at on with and or to that is are ' +
+    'be place places spot spots restaurant restaurants eat food near nearby around here now today good great nice best ' +
+    'please something any anywhere get need craving like would love only just but not also can could we us my our ' +
+    'where which what it its really very lets let s go a no lunch dinner supper').split(' ')),
+};
+
+/** Words before a mention that turn it into something to avoid ("sin pizza", "no sushi"). */
+const NEGATION = /\b(?:no|sin|not|without|except|excepto|menos|nada de|no quiero|avoid)\s+$/;
+
+/**
+ * @typedef {Object} ParsedField
+ * @property {*} value - Extracted value (as it goes into the profile or search parameters).
+ * @property {number} confidence - 0–1.
+ * @property {string} text - Part of the query it came from.
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {'es'|'en'} language - Language the query seems to be in.
+ * @property {Object} profile - Ranking preferences found (only the fields mentioned), ready for
+ *   `ranking_rank.profile` / `recommend.profile`.
+ * @property {{ query: string|null, address: string|null, radiusMeters: number|null, openNow: boolean }} search -
+ *   Search parameters: text query (the cravings), origin address, radius and open-now filter.
+ * @property {number|null} topK - How many results were asked for.
+ * @property {Record<string, ParsedField>} fields - Each extracted field with its confidence and source text.
+ * @property {string[]} unparsed - Words no extractor understood.
+ */
+
+/**
+ * Parses a decimal written with "." or "," ("4,5" → 4.5, "1,500" → 1500).
+ *
+ * @param {string} s
+ * @returns {number}
+ */
+function toNumber(s) {
+  return /^\d{1,3},\d{3}$/.test(s) ? Number(s.replace(',', '')) : Number(s.replace(',', '.'));
+}
+
+/**
+ * @param {string} s
+ * @returns {number}
+ */
+function toCount(s) {
+  return WORD_NUMBERS[s] ?? Number(s);
+}
+
+/**
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Alternation of words, longest first so "kms" wins over "km".
+ *
+ * @param {string[]} words
+ * @returns {string}
+ */
+function alternation(words) {
+  return [...words].sort((a, b) => b.length - a.length).map(escapeRe).join('|');
+}
+
+/**
+ * Working state of one parse: the folded text, what has been consumed, and the results.
+ */
+class ParseState {
+  /**
+   * @param {string} query - Trimmed query.
+   */
+  constructor(query) {
+    this.source = query.normalize('NFC').replace(/[’`]/g, "'");
+    this.text = fold(this.source);
+    // Folding keeps positions for almost all text; if not, evidence comes from the folded text
+    this.original = this.text.length === this.source.length ? this.source : this.text;
+    this.masked = this.text;
+    this.fields = {};
+  }
+
+  /**
+   * Source text of a span, as the user wrote it.
+   *
+   * @param {number} start
+   * @param {number} end
+   * @returns {string}
+   */
+  evidence(start, end) {
+    return this.original.slice(start, end).trim();
+  }
+
+  /**
+   * Runs `re` over the unconsumed text. For each match, `fn` returns false to leave it,
+   * or anything else to consume it.
+   *
+   * @param {RegExp} re - Global pattern.
+   * @param {(m: RegExpMatchArray) => *} fn
+   */
+  take(re, fn) {
+    const spans = [];
+    for (const m of this.masked.matchAll(re)) {
+      if (fn(m) !== false) spans.push([m.index, m.index + m[0].length]);
+    }
+    for (const [start, end] of spans) this.consume(start, end);
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   */
+  consume(start, end) {
+    this.masked = this.masked.slice(0, start) + MASK.repeat(end - start) + this.masked.slice(end);
+  }
+
+  /**
+   * Records a field unless one with higher confidence is already there.
+   *
+   * @param {string} name
+   * @param {*} value
+   * @param {number} confidence
+   * @param {string} text
+   */
+  set(name, value, confidence, text) {
+    const current = this.fields[name];
+    if (current && current.confidence >= confidence) return;
+    this.fields[name] = { value, confidence: Number(confidence.toFixed(2)), text };
+  }
+}
+
+/**
+ * "estoy en 6a Avenida 12-34 Zona 1", "I'm at Parque Central", "cerca de la Catedral".
+ * Runs after the distance, budget, rating and price parsers: the address stops at text
+ * they consumed, so "near me under 1 mile" keeps its radius.
+ *
+ * @param {ParseState} st
+ */
+function parseAddress(st) {
+  const stop = `(?=\\s+(?:and|y|want|wanna|looking|quiero|busco|buscando|con|with|que|that)\\b|\\s*[${MASK},;!?]|\\.(?!\\d)|$)`;
+  const here = /^(?:me|mi|aqui|here|you|ti|mi ubicacion|my location)(?:\s|$)/;
+  const patterns = [
+    { re: new RegExp(`\\b(?:i'?m at|i am at|we'?re at|estoy en|estamos en)\\s+([^${MASK}]+?)${stop}`, 'g'), confidence: 0.65 },
+    { re: new RegExp(`\\b(?:near|close to|cerca del?)\\s+([^${MASK}]+?)${stop}`, 'g'), confidence: 0.5 },
+  ];
+  for (const { re, confidence } of patterns) {
+    st.take(re, (m) => {
+      if (st.fields.address || m[1].length > 80 || here.test(m[1].trim()) || !/\p{L}/u.test(m[1])) return false;
+      const start = m.index + m[0].length - m[1].length;
+      st.set('address', st.evidence(start, start + m[1].length), confidence, st.evidence(m.index, m.index + m[0].length));
+    });
+  }
+}
+
+/**
+ * "Q60", "$15", "menos de 200 pesos", "under 20 euros per person".
+ *
+ * @param {ParseState} st
+ */
+function parseBudget(st) {
+  const { symbols, exchangeRates } = getBudgetConfig();
+  const bySymbol = new Map();
+  for (const [code, symbol] of Object.entries(symbols)) {
+    if (!bySymbol.has(fold(symbol))) bySymbol.set(fold(symbol), code);
+  }
+  for (const code of Object.keys(exchangeRates)) bySymbol.set(code.toLowerCase(), code);
+  bySymbol.set('us$', 'USD');
+
+  const qualifier = '(?:(under|below|less than|no more than|at most|up to|max(?:imum)?|budget(?: of)?|menos de|por debajo de|no mas de|hasta|maximo|presupuesto(?: de)?|bajo)\\s+)?';
+  const perPerson = '(?:\\s*(?:por persona|per person|each|c/u|pp)\\b)?';
+  const prefix = new RegExp(`${qualifier}(?<![\\p{L}\\d$])(${alternation([...bySymbol.keys()])})\\s?${NUM}(?![\\d$%])${perPerson}`, 'gu');
+  const suffix = new RegExp(
+    `${qualifier}${NUM}\\s?(${alternation([...Object.keys(CURRENCY_WORDS), ...Object.keys(exchangeRates).map((c) => c.toLowerCase())])})\\b${perPerson}`,
+    'g'
+  );
+
+  const record = (m, amount, currency, ambiguous) => {
+    if (!(amount > 0)) return false;
+    const confidence = (m[1] ? 0.95 : 0.85) * (ambiguous ? 0.85 : 1);
+    st.set('maxBudget', { amount, currency }, confidence, st.evidence(m.index, m.index + m[0].length));
+  };
+  st.take(prefix, (m) => record(m, toNumber(m[3]), bySymbol.get(m[2]), m[2] === '$'));
+  st.take(suffix, (m) => record(m, toNumber(m[2]), CURRENCY_WORDS[m[3]] ?? m[3].toUpperCase(), false));
+}
+
+/**
+ * "a menos de 1.5 km", "within 500 m", "2 miles", "10 min caminando".
+ *
+ * @param {ParseState} st
+ */
+function parseDistance(st) {
+  const qualifier = '(?:(within|in|under|less than|no more than|up to|max(?:imum)?|radius of|a menos de|menos de|dentro de|a no mas de|no mas de|maximo|hasta|radio de|a)\\s+)?';
+  const units = new RegExp(`${qualifier}${NUM}\\s?(${alternation(Object.keys(DISTANCE_UNITS))})\\b`, 'g');
+  st.take(units, (m) => {
+    const km = toNumber(m[2]) * DISTANCE_UNITS[m[3]];
+    if (!(km > 0 && km <= MAX_DISTANCE_KM)) return false;
+    const text = st.evidence(m.index, m.index + m[0].length);
+    st.set('maxDistanceKm', km, m[1] ? 0.9 : 0.75, text);
+    if (IMPERIAL_UNITS.has(m[3])) st.set('units', 'imperial', 0.6, text);
+  });
+
+  const minutes = '(?:min(?:utos?|utes?|s)?)';
+  const travel = [
+    { re: '(?:walk(?:ing)?(?: distance)?|a pie|caminando|andando)', perMin: WALK_KM_PER_MIN, confidence: 0.6 },
+    { re: '(?:drive|driving|by car|en carro|en auto|en coche|manejando)', perMin: DRIVE_KM_PER_MIN, confidence: 0.45 },
+  ];
+  for (const { re, perMin, confidence } of travel) {
+    st.take(new RegExp(`${qualifier}${NUM}\\s?${minutes}\\s+(?:de\\s+)?${re}`, 'g'), (m) => {
+      const km = toNumber(m[2]) * perMin;
+      if (!(km > 0 && km <= MAX_DISTANCE_KM)) return false;
+      st.set('maxDistanceKm', Number(km.toFixed(2)), confidence, st.evidence(m.index, m.index + m[0].length));
+    });
+  }
+  st.take(/\b(?:walking distance|a distancia caminable|caminable)\b/g, (m) => {
+    st.set('maxDistanceKm', 1, 0.5, st.evidence(m.index, m.index + m[0].length));
+  });
+}
+
+/**
+ * "abierto al menos 90 minutos", "open for 2 hours".
+ *
+ * @param {ParseState} st
+ */
+function parseOpenFor(st) {
+  const re = new RegExp(
+    `\\b(?:open|abiert[oa]s?)\\s+(?:for|por|durante)\\s+(?:(?:at least|al menos|minimo)\\s+)?${NUM}\\s?(min(?:utos?|utes?|s)?|h|hrs?|hours?|horas?)\\b`,
+    'g'
+  );
+  st.take(re, (m) => {
+    const minutes = toNumber(m[1]) * (m[2].startsWith('h') ? 60 : 1);
+    if (!(minutes > 0)) return false;
+    st.set('minOpenMinutes', Math.round(minutes), 0.85, st.evidence(m.index, m.index + m[0].length));
+  });
+}
+
+/**
+ * "4.5 estrellas", "at least 4.2", "rating 4+", "bien calificado".
+ *
+ * @param {ParseState} st
+ */
+function parseRating(st) {
+  const more = '(\\+|or more|or higher|or above|o mas|para arriba|y arriba)?';
+  const patterns = [
+    {
+      re: new RegExp(`(?:(?:at least|min(?:imum)?|minimo|al menos|mas de|more than|over|above|arriba de|de)\\s+)?${NUM}\\s*${more}\\s*(?:stars?|estrellas?|★|⭐)`, 'gu'),
+      confidence: 0.9,
+    },
+    {
+      re: new RegExp(`(?:(?:min(?:imum)?|minimo|minima)\\s+)?(?:rating|rated|calificacion|calificado|calificada|puntuacion|valoracion|nota|score)\\s*(?:(?:of|de|minima|minimo|min|minimum|at least|al menos|mayor a|mayor que|arriba de|over|above|>=|>|:)\\s*)*${NUM}\\s*${more}`, 'g'),
+      confidence: 0.9,
+    },
+    { re: new RegExp(`\\b(?:(?:at least|min(?:imum)?|minimo|al menos)\\s+)?${NUM}\\s*${more}\\s*(?:rating|de calificacion)\\b`, 'g'), confidence: 0.85 },
+    { re: new RegExp(`\\b(?:at least|min(?:imum)?|minimo|al menos)\\s+${NUM}\\s*${more}`, 'g'), confidence: 0.75 },
+  ];
+  const values = [];
+  for (const { re, confidence } of patterns) {
+    st.take(re, (m) => {
+      const value = toNumber(m[1]);
+      if (!(value >= 1 && value <= 5)) return false;
+      values.push(value);
+      st.set('minRating', value, confidence, st.evidence(m.index, m.index + m[0].length));
+    });
+  }
+  if (new Set(values).size > 1) st.fields.minRating.confidence = Number((st.fields.minRating.confidence - 0.2).toFixed(2));
+
+  st.take(/\b(?:highly rated|well rated|top rated|best rated|good reviews|great reviews|bien calificad[oa]s?|bien valorad[oa]s?|buenas resenas|buenas calificaciones)\b/g, (m) => {
+    st.set('minRating', 4.2, 0.5, st.evidence(m.index, m.index + m[0].length));
+  });
+}
+
+/**
+ * "top 5", "dame 3", "5 opciones", "the 3 best".
+ *
+ * @param {ParseState} st
+ */
+function parseTopK(st) {
+  const patterns = [
+    { re: new RegExp(`\\btop\\s?${COUNT}\\b`, 'g'), confidence: 0.9 },
+    { re: new RegExp(`\\b(?:los|las|the)\\s+${COUNT}\\s+(?:mejores|best)\\b`, 'g'), confidence: 0.85 },
+    { re: new RegExp(`\\b(?:dame|danos|give me|show me|muestrame|recomiendame|recommend|suggest|sugiereme|list)\\s+${COUNT}\\b`, 'g'), confidence: 0.85 },
+    {
+      re: new RegExp(`\\b${COUNT}\\s+(?:options|opciones|places|lugares|restaurants|restaurantes|sitios|ideas|recomendaciones|recommendations|sugerencias|suggestions|results|resultados)\\b`, 'g'),
+      confidence: 0.8,
+    },
+    { re: new RegExp(`\\bbest\\s+${COUNT}\\b`, 'g'), confidence: 0.8 },
+  ];
+  for (const { re, confidence } of patterns) {
+    st.take(re, (m) => {
+      const n = toCount(m[1]);
+      if (!(n >= 1 && n <= MAX_TOP_K)) return false;
+      st.set('topK', n, confidence, st.evidence(m.index, m.index + m[0].length));
+    });
+  }
+}
+
+/**
+ * "el viernes a las 9pm", "tonight", "mañana 20:30", "para cenar".
+ *
+ * @param {ParseState} st
+ * @param {Date} now - Reference time; its UTC fields are read as the wall clock.
+ */
+function parseTime(st, now) {
+  const spans = [];
+  let meridiem = null;
+  let day = null;
+
+  st.take(/\b(?:(?:de|por|en) la (manana|tarde|noche)|in the (morning|afternoon|evening)|at night|(tonight|esta noche))\b/g, (m) => {
+    const word = m[1] || m[2] || 'noche';
+    meridiem = word === 'manana' || word === 'morning' ? 'am' : 'pm';
+    if (m[3]) day = { offset: 0, tonight: true };
+    spans.push(m);
+  });
+
+  const weekdays = Object.keys(WEEKDAYS).join('|');
+  st.take(new RegExp(`\\b(?:(?:el|este|this|on|next|el proximo|proximo)\\s+)?(${weekdays}|pasado manana|manana|tomorrow|hoy|today)\\b`, 'g'), (m) => {
+    if (day && !day.tonight) return false;
+    const word = m[1];
+    let offset = 0;
+    if (word in WEEKDAYS) offset = (WEEKDAYS[word] - now.getUTCDay() + 7) % 7;
+    else if (word === 'pasado manana') offset = 2;
+    else if (word === 'manana' || word === 'tomorrow') offset = 1;
+    day = { offset, tonight: day?.tonight ?? false };
+    spans.push(m);
+  });
+
+  let meal = null;
+  for (const { re, hour } of MEALS) {
+    const m = st.masked.match(re);
+    if (m && !meal) meal = { hour, text: m[0] };
+  }
+
+  let clock = null;
+  const clockRe = /(?:(at|a las|a la|@|around|como a las|tipo)\s*)?\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?|hrs?|h)?(?![\d:]|[.,]\d)/g;
+  st.take(clockRe, (m) => {
+    if (clock || !(m[1] || m[3] || m[4])) return false;
+    let hour = Number(m[2]);
+    const minute = Number(m[3] || 0);
+    if (hour > 23 || minute > 59) return false;
+    const suffix = (m[4] || '').replace(/\./g, '');
+    let confidence = 0.85;
+    if (suffix === 'pm' && hour < 12) hour += 12;
+    else if (suffix === 'am' && hour === 12) hour = 0;
+    else if (!suffix.startsWith('h') && suffix !== 'am' && hour >= 1 && hour < 12) {
+      if (meridiem === 'pm') hour += 12;
+      else if (!meridiem && !m[3]) {
+        // "a las 8": an evening plan, unless it is for breakfast
+        if (hour <= 10 && meal?.hour !== 9) hour += 12;
+        confidence = 0.6;
+      }
+    }
+    clock = { hour, minute, confidence };
+    spans.push(m);
+  });
+
+  let time = clock;
+  if (!time && day?.tonight) time = { hour: 20, minute: 0, confidence: 0.55 };
+  if (!time && meal) time = { hour: meal.hour, minute: 0, confidence: 0.45 };
+  if (!time) return;
+
+  const minutesNow = now.getUTCHours() * 60 + now.getUTCMinutes();
+  let offset = day?.offset ?? 0;
+  if (!day && time.hour * 60 + time.minute <= minutesNow) offset = 1;
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + offset));
+  const pad = (n) => String(n).padStart(2, '0');
+  const value = `${date.toISOString().slice(0, 10)}T${pad(time.hour)}:${pad(time.minute)}`;
+
+  const text = spans.length
+    ? spans.sort((a, b) => a.index - b.index).map((m) => st.evidence(m.index, m.index + m[0].length)).join(' ')
+    : meal.text;
+  st.set('openAt', value, time.confidence, text);
+}
+
+/**
+ * "abierto ahora", "open now", "que esté abierto".
+ *
+ * @param {ParseState} st
+ */
+function parseOpenNow(st) {
+  st.take(/\b(?:open (?:right )?now|currently open|still open|abiert[oa]s? (?:ahora|ahorita|ya)|que (?:este|esten) abiert[oa]s?|ya abiert[oa]s?)\b/g, (m) => {
+    st.set('requireOpen', true, 0.95, st.evidence(m.index, m.index + m[0].length));
+  });
+  st.take(/\b(?:open|abiert[oa]s?)\b/g, (m) => {
+    st.set('requireOpen', true, 0.7, st.evidence(m.index, m.index + m[0].length));
+  });
+}
+
+/**
+ * "$ y $$", "$$-$$$", "barato", "cheap", "not too expensive".
+ *
+ * @param {ParseState} st
+ */
+function parsePrice(st) {
+  const symbolLevels = (s) => (s.length === 1 ? [0, 1] : [s.length]);
+  st.take(/(?<![\w$])(\${1,4})(?:\s*(?:-|–|a|to|y|and|o|or|,)\s*(\${1,4}))?(?![\w$])/g, (m) => {
+    const from = symbolLevels(m[1]);
+    const to = m[2] ? symbolLevels(m[2]) : from;
+    const lo = Math.min(...from, ...to);
+    const hi = Math.max(...from, ...to);
+    const levels = Array.from({ length: hi - lo + 1 }, (_, i) => lo + i);
+    st.set('priceLevels', levels, 0.9, st.evidence(m.index, m.index + m[0].length));
+  });
+  for (const { re, levels, confidence } of PRICE_WORDS) {
+    st.take(re, (m) => st.set('priceLevels', levels, confidence, st.evidence(m.index, m.index + m[0].length)));
+  }
+}
+
+/**
+ * "con terraza", "para llevar", "takes reservations".
+ *
+ * @param {ParseState} st
+ */
+function parseRequirements(st) {
+  const found = [];
+  const texts = [];
+  for (const [key, re] of ATTRIBUTE_WORDS) {
+    st.take(re, (m) => {
+      if (!found.includes(key)) found.push(key);
+      texts.push(st.evidence(m.index, m.index + m[0].length));
+    });
+  }
+  if (found.length) st.set('requires', found, 0.8, texts.join(', '));
+}
+
+/**
+ * Cravings from the cuisine dictionary; "sin pizza" / "no sushi" become excluded types.
+ * Without any dictionary hit, leftover content words are taken as the craving, with low confidence.
+ *
+ * @param {ParseState} st
+ * @returns {string[]} Words left over.
+ */
+function parseCravings(st) {
+  const keywords = [];
+  const keywordTexts = [];
+  const excluded = [];
+  const excludedTexts = [];
+  const mentions = findConcepts(st.masked);
+  for (const c of mentions) {
+    const text = st.evidence(c.start, c.end);
+    const before = st.masked.slice(Math.max(0, c.start - 12), c.start);
+    if (NEGATION.test(before)) {
+      excluded.push(...c.types);
+      excludedTexts.push(`${before.match(NEGATION)[0].trim()} ${text}`);
+    } else {
+      keywords.push(text);
+      keywordTexts.push(text);
+    }
+  }
+  for (const c of mentions) st.consume(c.start, c.end);
+
+  const leftover = [...st.masked.matchAll(/[\p{L}\p{N}']+(?:\s+[\p{L}\p{N}']+)*/gu)]
+    .map((m) => m[0].split(/\s+/).filter((w) => !isStopword(w)).join(' '))
+    .filter((phrase) => phrase && !/^\d+$/.test(phrase));
+
+  if (keywords.length) st.set('keywords', [...new Set(keywords)], 0.9, keywordTexts.join(', '));
+  else if (leftover.length) st.set('keywords', leftover, 0.4, leftover.join(', '));
+  if (excluded.length) st.set('excludedTypes', [...new Set(excluded)], 0.6, excludedTexts.join(', '));
+
+  return keywords.length ? leftover.flatMap((p) => p.split(' ')) : [];
+}
+
+/**
+ * @param {string} word - Folded word.
+ * @returns {boolean}
+ */
+function isStopword(word) {
+  const w = word.replace(/'/g, '');
+  return STOPWORDS.es.has(w) || STOPWORDS.en.has(w);
+}
+
+/**
+ * Guesses the language from function words.
+ *
+ * @param {string} text - Folded text.
+ * @param {string} fallback - Language when there is no evidence either way.
+ * @returns {{ value: 'es'|'en', confidence: number }}
+ */
+function detectLanguage(text, fallback) {
+  const words = text.match(/[\p{L}]+/gu) || [];
+  const es = words.filter((w) => STOPWORDS.es.has(w) && !STOPWORDS.en.has(w)).length;
+  const en = words.filter((w) => STOPWORDS.en.has(w) && !STOPWORDS.es.has(w)).length;
+  if (es === en) return { value: fallback === 'en' ? 'en' : 'es', confidence: 0.5 };
+  const value = es > en ? 'es' : 'en';
+  return { value, confidence: Number((0.5 + 0.5 * Math.abs(es - en) / (es + en)).toFixed(2)) };
+}
+
+/**
+ * Parses a free-text query (see file overview).
+ *
+ * @param {string} query - Non-empty text, up to `MAX_QUERY_LENGTH` characters.
+ * @param {Object} [opts]
+ * @param {Date} [opts.now=new Date()] - Reference time for "tonight", "el viernes"…; its UTC
+ *   date and time are read as the wall clock (see `parseReferenceTime`), so the default is UTC.
+ * @param {string} [opts.locale='es'] - Language assumed when the query gives no clue.
+ * @returns {ParsedQuery}
+ */
+export function parseQuery(query, { now = new Date(), locale = 'es' } = {}) {
+  const st = new ParseState(String(query).trim());
+
+  parseBudget(st);
+  parseDistance(st);
+  parseOpenFor(st);
+  parseRating(st);
+  parsePrice(st);
+  parseAddress(st);
+  parseTopK(st);
+  parseTime(st, now);
+  parseOpenNow(st);
+  parseRequirements(st);
+  const unparsed = parseCravings(st);
+
+  const f = st.fields;
+  const profile = {};
+  for (const key of ['keywords', 'priceLevels', 'minRating', 'requireOpen', 'openAt', 'minOpenMinutes', 'maxDistanceKm', 'maxBudget', 'requires', 'excludedTypes', 'units']) {
+    if (f[key]) profile[key] = f[key].value;
+  }
+
+  const language = detectLanguage(st.text, locale);
+  return {
+    language: language.value,
+    profile,
+    search: {
+      query: f.keywords ? f.keywords.value.join(' ') : null,
+      address: f.address?.value ?? null,
+      radiusMeters: f.maxDistanceKm ? Math.min(Math.round(f.maxDistanceKm.value * 1000), MAX_SEARCH_RADIUS) : null,
+      // Google's openNow filter only knows "now"; a later openAt is left to ranking
+      openNow: Boolean(f.requireOpen?.value) && !f.openAt,
+    },
+    topK: f.topK?.value ?? null,
+    fields: { ...st.fields, language: { ...language, text: '' } },
+    unparsed,
+  };
+}
+
+/**
+ * Reads the reference time of a parse as the user's wall clock (a `Date` whose UTC fields
+ * are the local date and time, as `parseQuery` expects).
+ * An instant is converted with `utcOffsetMinutes` when given; otherwise a zoned `value` keeps
+ * its own offset ("2026-10-19T19:00-06:00" is 19:00 on the 19th) and the current time is read as UTC.
+ *
+ * @param {string|undefined} value - ISO 8601; without a zone it is already wall-clock time.
+ * @param {number} [utcOffsetMinutes] - The user's UTC offset (e.g. -360 for UTC-6).
+ * @returns {Date|null} Null if given but not a valid date.
+ */
+export function parseReferenceTime(value, utcOffsetMinutes) {
+  const hasOffset = typeof utcOffsetMinutes === 'number';
+  if (value === undefined) return new Date(Date.now() + (hasOffset ? utcOffsetMinutes : 0) * 60000);
+  const moment = parseMoment(value);
+  if (!moment) return null;
+  if (moment.floating) return new Date(moment.epochMs);
+  return new Date(moment.epochMs + (hasOffset ? utcOffsetMinutes : zoneOffsetMinutes(value)) * 60000);
+}
+
+/**
+ * UTC offset written in a zoned ISO 8601 string ("Z" = 0, "-06:00" = -360).
+ *
+ * @param {string} value
+ * @returns {number} Minutes.
+ */
+function zoneOffsetMinutes(value) {
+  const m = value.trim().match(/([+-])(\d{2}):?(\d{2})$/);
+  if (!m) return 0;
+  return (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+}
+
+export default { MAX_QUERY_LENGTH, parseQuery, parseReferenceTime };
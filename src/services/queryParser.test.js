@@ -0,0 +1,75 @@
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import { parseQuery, parseReferenceTime } from './queryParser.js';
+
+describe('parseQuery: address', () => {
+  test('"near me" is not an address and keeps the distance after it', () => {
+    const { search, profile } = parseQuery('burgers near me under 1 mile', { locale: 'en' });
+    expect(search.address).toBeNull();
+    expect(profile.maxDistanceKm).toBeCloseTo(1.609, 3);
+    expect(search.radiusMeters).toBe(1609);
+  });
+
+  test('a distance after "cerca de" is a radius, not an address', () => {
+    const { search, profile } = parseQuery('tacos cerca de 500 metros');
+    expect(search.address).toBeNull();
+    expect(profile.maxDistanceKm).toBe(0.5);
+  });
+
+  test('captures that start with a "here" word are rejected', () => {
+    expect(parseQuery('near me tonight pizza', { locale: 'en' }).search.address).toBeNull();
+    expect(parseQuery('cerca de mi ubicacion ahora').search.address).toBeNull();
+  });
+
+  test('the address stops at distance, rating and travel-time phrases', () => {
+    expect(parseQuery('near Oakland 2 miles tacos', { locale: 'en' })).toMatchObject({
+      search: { address: 'Oakland', query: 'tacos' },
+      profile: { maxDistanceKm: expect.closeTo(3.219, 3) },
+    });
+    expect(parseQuery('sushi near Zona 10 rated 4+', { locale: 'en' })).toMatchObject({
+      search: { address: 'Zona 10' },
+      profile: { minRating: 4 },
+    });
+    expect(parseQuery('estoy en zona 4 a 10 min caminando')).toMatchObject({
+      search: { address: 'zona 4', radiusMeters: 800 },
+    });
+  });
+
+  test('addresses still end at conjunctions and punctuation', () => {
+    expect(parseQuery('estoy en 6a Avenida 12-34 Zona 1 y quiero sushi barato').search.address).toBe('6a Avenida 12-34 Zona 1');
+    expect(parseQuery('cerca de la Catedral, ramen abierto ahora a menos de 2 km')).toMatchObject({
+      search: { address: 'la Catedral', query: 'ramen', radiusMeters: 2000, openNow: true },
+    });
+  });
+});
+
+describe('parseQuery: time', () => {
+  /** `openAt` parsed from `query` with `now` read by `parseReferenceTime`. */
+  const openAt = (query, now, utcOffsetMinutes) =>
+    parseQuery(query, { now: parseReferenceTime(now, utcOffsetMinutes) }).profile.openAt;
+
+  afterEach(() => jest.useRealTimers());
+
+  test('a zoned now keeps its offset', () => {
+    // 01:00 UTC on the 20th, still the evening of the 19th at UTC-6
+    expect(openAt('tacos hoy a las 8pm', '2026-10-19T19:00-06:00')).toBe('2026-10-19T20:00');
+    expect(openAt('tacos hoy a las 8pm', '2026-10-20T01:00Z', -360)).toBe('2026-10-19T20:00');
+  });
+
+  test('near midnight, "today", "tomorrow" and past hours use the local date', () => {
+    const now = '2026-10-19T23:30-06:00';
+    expect(openAt('sushi a las 23:45', now)).toBe('2026-10-19T23:45');
+    expect(openAt('sushi a las 8pm', now)).toBe('2026-10-20T20:00');
+    expect(openAt('sushi mañana a las 9pm', now)).toBe('2026-10-20T21:00');
+    expect(openAt('sushi el miércoles a las 9pm', now)).toBe('2026-10-21T21:00');
+  });
+
+  test('the current time is read at utcOffsetMinutes, or as UTC without it', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-20T03:00:00Z') });
+    expect(openAt('pizza hoy a las 10pm', undefined, -360)).toBe('2026-10-19T22:00');
+    expect(openAt('pizza hoy a las 10pm', undefined)).toBe('2026-10-20T22:00');
+  });
+
+  test('a floating now is already the wall clock', () => {
+    expect(parseReferenceTime('2026-10-19T19:00', -360).toISOString()).toBe('2026-10-19T19:00:00.000Z');
+  });
+});
@@ -0,0 +1,263 @@
+import { RETRY_MAX_ATTEMPTS, BREAKER_FAILURE_THRESHOLD, BREAKER_COOLDOWN_MS } from '../config/env.js';
+import { ProviderError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @fileoverview Resilience helpers for upstream HTTP calls (axios).
+ * Retries transient failures (429, 5xx, network/timeouts) with jittered exponential backoff,
+ * honouring `Retry-After`, and guards each endpoint with a circuit breaker that fails fast
+ * while the provider is degraded.
+ */
+
+/** Axios/Node error codes that indicate a transient network problem. */
+const NETWORK_CODES = new Set([
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+  'ERR_NETWORK',
+]);
+
+/**
+ * Whether an axios error is worth retrying.
+ *
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  const st = err?.response?.status;
+  if (st === 429 || (st >= 500 && st <= 599)) return true;
+  if (!err?.response && err?.code !== 'ERR_CANCELED' && (NETWORK_CODES.has(err?.code) || err?.isAxiosError)) return true;
+  return false;
+}
+
+/**
+ * Reads the `Retry-After` header (seconds or HTTP date) of an axios error.
+ *
+ * @param {any} err
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid.
+ */
+export function retryAfterMs(err) {
+  const raw = err?.response?.headers?.['retry-after'];
+  if (raw === undefined || raw === null || raw === '') return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs `fn`, retrying transient failures with "full jitter" exponential backoff.
+ * A `Retry-After` header takes precedence over the computed delay (capped at `maxDelayMs`).
+ *
+ * @template T
+ * @param {() => Promise<T>} fn - The request to run.
+ * @param {Object} [opts]
+ * @param {string} [opts.label='request'] - Label used in logs.
+ * @param {number} [opts.attempts=RETRY_MAX_ATTEMPTS] - Total attempts, including the first.
+ * @param {number} [opts.baseDelayMs=250] - Base delay for the backoff.
+ * @param {number} [opts.maxDelayMs=8000] - Upper bound for any single wait.
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, {
+  label = 'request',
+  attempts = RETRY_MAX_ATTEMPTS,
+  baseDelayMs = 250,
+  maxDelayMs = 8000,
+} = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= attempts || !isRetryable(e)) throw e;
+
+      const hinted = retryAfterMs(e);
+      const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delay = Math.min(maxDelayMs, hinted ?? backoff);
+
+      logger.warn(`${label}.retry`, {
+        attempt,
+        status: e.response?.status,
+        code: e.code,
+        delayMs: Math.round(delay),
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Per-endpoint circuit breaker.
+ * - `closed`: calls flow; consecutive transient failures are counted.
+ * - `open`: calls fail fast with a `ProviderError` until the cooldown elapses.
+ * - `half_open`: a single trial call is let through; success closes, failure re-opens.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Endpoint name (used in logs and errors).
+   * @param {Object} [opts]
+   * @param {number} [opts.failureThreshold=BREAKER_FAILURE_THRESHOLD] - Failures before opening.
+   * @param {number} [opts.cooldownMs=BREAKER_COOLDOWN_MS] - Time spent open before a trial call.
+   */
+  constructor(name, { failureThreshold = BREAKER_FAILURE_THRESHOLD, cooldownMs = BREAKER_COOLDOWN_MS } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Runs `fn` through the breaker.
+   *
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @throws {ProviderError} With `extra.breaker` when the circuit is open.
+   */
+  async exec(fn) {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.cooldownMs - Date.now();
+      if (remaining > 0) throw this.openError(remaining);
+      this.transition('half_open');
+    }
+
+    // Only the call that starts the trial may end it; calls admitted while closed may still be running
+    const isTrial = this.state === 'half_open';
+    if (isTrial) {
+      if (this.trialInFlight) throw this.openError(this.cooldownMs);
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess(isTrial);
+      return result;
+    } catch (e) {
+      this.onFailure(e, isTrial);
+      throw e;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Outcomes of calls admitted while closed only count while the breaker is still closed:
+   * once it has opened, only the half-open trial decides what happens next.
+   *
+   * @private
+   * @param {boolean} isTrial
+   * @returns {boolean}
+   */
+  counts(isTrial) {
+    return isTrial || this.state === 'closed';
+  }
+
+  /**
+   * @private
+   * @param {boolean} isTrial - Whether this was the half-open trial call.
+   */
+  onSuccess(isTrial) {
+    if (!this.counts(isTrial)) return;
+    this.failures = 0;
+    if (this.state !== 'closed') this.transition('closed');
+  }
+
+  /**
+   * Only transient (upstream) failures count; client errors such as 400/404 do not.
+   * @private
+   * @param {any} err
+   * @param {boolean} isTrial - Whether this was the half-open trial call.
+   */
+  onFailure(err, isTrial) {
+    if (!this.counts(isTrial)) return;
+    if (!isRetryable(err)) {
+      if (this.state === 'half_open') this.transition('closed');
+      return;
+    }
+    this.failures += 1;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  /** @private */
+  transition(state) {
+    logger.warn('breaker.state', { breaker: this.name, from: this.state, to: state, failures: this.failures });
+    this.state = state;
+  }
+
+  /**
+   * Builds the fail-fast error returned while the circuit is open.
+   * @private
+   */
+  openError(retryAfter) {
+    return new ProviderError(`${this.name}: proveedor degradado, circuito abierto`, {
+      breaker: {
+        name: this.name,
+        state: this.state,
+        failures: this.failures,
+        retryAfterMs: Math.max(0, Math.round(retryAfter)),
+      },
+    });
+  }
+
+  /**
+   * @returns {{ name: string, state: string, failures: number }}
+   */
+  snapshot() {
+    return { name: this.name, state: this.state, failures: this.failures };
+  }
+}
+
+/** @type {Map<string, CircuitBreaker>} */
+const breakers = new Map();
+
+/**
+ * Returns (creating on first use) the breaker for an endpoint.
+ *
+ * @param {string} name
+ * @returns {CircuitBreaker}
+ */
+export function getBreaker(name) {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name));
+  return breakers.get(name);
+}
+
+/**
+ * Returns the state of every breaker created so far.
+ *
+ * @returns {Array<{ name: string, state: string, failures: number }>}
+ */
+export function getBreakerStates() {
+  return [...breakers.values()].map((b) => b.snapshot());
+}
+
+/**
+ * Runs a request with retries, behind the endpoint's circuit breaker.
+ * The breaker sees one outcome per logical call (after retries are exhausted).
+ *
+ * @template T
+ * @param {string} endpoint - Endpoint name, e.g. "google.places.nearby".
+ * @param {() => Promise<T>} fn - The request to run.
+ * @returns {Promise<T>}
+ */
+export function resilientCall(endpoint, fn) {
+  return getBreaker(endpoint).exec(() => withRetry(fn, { label: endpoint }));
+}
+
+export default { withRetry, resilientCall, getBreaker, getBreakerStates, CircuitBreaker, isRetryable, retryAfterMs };
@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { CircuitBreaker } from './resilience.js';
+
+/** Axios-like upstream failure (counts towards opening the breaker). */
+function upstreamError() {
+  return Object.assign(new Error('Service Unavailable'), { response: { status: 503 } });
+}
+
+/** A promise with its settle functions exposed. */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('CircuitBreaker', () => {
+  beforeAll(() => {
+    for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  test('a call started while closed does not end the half-open trial', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 20 });
+
+    const early = deferred();
+    const earlyCall = breaker.exec(() => early.promise);
+    await expect(breaker.exec(() => Promise.reject(upstreamError()))).rejects.toThrow('Service Unavailable');
+    expect(breaker.state).toBe('open');
+
+    await sleep(30);
+    const trial = deferred();
+    const trialCall = breaker.exec(() => trial.promise);
+    expect(breaker.state).toBe('half_open');
+
+    // The early call fails during the trial: it neither re-opens the breaker nor clears the trial flag
+    early.reject(upstreamError());
+    await expect(earlyCall).rejects.toThrow('Service Unavailable');
+    expect(breaker.state).toBe('half_open');
+
+    const second = jest.fn(async () => 'second');
+    await expect(breaker.exec(second)).rejects.toMatchObject({ code: 'PROVIDER_ERROR', extra: { breaker: { name: 'test' } } });
+    expect(second).not.toHaveBeenCalled();
+
+    trial.resolve('ok');
+    await expect(trialCall).resolves.toBe('ok');
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('a slow call started while closed that succeeds mid-trial does not close the breaker', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 20 });
+
+    const slow = deferred();
+    const slowCall = breaker.exec(() => slow.promise);
+    await expect(breaker.exec(() => Promise.reject(upstreamError()))).rejects.toThrow();
+    await sleep(30);
+
+    const trial = deferred();
+    const trialCall = breaker.exec(() => trial.promise);
+    slow.resolve('late');
+    await expect(slowCall).resolves.toBe('late');
+    expect(breaker.state).toBe('half_open');
+    await expect(breaker.exec(async () => 'second')).rejects.toMatchObject({ code: 'PROVIDER_ERROR' });
+
+    // The trial alone decides: it fails, so the breaker opens again
+    trial.reject(upstreamError());
+    await expect(trialCall).rejects.toThrow('Service Unavailable');
+    expect(breaker.state).toBe('open');
+  });
+});
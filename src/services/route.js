@@ -0,0 +1,179 @@
+import { haversineKm } from './scoring.js';
+
+/**
+ * @fileoverview Route geometry for searches along a path.
+ * A route is a list of points: an encoded polyline (e.g. from the Directions/Routes API)
+ * or straight-line legs origin → waypoints → destination, which stand in for a routing
+ * service. The path is covered with overlapping circles (buffered segments) for
+ * Nearby Search, and each place gets its detour: the extra distance of leaving the
+ * route at its closest point, going to the place and coming back.
+ */
+
+const KM_PER_DEG_LAT = 111.32;
+
+/** Largest radius (meters) accepted by Places Nearby Search. */
+export const MAX_SEARCH_RADIUS = 50000;
+
+/**
+ * @typedef {Object} RoutePosition
+ * @property {number} alongKm - Distance along the route to the closest point.
+ * @property {number} offRouteKm - Straight-line distance from the route to the place.
+ * @property {number} detourKm - Extra distance to visit the place (there and back from the route).
+ */
+
+/**
+ * Decodes a Google encoded polyline (precision 5).
+ *
+ * @param {string} encoded
+ * @returns {Array<{ lat: number, lng: number }>|null} Points, or null if the string is malformed.
+ */
+export function decodePolyline(encoded) {
+  if (typeof encoded !== 'string' || !encoded) return null;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const next = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null;
+      byte = encoded.charCodeAt(index++) - 63;
+      if (byte < 0 || byte > 63) return null;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    const dLat = next();
+    const dLng = next();
+    if (dLat === null || dLng === null) return null;
+    lat += dLat;
+    lng += dLng;
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+  return points.every((p) => Math.abs(p.lat) <= 90 && Math.abs(p.lng) <= 180) ? points : null;
+}
+
+/**
+ * Builds a route from straight-line legs, dropping repeated consecutive points.
+ *
+ * @param {{ lat: number, lng: number }} origin
+ * @param {{ lat: number, lng: number }} destination
+ * @param {Array<{ lat: number, lng: number }>} [waypoints=[]]
+ * @returns {Array<{ lat: number, lng: number }>}
+ */
+export function straightRoute(origin, destination, waypoints = []) {
+  const points = [origin, ...waypoints, destination].map(({ lat, lng }) => ({ lat, lng }));
+  return points.filter((p, i) => i === 0 || p.lat !== points[i - 1].lat || p.lng !== points[i - 1].lng);
+}
+
+/**
+ * Cumulative distance (km) at each point of the route.
+ *
+ * @param {Array<{ lat: number, lng: number }>} path
+ * @returns {number[]} Same length as `path`; the last value is the route length.
+ */
+export function cumulativeKm(path) {
+  const out = [0];
+  for (let i = 1; i < path.length; i++) out.push(out[i - 1] + haversineKm(path[i - 1], path[i]));
+  return out;
+}
+
+/**
+ * Point at a given distance along the route.
+ *
+ * @param {Array<{ lat: number, lng: number }>} path
+ * @param {number[]} cum - Output of `cumulativeKm(path)`.
+ * @param {number} km
+ * @returns {{ lat: number, lng: number }}
+ */
+function pointAt(path, cum, km) {
+  let i = 1;
+  while (i < path.length - 1 && cum[i] < km) i++;
+  if (path.length === 1) return { ...path[0] };
+  const len = cum[i] - cum[i - 1];
+  const f = len > 0 ? Math.min(1, Math.max(0, (km - cum[i - 1]) / len)) : 0;
+  return {
+    lat: path[i - 1].lat + (path[i].lat - path[i - 1].lat) * f,
+    lng: path[i - 1].lng + (path[i].lng - path[i - 1].lng) * f,
+  };
+}
+
+/**
+ * Covers the route with circles whose union contains every point within `bufferMeters`
+ * of it. Circles are `2 × buffer` apart with radius `buffer·√2`; when that would take more
+ * than `maxCircles`, they are spread out and grown to keep the corridor covered.
+ *
+ * @param {Array<{ lat: number, lng: number }>} path
+ * @param {number} bufferMeters - Half-width of the corridor.
+ * @param {number} [maxCircles=10]
+ * @returns {Array<{ lat: number, lng: number, radius: number }>} Circles (radius in meters), in route order.
+ */
+export function bufferRoute(path, bufferMeters, maxCircles = 10) {
+  const cum = cumulativeKm(path);
+  const lengthM = cum[cum.length - 1] * 1000;
+  if (lengthM === 0) return [{ ...path[0], radius: bufferMeters }];
+
+  const count = Math.min(Math.max(2, Math.ceil(lengthM / (2 * bufferMeters)) + 1), Math.max(2, maxCircles));
+  const spacing = lengthM / (count - 1);
+  const radius = Math.min(Math.sqrt(bufferMeters ** 2 + (spacing / 2) ** 2), MAX_SEARCH_RADIUS);
+  return Array.from({ length: count }, (_, i) => ({ ...pointAt(path, cum, (i * spacing) / 1000), radius }));
+}
+
+/**
+ * Whether circles from `bufferRoute` cover the whole corridor: each pair of neighbours
+ * must overlap across the full `2 × buffer` width. Fails when the radius was capped at
+ * `MAX_SEARCH_RADIUS`, leaving gaps between the circles of a long route.
+ *
+ * @param {Array<{ lat: number, lng: number, radius: number }>} circles - In route order.
+ * @param {number} bufferMeters - Half-width of the corridor.
+ * @returns {boolean}
+ */
+export function coversCorridor(circles, bufferMeters) {
+  for (let i = 1; i < circles.length; i++) {
+    const halfGapM = (haversineKm(circles[i - 1], circles[i]) * 1000) / 2;
+    const radius = Math.min(circles[i - 1].radius, circles[i].radius);
+    // 1 m of slack for rounding
+    if (radius ** 2 - halfGapM ** 2 < (bufferMeters - 1) ** 2) return false;
+  }
+  return true;
+}
+
+/**
+ * Locates a point relative to the route (local flat projection per segment, fine at
+ * city scale).
+ *
+ * @param {Array<{ lat: number, lng: number }>} path
+ * @param {{ lat: number, lng: number }} point
+ * @param {number[]} [cum=cumulativeKm(path)]
+ * @returns {RoutePosition}
+ */
+export function routePosition(path, point, cum = cumulativeKm(path)) {
+  if (path.length === 1) {
+    const off = haversineKm(path[0], point);
+    return { alongKm: 0, offRouteKm: off, detourKm: 2 * off };
+  }
+
+  let best = { alongKm: 0, offRouteKm: Infinity };
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const kmPerDegLng = KM_PER_DEG_LAT * Math.cos((a.lat * Math.PI) / 180);
+    const bx = (b.lng - a.lng) * kmPerDegLng;
+    const by = (b.lat - a.lat) * KM_PER_DEG_LAT;
+    const px = (point.lng - a.lng) * kmPerDegLng;
+    const py = (point.lat - a.lat) * KM_PER_DEG_LAT;
+    const len2 = bx * bx + by * by;
+    const f = len2 > 0 ? Math.min(1, Math.max(0, (px * bx + py * by) / len2)) : 0;
+    const off = Math.hypot(px - f * bx, py - f * by);
+    if (off < best.offRouteKm) best = { alongKm: cum[i - 1] + f * (cum[i] - cum[i - 1]), offRouteKm: off };
+  }
+  return { ...best, detourKm: 2 * best.offRouteKm };
+}
+
+export default { MAX_SEARCH_RADIUS, decodePolyline, straightRoute, cumulativeKm, bufferRoute, coversCorridor, routePosition };
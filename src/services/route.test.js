@@ -0,0 +1,105 @@
+import { describe, test, expect } from '@jest/globals';
+import { haversineKm } from './scoring.js';
+import {
+  MAX_SEARCH_RADIUS,
+  decodePolyline,
+  straightRoute,
+  cumulativeKm,
+  bufferRoute,
+  coversCorridor,
+  routePosition,
+} from './route.js';
+
+/** Points spaced along a straight east-west route and pushed `bufferMeters` off it to either side. */
+function corridorEdges(path, bufferMeters, steps = 200) {
+  const [a, b] = [path[0], path[path.length - 1]];
+  const dLat = bufferMeters / 1000 / 111.32;
+  const out = [];
+  for (let i = 0; i <= steps; i++) {
+    const lng = a.lng + ((b.lng - a.lng) * i) / steps;
+    out.push({ lat: a.lat + dLat, lng }, { lat: a.lat - dLat, lng });
+  }
+  return out;
+}
+
+const inSomeCircle = (circles, p) => circles.some((c) => haversineKm(c, p) * 1000 <= c.radius + 1);
+
+describe('decodePolyline', () => {
+  test('decodes the reference Google vector', () => {
+    expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual([
+      { lat: 38.5, lng: -120.2 },
+      { lat: 40.7, lng: -120.95 },
+      { lat: 43.252, lng: -126.453 },
+    ]);
+  });
+
+  test('malformed or truncated strings are rejected', () => {
+    expect(decodePolyline('')).toBeNull();
+    expect(decodePolyline('_p~iF')).toBeNull();
+    expect(decodePolyline('_p~iF~ps|U_ulL')).toBeNull();
+    expect(decodePolyline('_p~iF ~ps|U')).toBeNull();
+  });
+});
+
+describe('bufferRoute', () => {
+  // About 10.8 km east-west across Guatemala City
+  const city = straightRoute({ lat: 14.6, lng: -90.55 }, { lat: 14.6, lng: -90.45 });
+
+  test('circles cover every point within the buffer of the route', () => {
+    const circles = bufferRoute(city, 500, 25);
+    expect(circles).toHaveLength(12);
+    expect(coversCorridor(circles, 500)).toBe(true);
+    expect(corridorEdges(city, 500).every((p) => inSomeCircle(circles, p))).toBe(true);
+  });
+
+  test('fewer searches are spread out and grown to keep the corridor covered', () => {
+    const circles = bufferRoute(city, 500, 4);
+    expect(circles).toHaveLength(4);
+    expect(circles[0].radius).toBeGreaterThan(1500);
+    expect(coversCorridor(circles, 500)).toBe(true);
+    expect(corridorEdges(city, 500).every((p) => inSomeCircle(circles, p))).toBe(true);
+  });
+
+  test('radii stop at MAX_SEARCH_RADIUS, and a long route with few searches is reported as not covered', () => {
+    // About 1,100 km along the equator
+    const long = straightRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 10 });
+    const capped = bufferRoute(long, 500, 10);
+    expect(capped.every((c) => c.radius === MAX_SEARCH_RADIUS)).toBe(true);
+    expect(coversCorridor(capped, 500)).toBe(false);
+    expect(corridorEdges(long, 500).every((p) => inSomeCircle(capped, p))).toBe(false);
+
+    const enough = bufferRoute(long, 500, 25);
+    expect(enough[0].radius).toBeLessThan(MAX_SEARCH_RADIUS);
+    expect(coversCorridor(enough, 500)).toBe(true);
+  });
+
+  test('a zero-length route is a single circle of the buffer', () => {
+    const point = straightRoute({ lat: 14.6, lng: -90.5 }, { lat: 14.6, lng: -90.5 });
+    expect(bufferRoute(point, 800)).toEqual([{ lat: 14.6, lng: -90.5, radius: 800 }]);
+  });
+});
+
+describe('routePosition', () => {
+  const path = straightRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, [{ lat: 0, lng: 0.5 }]);
+  const lengthKm = cumulativeKm(path)[2];
+
+  test('a place beside the route is located at its closest point', () => {
+    const pos = routePosition(path, { lat: 0.01, lng: 0.75 });
+    expect(pos.alongKm).toBeCloseTo(0.75 * lengthKm, 2);
+    expect(pos.offRouteKm).toBeCloseTo(1.113, 2);
+    expect(pos.detourKm).toBeCloseTo(2 * pos.offRouteKm, 10);
+  });
+
+  test('a place past the end is measured from the last point', () => {
+    const pos = routePosition(path, { lat: 0, lng: 1.1 });
+    expect(pos.alongKm).toBeCloseTo(lengthKm, 6);
+    expect(pos.offRouteKm).toBeCloseTo(11.13, 1);
+  });
+
+  test('a single-point route measures straight from it', () => {
+    const pos = routePosition([{ lat: 0, lng: 0 }], { lat: 0, lng: 0.01 });
+    expect(pos).toMatchObject({ alongKm: 0 });
+    expect(pos.offRouteKm).toBeCloseTo(1.112, 2);
+    expect(pos.detourKm).toBeCloseTo(2.224, 2);
+  });
+});
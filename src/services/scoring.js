@@ -1,3 +1,12 @@
+import { budgetToAllowedLevels, priceRangeFit, formatMoney } from './budget.js';
+import { resolveWeights } from './weights.js';
+import { matchKeywords, fold } from './textMatch.js';
+import { evaluateOpening, isOpenAt, formatClock } from './openingHours.js';
+import { matchTypeFilter } from './placeTypes.js';
+import { diversify } from './diversity.js';
+import { personalFit, AFFINITY_THRESHOLD } from './personalization.js';
+import { t, formatDistance, DEFAULT_LOCALE } from '../utils/i18n.js';
+
 /**
  * @fileoverview Scoring utilities for restaurant candidates.
  * Includes Haversine distance, price mapping, keyword matching,
@@ -60,59 +69,31 @@ export function priceToSymbol(priceLevel) {
 
 
 /**
- * Converts a monetary budget (e.g. in GTQ) into allowed price levels.
+ * Lists matched keywords for the `why` text, showing the matched term when it differs
+ * from the keyword (e.g. "café", "tacos → mexican restaurant").
  *
- * @param {{ amount: number, currency?: string }} maxBudget
- * @returns {number[]|null} Array of accepted levels (0–4) or null
- */
-function budgetToAllowedLevels(maxBudget) {
-  if (!maxBudget?.amount || maxBudget.amount <= 0) return null;
-  const amount = maxBudget.amount;
-  const cur = (maxBudget.currency || 'GTQ').toUpperCase();
-
-  const thresholdsGTQ = [
-    { max: 50, levels: [0,1] },
-    { max: 100, levels: [1,2] },
-    { max: 200, levels: [2,3] },
-    { max: Infinity, levels: [3,4] },
-  ];
-
-  const table = (cur === 'GTQ') ? thresholdsGTQ : thresholdsGTQ; 
-  const row = table.find(r => amount <= r.max) || table[table.length - 1];
-  return row.levels;
-}
-
-/**
- * Returns keyword match score [0–1] based on how many keywords appear in name/types/summary.
- * @param {Object} place
- * @param {string[]} keywords
- * @returns {number}
+ * @param {import('./textMatch.js').KeywordMatch[]} matches
+ * @returns {string}
  */
-function keywordMatch(place, keywords = []) {
-  if (!keywords?.length) return 0;
-  const bag = [
-    place.name || '',
-    ...(place.types || []),
-    place.summary || '',
-    place.primaryType || '',
-  ]
-    .join(' ')
-    .toLowerCase();
-
-  let hits = 0;
-  for (const kw of keywords) {
-    const k = String(kw || '').toLowerCase().trim();
-    if (!k) continue;
-    if (bag.includes(k)) hits += 1;
-  }
-  return hits / keywords.length; 
+function describeMatches(matches) {
+  return matches
+    .map((m) => (!m.term || fold(m.term) === fold(m.keyword) ? m.keyword : `${m.keyword} → ${m.term}`))
+    .join(', ');
 }
 
 /**
  * Checks if price level is allowed based on preferences and budget.
+ * When the place has a comparable `priceRange`, the budget is applied to the
+ * actual prices instead of the level heuristic.
+ *
+ * @param {Object} place
+ * @param {number[]} allowedLevels - Explicit level preferences.
+ * @param {number[]|null} budgetLevels - Levels derived from the budget.
+ * @param {{ fit: number }|null} rangeFit - Budget fit against `priceRange`, if available.
  * @returns {number} Score between 0–1
  */
-function priceMatch(place, allowedLevels = [], budgetLevels = null) {
+function priceMatch(place, allowedLevels = [], budgetLevels = null, rangeFit = null) {
+  if (rangeFit) return priceMatch(place, allowedLevels) * rangeFit.fit;
 
   let effective = allowedLevels?.length ? new Set(allowedLevels) : null;
   if (budgetLevels?.length) {
@@ -131,6 +112,39 @@ function priceMatch(place, allowedLevels = [], budgetLevels = null) {
   return effective.has(lvl) ? 1 : 0;
 }
 
+/**
+ * Describes how the budget was applied, for the `why` text.
+ *
+ * @param {{ amount: number, currency?: string }|null} maxBudget
+ * @param {{ levels: number[] }|null} budget - Result of `budgetToAllowedLevels`.
+ * @param {{ fit: number }|null} rangeFit - Result of `priceRangeFit`.
+ * @param {{ start: number|null, end: number|null, currency: string }|null} priceRange
+ * @param {string} [locale]
+ * @returns {string|null}
+ */
+function budgetNote(maxBudget, budget, rangeFit, priceRange, locale = DEFAULT_LOCALE) {
+  if (!maxBudget?.amount) return null;
+  const label = t(locale, 'budget.label', { amount: formatMoney(maxBudget.amount, (maxBudget.currency || 'GTQ').toUpperCase()) });
+
+  if (rangeFit) {
+    const start = priceRange.start ?? priceRange.end;
+    const end = priceRange.end ?? priceRange.start;
+    const range = start === end
+      ? formatMoney(start, priceRange.currency)
+      : `${formatMoney(start, priceRange.currency)}–${formatMoney(end, priceRange.currency)}`;
+    const verdict = t(locale, rangeFit.fit >= 1 ? 'budget.within' : rangeFit.fit <= 0 ? 'budget.outside' : 'budget.partial');
+    return t(locale, 'budget.range', { label, range, verdict });
+  }
+
+  if (budget?.levels?.length) {
+    const lo = '$'.repeat(Math.max(1, Math.min(...budget.levels)));
+    const hi = '$'.repeat(Math.max(1, Math.max(...budget.levels)));
+    return t(locale, 'budget.levels', { label, levels: lo === hi ? lo : `${lo}–${hi}`, region: budget.region });
+  }
+
+  return null;
+}
+
 /**
  * Computes quality score from rating and review count.
  * @returns {number}
@@ -154,6 +168,124 @@ function openScore(openNow, requireOpen) {
   return 0.6; 
 }
 
+/**
+ * @typedef {Object} OpeningFit
+ * @property {boolean} active - Whether the profile asks for anything about opening hours.
+ * @property {boolean} timed - Whether `openAt`/`minOpenMinutes` apply (instead of plain "open now").
+ * @property {string|null} at - Moment evaluated (`openAt`), or null for now.
+ * @property {number} value - Sub-score (0–1).
+ * @property {boolean|null} open - Open at the evaluated moment; null if unknown.
+ * @property {boolean} closesSoon - Open, but for less than `minOpenMinutes`.
+ * @property {import('./openingHours.js').OpeningStatus|null} status - Evaluation of the weekly hours.
+ */
+
+/**
+ * Evaluates the profile's opening requirement for a place. With `openAt` or
+ * `minOpenMinutes`, the weekly hours are checked at `openAt` (or `now`): closed scores 0,
+ * open for long enough 1, and open but closing sooner gets partial credit. Otherwise
+ * `requireOpen` uses `openNow` (or the hours, if Google did not report it).
+ * Unknown hours score 0.6, like an unknown `openNow`.
+ *
+ * @param {Object} place - A normalized place.
+ * @param {Object} profile - Normalized profile (`requireOpen`, `openAt`, `minOpenMinutes`).
+ * @param {Date} now - Current time.
+ * @returns {OpeningFit}
+ */
+function openingFit(place, profile, now) {
+  const { requireOpen = false, openAt = null, minOpenMinutes = null } = profile;
+
+  if (!openAt && !minOpenMinutes) {
+    const base = { timed: false, at: null, closesSoon: false, status: null };
+    if (!requireOpen) return { ...base, active: false, value: 1, open: place.openNow };
+    const open = place.openNow ?? isOpenAt(place, now);
+    return { ...base, active: true, value: openScore(open, true), open };
+  }
+
+  const status = evaluateOpening(place, openAt ?? now);
+  // Without hours, "now" can still be answered by Google's openNow
+  const open = status.open ?? (openAt ? null : place.openNow);
+  const left = status.minutesUntilClose;
+  const closesSoon = Boolean(open && minOpenMinutes && left !== null && left < minOpenMinutes);
+  const value = closesSoon ? 0.5 * (left / minOpenMinutes) : openScore(open, true);
+  return { active: true, timed: true, at: openAt, value, open, closesSoon, status };
+}
+
+/**
+ * Formats a local time as "vie 21:00" for messages.
+ *
+ * @param {string} locale
+ * @param {import('./openingHours.js').LocalTime} time
+ * @returns {string}
+ */
+function formatWhen(locale, time) {
+  const days = t(locale, 'days.short').split(',');
+  return `${days[time.day] ?? ''} ${formatClock(time)}`.trim();
+}
+
+/**
+ * @typedef {Object} RequirementsFit
+ * @property {string[]} required - Attributes the profile requires.
+ * @property {string[]} met - Required attributes the place has.
+ * @property {string[]} missing - Required attributes the place is known not to have.
+ * @property {string[]} unknown - Required attributes the place does not report.
+ * @property {number} multiplier - Score multiplier: 0.6 if every requirement is missing,
+ *   0.9 if every one is unknown, 1 if all are met (proportional in between).
+ */
+
+/**
+ * Checks a place's attributes (vegetarian, reservable, …) against `profile.requires`.
+ *
+ * @param {Object} place - A normalized place.
+ * @param {string[]} [requires=[]]
+ * @returns {RequirementsFit}
+ */
+function requirementsFit(place, requires = []) {
+  const fit = { required: requires, met: [], missing: [], unknown: [], multiplier: 1 };
+  if (!requires.length) return fit;
+  for (const key of requires) {
+    const value = place.attributes?.[key];
+    if (value === true) fit.met.push(key);
+    else if (value === false) fit.missing.push(key);
+    else fit.unknown.push(key);
+  }
+  fit.multiplier = 1 - (0.4 * fit.missing.length + 0.1 * fit.unknown.length) / requires.length;
+  return fit;
+}
+
+/**
+ * @typedef {Object} TypeFit
+ * @property {string|null} included - First of the profile's `includedTypes` the place has.
+ * @property {string|null} excluded - First of the profile's `excludedTypes` the place has.
+ * @property {number} multiplier - Score multiplier: 0.5 for an excluded type, 0.7 when
+ *   `includedTypes` is set and the place has none of them, else 1.
+ */
+
+/**
+ * Checks a place's types against the profile's `includedTypes` / `excludedTypes`.
+ *
+ * @param {Object} place - A normalized place.
+ * @param {Object} profile - Normalized profile.
+ * @returns {TypeFit}
+ */
+function typeFit(place, { includedTypes = [], excludedTypes = [] } = {}) {
+  const { included, excluded } = matchTypeFilter(place, { includedTypes, excludedTypes });
+  let multiplier = 1;
+  if (excluded) multiplier = 0.5;
+  else if (includedTypes.length && !included) multiplier = 0.7;
+  return { included, excluded, multiplier };
+}
+
+/**
+ * Lists attributes by their display name (e.g. "acepta reservas, para llevar").
+ *
+ * @param {string} locale
+ * @param {string[]} keys
+ * @returns {string}
+ */
+function attributeList(locale, keys) {
+  return keys.map((key) => t(locale, `attribute.${key}`)).join(', ');
+}
+
 /**
  * Computes distance score, penalizing farther places.
  * @returns {number}
@@ -165,45 +297,88 @@ function distanceScore(km, maxKm = 3) {
   return 1 - (km / maxKm) * 0.9; 
 }
 
+/**
+ * Distance used for scoring: the detour from a route if `options.detourKm` is given,
+ * else the straight line from `origin`.
+ *
+ * @param {Object} place
+ * @param {{ lat: number, lng: number }|null} origin
+ * @param {{ detourKm?: (place: Object) => number|null }} options
+ * @returns {number|null} Kilometers, or null if unknown.
+ */
+function placeDistanceKm(place, origin, { detourKm } = {}) {
+  if (detourKm) return detourKm(place) ?? null;
+  return origin && place.location ? haversineKm(origin, place.location) : null;
+}
+
+/**
+ * @typedef {Object} ScoreBreakdown
+ * @property {Record<'keyword'|'price'|'quality'|'distance'|'open', { value: number, weight: number, contribution: number }>} factors -
+ *   Raw sub-score (0–1), its weight, and `value × weight × penalties` (contributions add up to `score`).
+ * @property {{ applied: boolean, multiplier: number, minRating: number }} ratingPenalty - Penalty for rating below `minRating`.
+ * @property {RequirementsFit} requirements - Required attributes met, missing or unknown, and their multiplier.
+ * @property {TypeFit} types - Match against the profile's included/excluded types, and its multiplier.
+ * @property {string[]} matchedKeywords - Profile keywords found in the place.
+ * @property {import('./textMatch.js').KeywordMatch[]} keywordMatches - What each matched keyword matched, and how well.
+ * @property {number|null} distanceKm - Distance from origin (or detour from the route), if known.
+ * @property {'straight'|'detour'} distanceBasis - What `distanceKm` measures.
+ * @property {import('./personalization.js').PersonalFit|null} personal - Fit with the profile's
+ *   recorded feedback and its multiplier, when personalisation is on.
+ * @property {{ open: boolean|null, minutesUntilClose: number|null, nextOpen: string|null } | null} opening -
+ *   Opening status at `openAt` (or now), when the profile sets `openAt`/`minOpenMinutes`.
+ */
+
 /**
  * Computes a weighted score and reason for a candidate place.
  *
  * @param {Object} place - A normalized place.
  * @param {Object} profile - Scoring preferences:
- *   keywords, priceLevels, minRating, requireOpen, maxDistanceKm, maxBudget
+ *   keywords, priceLevels, minRating, requireOpen, openAt, minOpenMinutes, maxDistanceKm, maxBudget, region,
+ *   requires, includedTypes, excludedTypes
  * @param {{ lat: number, lng: number }|null} origin - User location for distance
- * @returns {{ score: number, why: string }}
+ * @param {Object} [options]
+ * @param {import('./weights.js').Weights} [options.weights] - Factor weights summing to 1 (default preset if omitted).
+ * @param {string} [options.locale] - Language of the `why` text (see `utils/i18n.js`).
+ * @param {'metric'|'imperial'} [options.units='metric'] - Unit system for distances in `why`.
+ * @param {Date} [options.now=new Date()] - Current time, for opening hours.
+ * @param {(place: Object) => number|null} [options.detourKm] - Detour to each place from a route
+ *   (see `services/route.js`); replaces the straight-line distance from `origin`.
+ * @param {import('./personalization.js').TasteModel|null} [options.taste] - Taste model from the
+ *   profile's feedback (see `services/personalization.js`); boosts or demotes places accordingly.
+ * @returns {{ score: number, why: string, breakdown: ScoreBreakdown }}
  */
-export function scorePlace(place, profile = {}, origin = null) {
+export function scorePlace(place, profile = {}, origin = null, options = {}) {
   const {
     keywords = [],
     priceLevels = [],
     minRating = 0,
-    requireOpen = false,
     maxDistanceKm = 3,
     maxBudget = null,
+    region,
+    requires = [],
   } = profile;
 
-  const km = origin && place.location ? haversineKm(origin, place.location) : null;
+  const km = placeDistanceKm(place, origin, options);
 
-  const budgetLevels = budgetToAllowedLevels(maxBudget);
+  const budget = budgetToAllowedLevels(maxBudget, region);
+  const rangeFit = priceRangeFit(place.priceRange, maxBudget);
 
-  const sKeyword = keywordMatch(place, keywords); 
-  const sPrice = priceMatch(place, priceLevels, budgetLevels); 
+  const kw = matchKeywords(place, keywords);
+  const sKeyword = kw.score;
+  const sPrice = priceMatch(place, priceLevels, budget?.levels, rangeFit); 
   const sQual = qualityScore(place.rating, place.userRatingCount);
-  const sOpen = openScore(place.openNow, requireOpen); 
+  const opening = openingFit(place, profile, options.now ?? new Date());
+  const sOpen = opening.value;
   const sDist = distanceScore(km, maxDistanceKm); 
 
-  const w = {
-    keyword: 0.30,
-    price: 0.15,
-    quality: 0.30,
-    distance: 0.15,
-    open: 0.10,
-  };
+  const w = options.weights ?? resolveWeights().weights;
 
   const ratingPenalty =
     typeof place.rating === 'number' && place.rating < minRating ? 0.6 : 1;
+  const requirements = requirementsFit(place, requires);
+  const types = typeFit(place, profile);
+  const personal = options.taste ? personalFit(place, options.taste, options.now ?? new Date()) : null;
+  const penalty = ratingPenalty * requirements.multiplier * types.multiplier * (personal?.multiplier ?? 1);
 
   const score =
     (w.keyword * sKeyword +
@@ -211,20 +386,52 @@ export function scorePlace(place, profile = {}, origin = null) {
       w.quality * sQual +
       w.distance * sDist +
       w.open * sOpen) *
-    ratingPenalty;
+    penalty;
+
+  const values = { keyword: sKeyword, price: sPrice, quality: sQual, distance: sDist, open: sOpen };
+  const factors = {};
+  for (const [k, value] of Object.entries(values)) {
+    factors[k] = { value, weight: w[k], contribution: value * w[k] * penalty };
+  }
+  const breakdown = {
+    factors,
+    ratingPenalty: { applied: ratingPenalty < 1, multiplier: ratingPenalty, minRating },
+    requirements,
+    types,
+    matchedKeywords: kw.matched,
+    keywordMatches: kw.matches,
+    distanceKm: km,
+    distanceBasis: options.detourKm ? 'detour' : 'straight',
+    personal,
+    opening: opening.timed
+      ? {
+          open: opening.open,
+          minutesUntilClose: opening.status.minutesUntilClose,
+          nextOpen: opening.status.nextOpen?.at ?? null,
+        }
+      : null,
+  };
 
+  const { locale = DEFAULT_LOCALE, units = 'metric' } = options;
   const why = buildWhy(place, {
+    locale,
+    units,
     km,
+    detour: Boolean(options.detourKm),
     sKeyword,
     sPrice,
     sQual,
     sDist,
     sOpen,
     minRating,
-    keywords,
+    keywordMatches: kw.matches,
+    opening,
+    requirements,
+    personal,
+    budgetNote: budgetNote(maxBudget, budget, rangeFit, place.priceRange, locale),
   });
 
-  return { score, why };
+  return { score, why, breakdown };
 }
 
 /**
@@ -235,6 +442,7 @@ export function scorePlace(place, profile = {}, origin = null) {
  * @returns {string}
  */
 function buildWhy(place, ctx) {
+  const { locale } = ctx;
   const bits = [];
 
   // nombre + precio
@@ -242,27 +450,86 @@ function buildWhy(place, ctx) {
   if (priceSym && priceSym !== '–') bits.push(priceSym);
 
   if (typeof place.rating === 'number') {
-    const reviews = place.userRatingCount ? ` (${place.userRatingCount} reseñas)` : '';
+    const reviews = place.userRatingCount ? ` ${t(locale, 'why.reviews', { count: place.userRatingCount })}` : '';
     bits.push(`${place.rating.toFixed(1)}★${reviews}`);
   }
 
   if (typeof ctx.km === 'number') {
-    const distTxt = ctx.km < 1 ? `${Math.round(ctx.km * 1000)} m` : `${ctx.km.toFixed(1)} km`;
-    bits.push(`a ${distTxt}`);
+    bits.push(t(locale, ctx.detour ? 'why.detour' : 'why.distance', { distance: formatDistance(ctx.km, ctx.units) }));
   }
 
-  if (ctx.keywords?.length) {
+  if (ctx.keywordMatches?.length) {
     const kMatchPct = Math.round(ctx.sKeyword * 100);
     if (kMatchPct >= 50) {
-      bits.push(`match gustos ${kMatchPct}% (${ctx.keywords.join(', ')})`);
+      bits.push(t(locale, 'why.keywords', { pct: kMatchPct, keywords: describeMatches(ctx.keywordMatches) }));
     }
   }
 
-  if (place.openNow === true) bits.push('abierto ahora');
+  const bit = openingBit(place, ctx.opening, locale);
+  if (bit) bits.push(bit);
+
+  if (ctx.requirements?.met.length) {
+    bits.push(t(locale, 'why.requirementsMet', { list: attributeList(locale, ctx.requirements.met) }));
+  }
+  if (ctx.requirements?.missing.length) {
+    bits.push(t(locale, 'why.requirementsMissing', { list: attributeList(locale, ctx.requirements.missing) }));
+  }
+
+  if (ctx.personal) bits.push(...personalBits(ctx.personal, locale));
+
+  if (ctx.budgetNote) bits.push(ctx.budgetNote);
 
   return bits.filter(Boolean).join(' · ');
 }
 
+/**
+ * Explains the personalisation for the `why` text: the user's own opinion or recent visit
+ * of this place, and the types and price band they tend to like or dislike.
+ *
+ * @param {import('./personalization.js').PersonalFit} personal
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function personalBits(personal, locale) {
+  const bits = [];
+  if (personal.disliked) bits.push(t(locale, 'why.personal.disliked'));
+  else if (personal.liked) bits.push(t(locale, 'why.personal.liked'));
+  if (personal.visitedDaysAgo === 0) bits.push(t(locale, 'why.personal.visitedToday'));
+  else if (personal.visitedDaysAgo !== null) {
+    bits.push(t(locale, 'why.personal.visited', { days: personal.visitedDaysAgo }));
+  }
+  const typeList = (list) => list.slice(0, 2).map((type) => type.replace(/_/g, ' ')).join(', ');
+  if (personal.likedTypes.length) bits.push(t(locale, 'why.personal.likedTypes', { types: typeList(personal.likedTypes) }));
+  if (personal.dislikedTypes.length) {
+    bits.push(t(locale, 'why.personal.dislikedTypes', { types: typeList(personal.dislikedTypes) }));
+  }
+  if (personal.price >= AFFINITY_THRESHOLD && !personal.disliked) bits.push(t(locale, 'why.personal.price'));
+  return bits;
+}
+
+/**
+ * Describes the opening status for the `why` text: "abierto ahora" by default, or the
+ * status at `openAt` / for `minOpenMinutes` when the profile asks for it.
+ *
+ * @param {Object} place
+ * @param {OpeningFit} opening
+ * @param {string} locale
+ * @returns {string|null}
+ */
+function openingBit(place, opening, locale) {
+  if (!opening?.timed) return (opening?.open ?? place.openNow) === true ? t(locale, 'why.openNow') : null;
+
+  const { status, open, closesSoon } = opening;
+  if (open === false) {
+    return status.nextOpen ? t(locale, 'why.opensAt', { when: formatWhen(locale, status.nextOpen) }) : null;
+  }
+  if (closesSoon) return t(locale, 'why.closesSoon', { minutes: status.minutesUntilClose });
+  if (open !== true) return null;
+  if (opening.at && status.localTime) return t(locale, 'why.openAt', { when: formatWhen(locale, status.localTime) });
+  if (status.closesAt) return t(locale, 'why.openUntil', { time: formatClock(status.closesAt) });
+  return t(locale, 'why.openNow');
+}
+
 /**
  * Ranks a list of normalized candidates using the user's profile and location.
  *
@@ -270,17 +537,167 @@ function buildWhy(place, ctx) {
  * @param {Object} profile - User preferences.
  * @param {{ lat: number, lng: number }|null} origin - Location of the user.
  * @param {number} topK - Max number of items to return.
- * @returns {Object[]} Ranked candidates with `score` and `why` fields added.
+ * @param {Object} [options] - Scoring options (see `scorePlace`), plus:
+ * @param {import('./diversity.js').DiversitySettings|null} [options.diversity] - Re-rank for variety
+ *   after sorting by score (see `services/diversity.js`); demoted places get a `demotion`.
+ * @returns {Object[]} Ranked candidates with `score`, `why` and `breakdown` fields added.
  */
-export function rankAndExplain(candidates = [], profile = {}, origin = null, topK = 10) {
+export function rankAndExplain(candidates = [], profile = {}, origin = null, topK = 10, options = {}) {
+  const weights = options.weights ?? resolveWeights().weights;
+  const now = options.now ?? new Date();
   const scored = candidates
     .map((p) => {
-      const { score, why } = scorePlace(p, profile, origin);
-      return { ...p, score, why };
+      const { score, why, breakdown } = scorePlace(p, profile, origin, { ...options, weights, now });
+      return { ...p, score, why, breakdown };
     })
     .sort((a, b) => b.score - a.score);
 
-  return scored.slice(0, topK);
+  const ordered = options.diversity ? diversify(scored, options.diversity, options.locale) : scored;
+  return ordered.slice(0, topK);
+}
+
+/**
+ * Constraints that can be switched between soft scoring ("prefer") and hard filtering ("must").
+ */
+export const CONSTRAINT_KEYS = ['rating', 'distance', 'price', 'openNow', 'keywords', 'requirements', 'types'];
+
+/**
+ * Checks a place against the profile's "must" constraints.
+ * Only known violations exclude a place: missing data (no rating, unknown price level,
+ * unknown opening hours, no origin/location) never counts as a failure — except a missing
+ * rating when `rating` is "must", since the minimum cannot be verified.
+ * `openNow` checks "open now" (`requireOpen`), or open at `openAt` for `minOpenMinutes` if set.
+ *
+ * @param {Object} place - A normalized place.
+ * @param {Object} profile - Normalized profile, including `constraints`.
+ * @param {{ lat: number, lng: number }|null} origin
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Language of the `detail` strings.
+ * @param {'metric'|'imperial'} [options.units='metric'] - Unit system for distances in `detail`.
+ * @param {Date} [options.now=new Date()] - Current time, for opening hours.
+ * @param {(place: Object) => number|null} [options.detourKm] - Route detour, checked against
+ *   `maxDistanceKm` in place of the distance from `origin` (see `scorePlace`).
+ * @returns {Array<{ constraint: string, detail: string }>} Failed constraints (empty if the place passes).
+ */
+export function checkHardConstraints(place, profile = {}, origin = null, options = {}) {
+  const { locale = DEFAULT_LOCALE, units = 'metric', now = new Date() } = options;
+  const {
+    constraints = {},
+    keywords = [],
+    priceLevels = [],
+    minRating = 0,
+    maxDistanceKm = 3,
+    maxBudget = null,
+    region,
+    requires = [],
+  } = profile;
+  const failed = [];
+
+  if (constraints.rating === 'must' && minRating > 0) {
+    if (typeof place.rating !== 'number') {
+      failed.push({ constraint: 'rating', detail: t(locale, 'constraint.rating.missing', { min: minRating }) });
+    } else if (place.rating < minRating) {
+      failed.push({
+        constraint: 'rating',
+        detail: t(locale, 'constraint.rating.below', { rating: place.rating.toFixed(1), min: minRating }),
+      });
+    }
+  }
+
+  const km = constraints.distance === 'must' ? placeDistanceKm(place, origin, options) : null;
+  if (km !== null && km > maxDistanceKm) {
+    failed.push({
+      constraint: 'distance',
+      detail: t(locale, options.detourKm ? 'constraint.detour' : 'constraint.distance', {
+        distance: formatDistance(km, units),
+        max: formatDistance(maxDistanceKm, units),
+      }),
+    });
+  }
+
+  if (constraints.price === 'must') {
+    const budget = budgetToAllowedLevels(maxBudget, region);
+    const rangeFit = priceRangeFit(place.priceRange, maxBudget);
+    if (priceMatch(place, priceLevels, budget?.levels, rangeFit) === 0) {
+      failed.push({ constraint: 'price', detail: t(locale, 'constraint.price', { price: priceToSymbol(place.priceLevel) }) });
+    }
+  }
+
+  if (constraints.openNow === 'must') {
+    const opening = openingFit(place, profile, now);
+    if (opening.active && opening.open === false) {
+      const detail = opening.at && opening.status.localTime
+        ? t(locale, 'constraint.closedAt', { when: formatWhen(locale, opening.status.localTime) })
+        : t(locale, 'constraint.openNow');
+      failed.push({ constraint: 'openNow', detail });
+    } else if (opening.closesSoon) {
+      failed.push({
+        constraint: 'openNow',
+        detail: t(locale, 'constraint.closesSoon', {
+          minutes: opening.status.minutesUntilClose,
+          min: profile.minOpenMinutes,
+        }),
+      });
+    }
+  }
+
+  if (constraints.keywords === 'must' && keywords.length && matchKeywords(place, keywords).score === 0) {
+    failed.push({ constraint: 'keywords', detail: t(locale, 'constraint.keywords', { keywords: keywords.join(', ') }) });
+  }
+
+  if (constraints.requirements === 'must' && requires.length) {
+    const { missing } = requirementsFit(place, requires);
+    if (missing.length) {
+      failed.push({
+        constraint: 'requirements',
+        detail: t(locale, 'constraint.requirements', { list: attributeList(locale, missing) }),
+      });
+    }
+  }
+
+  if (constraints.types === 'must') {
+    const { includedTypes = [], excludedTypes = [] } = profile;
+    const { included, excluded } = matchTypeFilter(place, { includedTypes, excludedTypes });
+    if (excluded) {
+      failed.push({ constraint: 'types', detail: t(locale, 'constraint.types.excluded', { type: excluded }) });
+    } else if (includedTypes.length && !included) {
+      failed.push({ constraint: 'types', detail: t(locale, 'constraint.types.missing', { types: includedTypes.join(', ') }) });
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Splits candidates into those that pass every "must" constraint and those excluded.
+ *
+ * @param {Object[]} candidates - Normalized places.
+ * @param {Object} profile - Normalized profile.
+ * @param {{ lat: number, lng: number }|null} origin
+ * @param {Object} [options] - Message options (see `checkHardConstraints`).
+ * @returns {{
+ *   kept: Object[],
+ *   excluded: Array<{ placeId: string, name: string, reasons: Array<{ constraint: string, detail: string }> }>,
+ *   excludedByConstraint: Record<string, number>
+ * }}
+ */
+export function applyHardFilters(candidates = [], profile = {}, origin = null, options = {}) {
+  const kept = [];
+  const excluded = [];
+  const excludedByConstraint = {};
+  const opts = { ...options, now: options.now ?? new Date() };
+
+  for (const p of candidates) {
+    const reasons = checkHardConstraints(p, profile, origin, opts);
+    if (!reasons.length) {
+      kept.push(p);
+      continue;
+    }
+    excluded.push({ placeId: p.placeId, name: p.name, reasons });
+    for (const r of reasons) excludedByConstraint[r.constraint] = (excludedByConstraint[r.constraint] || 0) + 1;
+  }
+
+  return { kept, excluded, excludedByConstraint };
 }
 
 export default {
@@ -289,4 +706,5 @@ export default {
   priceToSymbol,
   scorePlace,
   rankAndExplain,
+  applyHardFilters,
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { describe, test, expect } from '@jest/globals';
+import { scorePlace, checkHardConstraints, applyHardFilters } from './scoring.js';
+import { normalizeProfile } from '../models/profile.js';
+
+const origin = { lat: 14.6, lng: -90.5 };
+const place = (placeId, rating, location = origin) => ({ placeId, name: placeId, rating, location, priceLevel: null });
+
+const good = place('Kacao', 4.6);
+const low = place('Comedor Lupita', 3.8);
+// About 5.6 km north of the origin
+const far = place('Hacienda Real', 4.7, { lat: 14.65, lng: -90.5 });
+
+describe('hard constraints', () => {
+  test('a "must" constraint excludes the place and reports why', () => {
+    const profile = normalizeProfile({ minRating: 4.2, maxDistanceKm: 2, constraints: { rating: 'must', distance: 'must' } });
+    const out = applyHardFilters([good, low, far], profile, origin);
+
+    expect(out.kept).toEqual([good]);
+    expect(out.excluded).toEqual([
+      { placeId: 'Comedor Lupita', name: 'Comedor Lupita', reasons: [{ constraint: 'rating', detail: '3.8★ < 4.2★' }] },
+      { placeId: 'Hacienda Real', name: 'Hacienda Real', reasons: [{ constraint: 'distance', detail: 'a 5.6 km > 2.0 km' }] },
+    ]);
+    expect(out.excludedByConstraint).toEqual({ rating: 1, distance: 1 });
+  });
+
+  test('a missing rating only fails a "must" rating', () => {
+    const unrated = place('Nuevo', null);
+    expect(checkHardConstraints(unrated, normalizeProfile({ minRating: 4, constraints: { rating: 'must' } }), origin))
+      .toEqual([{ constraint: 'rating', detail: 'sin rating (mínimo 4)' }]);
+    expect(checkHardConstraints(unrated, normalizeProfile({ minRating: 4 }), origin)).toEqual([]);
+  });
+
+  test('"prefer" keeps the place and only lowers its score', () => {
+    const prefer = normalizeProfile({ minRating: 4.2, maxDistanceKm: 2 });
+    const out = applyHardFilters([good, low, far], prefer, origin);
+    expect(out.kept).toEqual([good, low, far]);
+    expect(out.excluded).toEqual([]);
+
+    const penalized = scorePlace(low, prefer, origin);
+    const unpenalized = scorePlace(low, normalizeProfile({ maxDistanceKm: 2 }), origin);
+    expect(penalized.breakdown.ratingPenalty).toEqual({ applied: true, multiplier: 0.6, minRating: 4.2 });
+    expect(penalized.score).toBeGreaterThan(0);
+    expect(penalized.score).toBeCloseTo(unpenalized.score * 0.6, 3);
+    expect(scorePlace(far, prefer, origin).score).toBeLessThan(scorePlace(good, prefer, origin).score);
+  });
+});
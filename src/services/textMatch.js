@@ -0,0 +1,302 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { CUISINE_SYNONYMS_PATH } from '../config/env.js';
+import { ConfigError } from '../utils/errors.js';
+
+/**
+ * @fileoverview Keyword matching between user preferences and places.
+ * Text is folded (lowercase, no diacritics) and lightly stemmed for Spanish and English
+ * ("taquerías" → "taqu", "veganos" → "vegan"), similar words get partial credit
+ * (prefixes, small typos), and a bilingual cuisine dictionary maps user words to
+ * Google place types ("tacos" → `mexican_restaurant`). The dictionary lives in
+ * `src/config/cuisineSynonyms.json` (overridable with `CUISINE_SYNONYMS_PATH`).
+ */
+
+const DEFAULT_SYNONYMS = fileURLToPath(new URL('../config/cuisineSynonyms.json', import.meta.url));
+
+/** Minimum similarity for a keyword to count as matched; lower scores give no credit. */
+export const MIN_KEYWORD_SCORE = 0.5;
+
+/** Shop-type suffixes ("taquería", "pizzería", "panadería", "heladería"). */
+const SHOP_SUFFIXES = ['erias', 'eria', 'eros', 'eras', 'ero', 'era'];
+
+/**
+ * @typedef {Object} Token
+ * @property {string} raw - Word as written in the source text.
+ * @property {string} stem - Folded, stemmed form used for comparisons.
+ */
+
+/**
+ * @typedef {Object} KeywordMatch
+ * @property {string} keyword - Keyword as given by the user.
+ * @property {string} term - What it matched in the place (a word of the name/summary, or a type).
+ * @property {number} score - Similarity (0–1).
+ */
+
+/** @type {{ ignoreTypes: Set<string>, concepts: Array<{ name: string, stems: string[], types: string[] }> } | null} */
+let dictionary = null;
+
+/** @type {Map<string, Array<Object>>} Concepts per keyword stem, so each keyword is looked up once. */
+const conceptCache = new Map();
+
+/**
+ * Lowercases and strips diacritics ("Taquería" → "taqueria").
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+export function fold(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Reduces a folded word to a comparable stem: shop suffixes, plurals and the final
+ * gender vowel are removed ("pizzerias" → "pizz", "tacos" → "taco", "vegana" → "vegan").
+ *
+ * @param {string} word - Folded word.
+ * @returns {string}
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3) return w;
+  for (const suffix of SHOP_SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) return w.slice(0, -suffix.length);
+  }
+  if (w.endsWith('es') && w.length > 5 && !/[aeiou]es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+  if (w.length > 4 && /[aeo]$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Splits text into words (letters/digits; "_" and punctuation separate words).
+ *
+ * @param {string} text
+ * @returns {Token[]}
+ */
+export function tokenize(text) {
+  return (String(text || '').match(/[\p{L}\p{N}]+/gu) || []).map((raw) => ({ raw, stem: stem(fold(raw)) }));
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/** Share of the longer stem a prefix must cover to count ("cafe" / "cafet" does, "past" / "pastel" does not). */
+const MIN_PREFIX_COVERAGE = 0.75;
+
+/**
+ * Similarity between two stems: 1 if equal, 0.9 if one is a prefix covering most of the other
+ * ("cafe" / "cafet"), the edit similarity for small typos ("ramne" / "ramen"), else 0.
+ * Stems shorter than 4 characters only match exactly.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0–1
+ */
+export function stemSimilarity(a, b) {
+  if (a === b) return 1;
+  const shorter = Math.min(a.length, b.length);
+  const longer = Math.max(a.length, b.length);
+  if (shorter < 4) return 0;
+  if ((a.startsWith(b) || b.startsWith(a)) && shorter / longer >= MIN_PREFIX_COVERAGE) return 0.9;
+  const sim = 1 - editDistance(a, b) / longer;
+  return sim >= 0.75 ? sim : 0;
+}
+
+/**
+ * Loads (once) the cuisine synonym dictionary.
+ *
+ * @returns {NonNullable<typeof dictionary>}
+ * @throws {ConfigError} If the file cannot be read.
+ */
+function getDictionary() {
+  if (dictionary) return dictionary;
+  const file = CUISINE_SYNONYMS_PATH || DEFAULT_SYNONYMS;
+  let json;
+  try {
+    json = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`No se pudo leer el diccionario de sinónimos: ${file}`, { err: e?.message });
+  }
+  dictionary = {
+    ignoreTypes: new Set(json.ignoreTypes || []),
+    concepts: Object.entries(json.concepts || {}).map(([name, c]) => ({
+      name,
+      stems: (c.terms || []).map((term) => tokenize(term).map((t) => t.stem).join(' ')),
+      types: c.types || [],
+    })),
+  };
+  return dictionary;
+}
+
+/**
+ * Finds the dictionary concepts a word or phrase refers to.
+ *
+ * @param {string} stemPhrase - Stems joined by spaces.
+ * @returns {Array<{ name: string, stems: string[], types: string[] }>}
+ */
+function conceptsFor(stemPhrase) {
+  if (conceptCache.has(stemPhrase)) return conceptCache.get(stemPhrase);
+  const found = getDictionary().concepts.filter((c) => c.stems.includes(stemPhrase));
+  conceptCache.set(stemPhrase, found);
+  return found;
+}
+
+/**
+ * Finds the dictionary concepts mentioned in free text, longest phrase first
+ * ("pollo frito" is one mention, not "pollo" and "frito").
+ *
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, text: string, concepts: string[], types: string[] }>}
+ *   Mentions in order, with their character span in `text`, concept names and place types.
+ */
+export function findConcepts(text) {
+  const source = String(text || '');
+  const words = [...source.matchAll(/[\p{L}\p{N}]+/gu)].map((m) => ({
+    stem: stem(fold(m[0])),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+  const found = [];
+  for (let i = 0; i < words.length; ) {
+    let n = Math.min(3, words.length - i);
+    for (; n > 0; n--) {
+      const concepts = conceptsFor(words.slice(i, i + n).map((w) => w.stem).join(' '));
+      if (!concepts.length) continue;
+      const { start } = words[i];
+      const { end } = words[i + n - 1];
+      found.push({
+        start,
+        end,
+        text: source.slice(start, end),
+        concepts: concepts.map((c) => c.name),
+        types: [...new Set(concepts.flatMap((c) => c.types))],
+      });
+      break;
+    }
+    i += Math.max(n, 1);
+  }
+  return found;
+}
+
+/**
+ * Builds the searchable text of a place: words of name/summary/types, and its types.
+ *
+ * @param {Object} place - Normalized place.
+ * @returns {{ tokens: Token[], stemText: string, types: Set<string> }}
+ */
+function placeBag(place) {
+  const { ignoreTypes } = getDictionary();
+  const types = new Set([...(place.types || []), place.primaryType].filter((t) => t && !ignoreTypes.has(t)));
+  const tokens = [
+    ...tokenize(place.name),
+    ...tokenize(place.summary),
+    ...[...types].flatMap((t) => tokenize(t)),
+  ];
+  return { tokens, stemText: ` ${tokens.map((t) => t.stem).join(' ')} `, types };
+}
+
+/**
+ * Checks whether a place belongs to any of the given concepts, by type or by a dictionary term.
+ *
+ * @param {Array<{ stems: string[], types: string[] }>} concepts
+ * @param {ReturnType<typeof placeBag>} bag
+ * @returns {string|null} The matched type (as words) or term, or null.
+ */
+function conceptHit(concepts, bag) {
+  for (const c of concepts) {
+    const type = c.types.find((t) => bag.types.has(t));
+    if (type) return type.replace(/_/g, ' ');
+  }
+  for (const c of concepts) {
+    for (const s of c.stems) {
+      if (!bag.stemText.includes(` ${s} `)) continue;
+      const first = s.split(' ')[0];
+      return bag.tokens.find((t) => t.stem === first)?.raw ?? s;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scores one keyword against a place. The whole phrase is first looked up in the
+ * dictionary; otherwise each word gets its best direct or synonym match and the
+ * keyword scores the average (so "vegan ramen" gets half credit at a vegan place).
+ *
+ * @param {string} keyword
+ * @param {ReturnType<typeof placeBag>} bag
+ * @returns {KeywordMatch}
+ */
+function matchKeyword(keyword, bag) {
+  const kw = String(keyword || '').trim();
+  const words = tokenize(kw);
+  if (!words.length) return { keyword: kw, term: '', score: 0 };
+
+  const phraseHit = conceptHit(conceptsFor(words.map((w) => w.stem).join(' ')), bag);
+  if (phraseHit) return { keyword: kw, term: phraseHit, score: 1 };
+
+  let total = 0;
+  const terms = [];
+  for (const w of words) {
+    let best = { score: 0, term: null };
+    for (const t of bag.tokens) {
+      const score = stemSimilarity(w.stem, t.stem);
+      if (score > best.score) best = { score, term: t.raw };
+      if (score === 1) break;
+    }
+    if (best.score < 1 && words.length > 1) {
+      const hit = conceptHit(conceptsFor(w.stem), bag);
+      if (hit) best = { score: 1, term: hit };
+    }
+    total += best.score;
+    if (best.term && !terms.includes(best.term)) terms.push(best.term);
+  }
+
+  const score = total / words.length;
+  return score >= MIN_KEYWORD_SCORE
+    ? { keyword: kw, term: terms.join(' '), score }
+    : { keyword: kw, term: '', score: 0 };
+}
+
+/**
+ * Scores how well a place matches the user's keywords.
+ *
+ * @param {Object} place - Normalized place (name, summary, types, primaryType).
+ * @param {string[]} keywords
+ * @returns {{ score: number, matched: string[], matches: KeywordMatch[] }}
+ *   Average keyword score (0–1), keywords that matched, and what each matched.
+ */
+export function matchKeywords(place, keywords = []) {
+  const list = (keywords || []).filter((k) => String(k || '').trim());
+  if (!list.length) return { score: 0, matched: [], matches: [] };
+
+  const bag = placeBag(place);
+  const matches = list.map((k) => matchKeyword(k, bag)).filter((m) => m.score > 0);
+  const total = matches.reduce((acc, m) => acc + m.score, 0);
+  return { score: total / list.length, matched: matches.map((m) => m.keyword), matches };
+}
+
+export default { fold, stem, tokenize, stemSimilarity, findConcepts, matchKeywords, MIN_KEYWORD_SCORE };
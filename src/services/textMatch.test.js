@@ -0,0 +1,31 @@
+import { describe, test, expect } from '@jest/globals';
+import { stem, fold, stemSimilarity, matchKeywords } from './textMatch.js';
+
+/** Similarity of two words, compared as stems. */
+const similarity = (a, b) => stemSimilarity(stem(fold(a)), stem(fold(b)));
+
+describe('stemSimilarity', () => {
+  test('matches inflections, close prefixes and small typos', () => {
+    expect(similarity('taquerías', 'taquería')).toBe(1);
+    expect(similarity('cafe', 'cafetería')).toBe(0.9);
+    expect(similarity('ramne', 'ramen')).toBeGreaterThanOrEqual(0.75);
+  });
+
+  test('a short stem that is only the start of a longer word does not match', () => {
+    expect(similarity('pasta', 'pastel')).toBe(0);
+    expect(similarity('carne', 'carnitas')).toBe(0);
+    expect(stemSimilarity('panc', 'pancake')).toBe(0);
+  });
+
+  test('stems under 4 characters only match exactly', () => {
+    expect(stemSimilarity('pan', 'panad')).toBe(0);
+    expect(stemSimilarity('pan', 'pan')).toBe(1);
+  });
+});
+
+describe('matchKeywords', () => {
+  test('"pasta" does not match a pastry shop', () => {
+    const place = { name: 'Pastelería La Esperanza', types: ['bakery'], primaryType: 'bakery' };
+    expect(matchKeywords(place, ['pasta']).score).toBe(0);
+  });
+});
@@ -0,0 +1,159 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { RANKING_PRESETS_PATH } from '../config/env.js';
+import { ConfigError, ValidationError } from '../utils/errors.js';
+import { t, DEFAULT_LOCALE } from '../utils/i18n.js';
+
+/**
+ * @fileoverview Scoring weights and named ranking presets.
+ * Presets (e.g. "balanced", "closest", "best-rated", "cheapest") are loaded from a JSON file
+ * (`src/config/rankingPresets.json`, overridable with `RANKING_PRESETS_PATH`).
+ * Custom weights are validated and normalized to sum to 1. A preset `description` is either
+ * a string or an object keyed by locale (`{ "es": "...", "en": "..." }`).
+ */
+
+const DEFAULT_PRESETS = fileURLToPath(new URL('../config/rankingPresets.json', import.meta.url));
+
+/** Factors that make up a score, in the order they are reported. */
+export const WEIGHT_KEYS = ['keyword', 'price', 'quality', 'distance', 'open'];
+
+/**
+ * @typedef {Record<'keyword'|'price'|'quality'|'distance'|'open', number>} Weights
+ */
+
+/** @type {{ default: string, presets: Record<string, { description: string|Record<string, string>, weights: Weights }> } | null} */
+let config = null;
+
+/**
+ * Checks that every weight is a finite, non-negative number of a known factor.
+ *
+ * @param {Object} weights
+ * @param {string} where - Context for the error message.
+ * @param {typeof ValidationError|typeof ConfigError} ErrorClass
+ * @param {string} [locale] - Language of the error message.
+ */
+function assertWeights(weights, where, ErrorClass, locale = DEFAULT_LOCALE) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new ErrorClass(t(locale, 'errors.weightsObject', { where, keys: WEIGHT_KEYS.join(', ') }));
+  }
+  for (const [k, v] of Object.entries(weights)) {
+    if (!WEIGHT_KEYS.includes(k)) {
+      throw new ErrorClass(t(locale, 'errors.weightUnknown', { where, factor: k }), { allowed: WEIGHT_KEYS });
+    }
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0) {
+      throw new ErrorClass(t(locale, 'errors.weightInvalid', { where, factor: k }));
+    }
+  }
+}
+
+/**
+ * Scales weights so they sum to 1; missing factors count as 0.
+ *
+ * @param {Partial<Weights>} weights
+ * @param {string} where - Context for the error message.
+ * @param {typeof ValidationError|typeof ConfigError} ErrorClass
+ * @param {string} [locale] - Language of the error message.
+ * @returns {Weights}
+ */
+function normalizeWeights(weights, where, ErrorClass, locale = DEFAULT_LOCALE) {
+  const total = WEIGHT_KEYS.reduce((acc, k) => acc + (weights[k] || 0), 0);
+  if (total <= 0) throw new ErrorClass(t(locale, 'errors.weightsZero', { where }));
+  const out = {};
+  for (const k of WEIGHT_KEYS) out[k] = (weights[k] || 0) / total;
+  return out;
+}
+
+/**
+ * Loads (once) and validates the preset file.
+ *
+ * @returns {{ default: string, presets: Record<string, { description: string|Record<string, string>, weights: Weights }> }}
+ * @throws {ConfigError} If the file is unreadable or a preset is invalid.
+ */
+function getPresetConfig() {
+  if (config) return config;
+  const file = RANKING_PRESETS_PATH || DEFAULT_PRESETS;
+  let json;
+  try {
+    json = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`No se pudo leer los presets de ranking: ${file}`, { err: e?.message });
+  }
+
+  const presets = {};
+  for (const [name, preset] of Object.entries(json.presets || {})) {
+    assertWeights(preset.weights, `preset "${name}"`, ConfigError);
+    presets[name] = {
+      description: preset.description || '',
+      weights: normalizeWeights(preset.weights, `preset "${name}"`, ConfigError),
+    };
+  }
+  if (!presets[json.default]) {
+    throw new ConfigError(`Preset por defecto "${json.default}" no existe en ${file}`);
+  }
+
+  config = { default: json.default, presets };
+  return config;
+}
+
+/**
+ * Picks the description for a locale, falling back to the default locale, then to any translation.
+ *
+ * @param {string|Record<string, string>} description
+ * @param {string} locale
+ * @returns {string}
+ */
+function localizedDescription(description, locale) {
+  if (typeof description === 'string') return description;
+  return description[locale] ?? description[DEFAULT_LOCALE] ?? Object.values(description)[0] ?? '';
+}
+
+/**
+ * Lists the available presets.
+ *
+ * @param {string} [locale] - Language of the descriptions.
+ * @returns {{ default: string, presets: Array<{ name: string, description: string, weights: Weights }> }}
+ */
+export function listPresets(locale = DEFAULT_LOCALE) {
+  const { default: def, presets } = getPresetConfig();
+  return {
+    default: def,
+    presets: Object.entries(presets).map(([name, p]) => ({
+      name,
+      description: localizedDescription(p.description, locale),
+      weights: { ...p.weights },
+    })),
+  };
+}
+
+/**
+ * Resolves the weights for a ranking call.
+ * Starts from `preset` (or the default preset), overrides the factors given in `weights`,
+ * then normalizes the result to sum to 1.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.preset] - Preset name.
+ * @param {Partial<Weights>} [opts.weights] - Custom weights (any subset of factors).
+ * @param {string} [opts.locale] - Language of validation errors.
+ * @returns {{ preset: string, custom: boolean, weights: Weights }}
+ * @throws {ValidationError} If the preset is unknown or weights are invalid.
+ */
+export function resolveWeights({ preset, weights, locale = DEFAULT_LOCALE } = {}) {
+  const { default: def, presets } = getPresetConfig();
+  const name = preset ?? def;
+  if (typeof name !== 'string' || !presets[name]) {
+    throw new ValidationError(t(locale, 'errors.presetUnknown', { preset }), { available: Object.keys(presets) });
+  }
+
+  if (weights === undefined || weights === null) {
+    return { preset: name, custom: false, weights: { ...presets[name].weights } };
+  }
+
+  assertWeights(weights, 'ranking', ValidationError, locale);
+  return {
+    preset: name,
+    custom: true,
+    weights: normalizeWeights({ ...presets[name].weights, ...weights }, 'ranking', ValidationError, locale),
+  };
+}
+
+export default { WEIGHT_KEYS, listPresets, resolveWeights };
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Bounded concurrency helpers.
+ * Lets batch tools fan out provider calls without sending every request at once
+ * (which would trip Google's per-second quotas and the circuit breakers).
+ */
+
+/**
+ * @template T
+ * @typedef {{ status: 'fulfilled', value: T } | { status: 'rejected', reason: any }} Settled
+ */
+
+/**
+ * Maps `items` through `fn` with at most `limit` calls in flight, like
+ * `Promise.allSettled(items.map(fn))`: results keep the input order and a
+ * rejection never stops the other items.
+ *
+ * @template I, T
+ * @param {I[]} items
+ * @param {number} limit - Maximum concurrent calls (at least 1).
+ * @param {(item: I, index: number) => Promise<T>} fn
+ * @returns {Promise<Settled<T>[]>}
+ */
+export async function mapSettled(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: 'fulfilled', value: await fn(items[i], i) };
+      } catch (reason) {
+        results[i] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+export default { mapSettled };
@@ -1,7 +1,8 @@
 /**
  * @fileoverview Standardized error classes and utilities for JSON-RPC 2.0.
  * Includes custom AppError subclasses for validation, config, provider, and rate limits.
- * Also includes JSON-RPC error translation function.
+ * Also includes the translations to JSON-RPC errors (protocol failures) and to MCP tool
+ * error results (failures of a tool call).
  */
 
 /**
@@ -17,6 +18,9 @@ export const JSON_RPC_ERRORS = {
   SERVER_ERROR:       { code: -32000, message: 'Server error' },
 };
 
+/** Geocoding API statuses that may clear up on a later attempt. */
+const RETRYABLE_API_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+
 /**
  * Base class for application-level errors.
  * All custom errors extend from this.
@@ -40,6 +44,22 @@ export class AppError extends Error {
     if (extra) this.extra = extra;
     Error.captureStackTrace?.(this, this.constructor);
   }
+
+  /**
+   * Whether the same call may succeed if repeated later, unchanged.
+   * @type {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+
+  /**
+   * How long to wait before retrying, in milliseconds, when known.
+   * @type {number|null}
+   */
+  get retryAfterMs() {
+    return null;
+  }
 }
 
 /**
@@ -67,6 +87,25 @@ export class ProviderError extends AppError {
   constructor(message, extra) {
     super(message, { code: 'PROVIDER_ERROR', httpStatus: 502, extra });
   }
+
+  /**
+   * Retryable when the circuit breaker is open, the provider answered 5xx/408 or a transient
+   * API status, or the request got no response at all (`status` recorded but undefined).
+   * Bad requests and lookups that found nothing (404, ZERO_RESULTS) are not.
+   * @type {boolean}
+   */
+  get retryable() {
+    const extra = this.extra ?? {};
+    if (extra.breaker) return true;
+    if (typeof extra.status === 'number') return extra.status >= 500 || extra.status === 408;
+    if (extra.apiStatus) return RETRYABLE_API_STATUSES.includes(extra.apiStatus);
+    return Object.hasOwn(extra, 'status');
+  }
+
+  /** @type {number|null} */
+  get retryAfterMs() {
+    return this.extra?.breaker?.retryAfterMs ?? null;
+  }
 }
 
 /**
@@ -76,6 +115,16 @@ export class RateLimitError extends AppError {
   constructor(message, extra) {
     super(message, { code: 'RATE_LIMIT', httpStatus: 429, extra });
   }
+
+  /** @type {boolean} */
+  get retryable() {
+    return true;
+  }
+
+  /** @type {number|null} */
+  get retryAfterMs() {
+    return typeof this.extra?.retryAfterMs === 'number' ? this.extra.retryAfterMs : null;
+  }
 }
 
 /**
@@ -108,4 +157,43 @@ export function toJsonRpcError(id, err) {
   }
 
   return { jsonrpc: '2.0', id, error: { ...base, data } };
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {Object} ToolErrorPayload
+ * @property {string} code - App-level code (e.g. "VALIDATION_ERROR", "RATE_LIMIT"); "INTERNAL_ERROR" for unexpected errors.
+ * @property {string} message - What went wrong (generic for unexpected errors, which are only logged).
+ * @property {boolean} retryable - Whether repeating the same call later may succeed.
+ * @property {number|null} retryAfterMs - Suggested wait before retrying, when known.
+ * @property {string|number|null} requestId - JSON-RPC id of the failed call.
+ * @property {any} [details] - The error's `extra` (e.g. invalid fields, allowed values).
+ */
+
+/**
+ * Converts an error thrown by a tool into the payload of an MCP error result (`isError: true`),
+ * so clients can tell a bad parameter from a rate limit and know when to retry.
+ *
+ * @param {Error} err - Any error; non-`AppError`s are reported as internal errors.
+ * @param {Object} [options]
+ * @param {string|number|null} [options.requestId=null] - JSON-RPC id of the request.
+ * @returns {ToolErrorPayload}
+ */
+export function toToolError(err, { requestId = null } = {}) {
+  if (!(err instanceof AppError)) {
+    return {
+      code: 'INTERNAL_ERROR',
+      message: JSON_RPC_ERRORS.INTERNAL_ERROR.message,
+      retryable: false,
+      retryAfterMs: null,
+      requestId,
+    };
+  }
+  return {
+    code: err.code || 'APP_ERROR',
+    message: err.message,
+    retryable: err.retryable,
+    retryAfterMs: err.retryAfterMs,
+    requestId,
+    ...(err.extra ? { details: err.extra } : {}),
+  };
+}
@@ -0,0 +1,96 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  AppError,
+  ValidationError,
+  ConfigError,
+  ProviderError,
+  RateLimitError,
+  JSON_RPC_ERRORS,
+  toJsonRpcError,
+  toToolError,
+} from './errors.js';
+
+describe('toJsonRpcError', () => {
+  test.each([
+    ['ValidationError', new ValidationError('bad'), JSON_RPC_ERRORS.INVALID_PARAMS.code, 'VALIDATION_ERROR'],
+    ['ConfigError', new ConfigError('no key'), JSON_RPC_ERRORS.INTERNAL_ERROR.code, 'CONFIG_ERROR'],
+    ['RateLimitError', new RateLimitError('quota'), -32001, 'RATE_LIMIT'],
+    ['ProviderError', new ProviderError('upstream'), -32002, 'PROVIDER_ERROR'],
+    ['AppError', new AppError('other'), JSON_RPC_ERRORS.SERVER_ERROR.code, 'APP_ERROR'],
+  ])('maps %s to its JSON-RPC code', (_, err, code, appCode) => {
+    const out = toJsonRpcError(7, err);
+    expect(out).toMatchObject({ jsonrpc: '2.0', id: 7, error: { code, data: { appCode, message: err.message } } });
+  });
+
+  test('keeps extra data', () => {
+    const err = new ValidationError('bad', { issues: [{ path: 'location.lat' }] });
+    expect(toJsonRpcError(1, err).error.data.extra).toEqual({ issues: [{ path: 'location.lat' }] });
+  });
+});
+
+describe('retryable / retryAfterMs', () => {
+  test('validation and config errors are not retryable', () => {
+    for (const err of [new ValidationError('x'), new ConfigError('x'), new AppError('x')]) {
+      expect(err.retryable).toBe(false);
+      expect(err.retryAfterMs).toBeNull();
+    }
+  });
+
+  test('rate limits are retryable, with the Retry-After hint when known', () => {
+    expect(new RateLimitError('quota', { retryAfterMs: 1500 })).toMatchObject({ retryable: true, retryAfterMs: 1500 });
+    expect(new RateLimitError('quota')).toMatchObject({ retryable: true, retryAfterMs: null });
+  });
+
+  test('an open circuit breaker is retryable after its cooldown', () => {
+    const err = new ProviderError('open', { breaker: { name: 'google.geocode', state: 'open', retryAfterMs: 30000 } });
+    expect(err).toMatchObject({ retryable: true, retryAfterMs: 30000 });
+  });
+
+  test.each([
+    [{ status: 503 }, true],
+    [{ status: 408 }, true],
+    [{ status: 400 }, false],
+    [{ status: 404, placeId: 'x' }, false],
+    [{ apiStatus: 'ZERO_RESULTS' }, false],
+    [{ apiStatus: 'OVER_QUERY_LIMIT' }, true],
+    [{ status: undefined }, true],
+    [undefined, false],
+  ])('provider error %j → retryable %s', (extra, retryable) => {
+    expect(new ProviderError('upstream', extra).retryable).toBe(retryable);
+  });
+});
+
+describe('toToolError', () => {
+  test('describes an AppError with its code, retry hints, request id and details', () => {
+    const err = new RateLimitError('Google Places: cuota excedida', { retryAfterMs: 2000 });
+    expect(toToolError(err, { requestId: 12 })).toEqual({
+      code: 'RATE_LIMIT',
+      message: 'Google Places: cuota excedida',
+      retryable: true,
+      retryAfterMs: 2000,
+      requestId: 12,
+      details: { retryAfterMs: 2000 },
+    });
+  });
+
+  test('omits details when the error has none', () => {
+    expect(toToolError(new ValidationError('bad'))).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'bad',
+      retryable: false,
+      retryAfterMs: null,
+      requestId: null,
+    });
+  });
+
+  test('does not leak the message of unexpected errors', () => {
+    const out = toToolError(new TypeError("Cannot read properties of undefined (reading 'lat')"), { requestId: 'abc' });
+    expect(out).toEqual({
+      code: 'INTERNAL_ERROR',
+      message: JSON_RPC_ERRORS.INTERNAL_ERROR.message,
+      retryable: false,
+      retryAfterMs: null,
+      requestId: 'abc',
+    });
+  });
+});
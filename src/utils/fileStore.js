@@ -0,0 +1,39 @@
+import { writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * @fileoverview Helpers for the JSON file stores (profiles, feedback): atomic writes
+ * and a queue that runs one store change at a time.
+ */
+
+/**
+ * Writes `data` to `path` atomically: a temp file next to it, then a rename,
+ * so a crash never leaves a half-written store. Creates the directory if needed.
+ *
+ * @param {string} path
+ * @param {string} data
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, path);
+}
+
+/**
+ * Creates a queue that runs tasks one after another, in call order.
+ * A failed task only fails its own caller; the next task still runs.
+ *
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+export function createSerialQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.catch(() => {}).then(task);
+    tail = run;
+    return run;
+  };
+}
+
+export default { writeFileAtomic, createSerialQueue };
@@ -0,0 +1,129 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import { basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MCP_LOCALE, MCP_UNITS } from '../config/env.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * @fileoverview Message catalogues and locale-aware formatting.
+ * Every `*.json` file in `src/locales/` is a catalogue named after its file (`es.json` → "es"),
+ * mapping message keys to templates with `{name}` placeholders. Adding a language means
+ * adding a file; keys missing from it fall back to the default locale, then to Spanish.
+ */
+
+const LOCALES_DIR = fileURLToPath(new URL('../locales/', import.meta.url));
+
+/** Locale every catalogue falls back to (the most complete one). */
+const BASE_LOCALE = 'es';
+
+/** @type {Record<string, Record<string, string>>} */
+const catalogues = {};
+for (const file of readdirSync(LOCALES_DIR).filter((f) => f.endsWith('.json'))) {
+  catalogues[basename(file, '.json').toLowerCase()] = JSON.parse(readFileSync(LOCALES_DIR + file, 'utf8'));
+}
+
+/** Locales with a catalogue, e.g. `['en', 'es']`. */
+export const SUPPORTED_LOCALES = Object.keys(catalogues).sort();
+
+/**
+ * Finds the catalogue for a language tag: exact match first ("pt-br"), then the base language ("pt").
+ *
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function matchLocale(tag) {
+  const wanted = tag.trim().toLowerCase().replace('_', '-');
+  if (catalogues[wanted]) return wanted;
+  const lang = wanted.split('-')[0];
+  return catalogues[lang] ? lang : null;
+}
+
+/** Locale used when a call does not ask for one (`MCP_LOCALE`, if a catalogue exists for it). */
+export const DEFAULT_LOCALE = matchLocale(MCP_LOCALE) || BASE_LOCALE;
+
+/** Unit systems accepted by `formatDistance`. */
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+/**
+ * Resolves the `locale` parameter of a tool call.
+ * Languages without a catalogue fall back to `DEFAULT_LOCALE`.
+ *
+ * @param {*} locale - e.g. "en", "en-US", "es".
+ * @returns {string} A key of the loaded catalogues.
+ * @throws {ValidationError} If `locale` is given but is not a string.
+ */
+export function resolveLocale(locale) {
+  if (locale === undefined || locale === null || locale === '') return DEFAULT_LOCALE;
+  if (typeof locale !== 'string') throw new ValidationError(t(DEFAULT_LOCALE, 'errors.locale'));
+  return matchLocale(locale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Picks the best catalogue for an HTTP `Accept-Language` header, by q-value.
+ *
+ * @param {string|undefined} header - e.g. "en-US,en;q=0.9,es;q=0.8".
+ * @returns {string}
+ */
+export function negotiateLocale(header) {
+  if (!header) return DEFAULT_LOCALE;
+  const ranked = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { tag, q: q ? Number(q.slice(2)) || 0 : 1 };
+    })
+    .filter((x) => x.tag && x.tag !== '*' && x.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { tag } of ranked) {
+    const found = matchLocale(tag);
+    if (found) return found;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Resolves the unit system for distances: explicit value, else `MCP_UNITS`.
+ *
+ * @param {*} units
+ * @param {string} [locale] - Locale for the error message.
+ * @returns {'metric'|'imperial'}
+ * @throws {ValidationError} If `units` is given but is not a known system.
+ */
+export function resolveUnits(units, locale = DEFAULT_LOCALE) {
+  if (units === undefined || units === null) return MCP_UNITS;
+  if (!UNIT_SYSTEMS.includes(units)) throw new ValidationError(t(locale, 'errors.units'), { allowed: UNIT_SYSTEMS });
+  return units;
+}
+
+/**
+ * Translates a message key, filling `{name}` placeholders from `vars`.
+ * Unknown placeholders are left as-is; an unknown key returns the key itself.
+ *
+ * @param {string} locale - A resolved locale (see `resolveLocale`).
+ * @param {string} key - Message key, e.g. "why.openNow".
+ * @param {Record<string, string|number>} [vars]
+ * @returns {string}
+ */
+export function t(locale, key, vars = {}) {
+  const template =
+    catalogues[locale]?.[key] ?? catalogues[DEFAULT_LOCALE]?.[key] ?? catalogues[BASE_LOCALE]?.[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? String(vars[name]) : m));
+}
+
+/**
+ * Formats a distance for display: "850 m" / "1.2 km" (metric) or "500 ft" / "0.8 mi" (imperial).
+ *
+ * @param {number} km
+ * @param {'metric'|'imperial'} [units='metric']
+ * @returns {string}
+ */
+export function formatDistance(km, units = 'metric') {
+  if (units === 'imperial') {
+    const miles = km * 0.621371;
+    return miles < 0.1 ? `${Math.round((km * 3280.84) / 10) * 10} ft` : `${miles.toFixed(1)} mi`;
+  }
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+}
+
+export default { SUPPORTED_LOCALES, DEFAULT_LOCALE, UNIT_SYSTEMS, resolveLocale, negotiateLocale, resolveUnits, t, formatDistance };
@@ -0,0 +1,155 @@
+import { t } from './i18n.js';
+
+/**
+ * @fileoverview Minimal JSON Schema validator for tool inputs.
+ * Supports the subset the published tool schemas use (see `mcp/schemas.js`): `type` (one or a list,
+ * including "integer" and "null"), `enum`, numeric bounds, string length/`pattern`/`format: "date-time"`,
+ * array `items`/`minItems`/`maxItems`, and object `properties`/`required`/`additionalProperties`.
+ * Unlike a first-error check, it collects every problem, each with the path of the offending field.
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - Where the problem is, e.g. "candidates[2].location.lat" ("" = the whole input).
+ * @property {string} keyword - Schema keyword that failed (e.g. "type", "maximum", "required").
+ * @property {Object} params - Values for the message (e.g. `{ limit: 90 }`).
+ */
+
+/**
+ * JSON Schema type of a value ("integer" is reported as "number"; see `matchesType`).
+ *
+ * @param {*} value
+ * @returns {'null'|'array'|'object'|'number'|'string'|'boolean'|'undefined'}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value === 'number' || typeof value === 'bigint' ? 'number' : typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type - JSON Schema type name.
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Path of a child field.
+ *
+ * @param {string} path
+ * @param {string|number} key - Property name or array index.
+ * @returns {string}
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/** Numeric keywords and the comparison each one requires. */
+const NUMBER_BOUNDS = {
+  minimum: (v, limit) => v >= limit,
+  maximum: (v, limit) => v <= limit,
+  exclusiveMinimum: (v, limit) => v > limit,
+  exclusiveMaximum: (v, limit) => v < limit,
+};
+
+/**
+ * Validates `value` against `schema` and returns every problem found.
+ * A value of the wrong type is not checked further (its bounds or properties would only add noise).
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path=''] - Path of `value` in the whole input.
+ * @returns {SchemaIssue[]} Empty when the value is valid.
+ */
+export function validateSchema(schema, value, path = '') {
+  const issues = [];
+  if (!schema || typeof schema !== 'object') return issues;
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      issues.push({ path, keyword: 'type', params: { expected: types.join('|') } });
+      return issues;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    issues.push({ path, keyword: 'enum', params: { allowed: schema.enum.map((a) => (a === null ? 'null' : a)).join(', ') } });
+  }
+
+  if (typeof value === 'number') {
+    for (const [keyword, ok] of Object.entries(NUMBER_BOUNDS)) {
+      if (typeof schema[keyword] === 'number' && !ok(value, schema[keyword])) {
+        issues.push({ path, keyword, params: { limit: schema[keyword] } });
+      }
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      issues.push({ path, keyword: 'minLength', params: { limit: schema.minLength } });
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      issues.push({ path, keyword: 'maxLength', params: { limit: schema.maxLength } });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issues.push({ path, keyword: 'pattern', params: { pattern: schema.pattern } });
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      issues.push({ path, keyword: 'format', params: { format: 'date-time' } });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      issues.push({ path, keyword: 'minItems', params: { limit: schema.minItems } });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      issues.push({ path, keyword: 'maxItems', params: { limit: schema.maxItems } });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => issues.push(...validateSchema(schema.items, item, childPath(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) issues.push({ path: childPath(path, key), keyword: 'required', params: {} });
+    }
+    for (const [key, sub] of Object.entries(properties)) {
+      if (value[key] !== undefined) issues.push(...validateSchema(sub, value[key], childPath(path, key)));
+    }
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+      for (const key of Object.keys(value)) {
+        if (Object.hasOwn(properties, key) || value[key] === undefined) continue;
+        if (schema.additionalProperties === false) {
+          issues.push({ path: childPath(path, key), keyword: 'additionalProperties', params: {} });
+        } else {
+          issues.push(...validateSchema(schema.additionalProperties, value[key], childPath(path, key)));
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Human-readable message for an issue, from the `schema.*` catalogue keys.
+ *
+ * @param {SchemaIssue} issue
+ * @param {string} locale
+ * @returns {string}
+ */
+export function describeIssue(issue, locale) {
+  return t(locale, `schema.${issue.keyword}`, { path: issue.path || '(input)', ...issue.params });
+}
+
+export default { validateSchema, describeIssue };